@@ -6,6 +6,7 @@ import FeedDetail from './pages/FeedDetail';
 import FeedEdit from './pages/FeedEdit';
 import JobDetail from './pages/JobDetail';
 import FtpConnections from './pages/FtpConnections';
+import StorageConnections from './pages/StorageConnections';
 import Settings from './pages/Settings';
 
 function Router() {
@@ -18,6 +19,7 @@ function Router() {
       <Route path="/feeds/new" element={<FeedEdit />} />
       <Route path="/jobs/:id" element={<JobDetail />} />
       <Route path="/ftp-connections" element={<FtpConnections />} />
+      <Route path="/storage-connections" element={<StorageConnections />} />
       <Route path="/settings" element={<Settings />} />
     </Routes>
   );
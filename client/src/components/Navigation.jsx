@@ -30,6 +30,10 @@ function Navigation() {
                     label: 'FTP Connections',
                     destination: '/ftp-connections',
                 },
+                {
+                    label: 'Storage Connections',
+                    destination: '/storage-connections',
+                },
                 {
                     label: 'Settings',
                     destination: '/settings',
@@ -0,0 +1,159 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Modal,
+    IndexTable,
+    Text,
+    Button,
+    InlineStack,
+    BlockStack,
+    Banner,
+    Spinner,
+    Box,
+} from '@shopify/polaris';
+
+/**
+ * RemoteFileBrowser Component
+ * Modal to browse the folders of an FTP or storage connection and pick a file
+ * (or, with selectFolder, a folder). Picked paths are relative to the
+ * connection's root path / prefix, like feed file paths.
+ */
+function RemoteFileBrowser({
+    open,
+    sourceType,
+    connectionId,
+    initialPath = '',
+    selectFolder = false,
+    onSelect,
+    onClose,
+}) {
+    const [listing, setListing] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const fetchListing = async (dirPath) => {
+        setLoading(true);
+        setError(null);
+        try {
+            const shop = new URLSearchParams(window.location.search).get('shop') || sessionStorage.getItem('currentPageShop');
+            const base = sourceType === 's3' ? 'storage-connections' : 'ftp-connections';
+            const response = await fetch(
+                `/api/${base}/${connectionId}/files?shop=${shop}&path=${encodeURIComponent(dirPath || '/')}`
+            );
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to list files');
+            }
+
+            setListing(data);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Start in the folder of the current path (the path itself for folders)
+    useEffect(() => {
+        if (!open || !connectionId) return;
+
+        const parent = initialPath.includes('/') ? initialPath.slice(0, initialPath.lastIndexOf('/')) : '';
+        const hasPattern = /[*?[]/.test(initialPath.split('/').pop());
+        fetchListing(selectFolder && !hasPattern ? initialPath : parent);
+    }, [open, connectionId]);
+
+    // Feed paths are written without the leading slash
+    const toFeedPath = (entryPath) => entryPath.replace(/^\/+/, '');
+
+    const rowMarkup = (listing?.files || []).map((entry, index) => (
+        <IndexTable.Row
+            id={entry.path}
+            key={entry.path}
+            position={index}
+            onClick={() =>
+                entry.type === 'directory'
+                    ? fetchListing(entry.path)
+                    : !selectFolder && onSelect(toFeedPath(entry.path))
+            }
+            disabled={entry.type === 'file' && selectFolder}
+        >
+            <IndexTable.Cell>
+                <Text as="span" fontWeight={entry.type === 'directory' ? 'bold' : 'regular'}>
+                    {entry.type === 'directory' ? `${entry.name}/` : entry.name}
+                </Text>
+            </IndexTable.Cell>
+            <IndexTable.Cell>
+                {entry.type === 'file' ? `${Math.ceil((entry.size || 0) / 1024)} KB` : '-'}
+            </IndexTable.Cell>
+            <IndexTable.Cell>
+                {entry.modifiedTime ? new Date(entry.modifiedTime).toLocaleString() : '-'}
+            </IndexTable.Cell>
+        </IndexTable.Row>
+    ));
+
+    return (
+        <Modal
+            open={open}
+            onClose={onClose}
+            title={selectFolder ? 'Choose a folder' : 'Choose a file'}
+            primaryAction={
+                selectFolder
+                    ? {
+                        content: 'Select This Folder',
+                        disabled: !listing || loading,
+                        onAction: () => onSelect(toFeedPath(listing.path) || '/'),
+                    }
+                    : undefined
+            }
+            secondaryActions={[{ content: 'Cancel', onAction: onClose }]}
+            large
+        >
+            <Modal.Section>
+                <BlockStack gap="400">
+                    <InlineStack gap="200" blockAlign="center">
+                        <Button
+                            size="slim"
+                            disabled={!listing?.parent || loading}
+                            onClick={() => fetchListing(listing.parent)}
+                        >
+                            Up
+                        </Button>
+                        <Text as="span" tone="subdued">
+                            {listing?.path || '/'}
+                        </Text>
+                    </InlineStack>
+
+                    {error && (
+                        <Banner tone="critical">
+                            <p>{error}</p>
+                        </Banner>
+                    )}
+
+                    {loading ? (
+                        <Box padding="400">
+                            <InlineStack align="center">
+                                <Spinner size="small" accessibilityLabel="Loading files" />
+                            </InlineStack>
+                        </Box>
+                    ) : (
+                        <IndexTable
+                            resourceName={{ singular: 'file', plural: 'files' }}
+                            itemCount={listing?.files?.length || 0}
+                            headings={[
+                                { title: 'Name' },
+                                { title: 'Size' },
+                                { title: 'Modified' },
+                            ]}
+                            selectable={false}
+                            emptyState={<Text tone="subdued">This folder is empty</Text>}
+                        >
+                            {rowMarkup}
+                        </IndexTable>
+                    )}
+                </BlockStack>
+            </Modal.Section>
+        </Modal>
+    );
+}
+
+export default RemoteFileBrowser;
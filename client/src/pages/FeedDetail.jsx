@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   Page,
   Layout,
@@ -11,18 +11,24 @@ import {
   DataTable,
   Tabs,
   InlineStack,
+  TextField,
 } from '@shopify/polaris';
 import { useParams, useNavigate } from 'react-router-dom';
 import FullPageLoader from '../components/FullPageLoader';
+import { uploadFile } from '../utils/upload';
 
 function FeedDetail() {
   const { id } = useParams();
   const navigate = useNavigate();
   const [feed, setFeed] = useState(null);
   const [jobs, setJobs] = useState([]);
+  const [processedFiles, setProcessedFiles] = useState([]);
+  const [push, setPush] = useState(null);
+  const [showPushToken, setShowPushToken] = useState(false);
   const [selectedTab, setSelectedTab] = useState(0);
   const [loading, setLoading] = useState(true);
   const [processing, setProcessing] = useState(false);
+  const runFileInput = useRef(null);
   const [error, setError] = useState(null);
 
   const fetchFeed = async () => {
@@ -55,11 +61,47 @@ function FeedDetail() {
     }
   };
 
+  const fetchProcessedFiles = async () => {
+    try {
+      const shop = new URLSearchParams(window.location.search).get('shop') || sessionStorage.getItem('currentPageShop');
+      const response = await fetch(`/api/feeds/${id}/processed-files?shop=${shop}`);
+      const data = await response.json();
+      setProcessedFiles(data.files || []);
+    } catch (error) {
+      console.error('Error fetching processed files:', error);
+    }
+  };
+
+  // Push endpoint settings; method POST regenerates the token, DELETE disables pushes
+  const fetchPush = async (method = 'GET') => {
+    if (method === 'POST' && push?.enabled &&
+      !confirm('Generate a new token? The current token stops working right away.')) {
+      return;
+    }
+
+    try {
+      const shop = new URLSearchParams(window.location.search).get('shop') || sessionStorage.getItem('currentPageShop');
+      const response = await fetch(`/api/feeds/${id}/push-token?shop=${shop}`, { method });
+      const data = await response.json();
+      setPush(data.push);
+      setShowPushToken(method === 'POST');
+    } catch (error) {
+      console.error('Error updating push settings:', error);
+    }
+  };
+
   useEffect(() => {
     fetchFeed();
     fetchJobs();
+    fetchPush();
   }, [id]);
 
+  useEffect(() => {
+    if (feed?.file?.mode === 'folder') {
+      fetchProcessedFiles();
+    }
+  }, [feed?._id, feed?.file?.mode]);
+
   const handleProcess = async () => {
     setProcessing(true);
     try {
@@ -68,7 +110,12 @@ function FeedDetail() {
         method: 'POST',
       });
       alert('Feed processing started');
-      setTimeout(fetchJobs, 2000);
+      setTimeout(() => {
+        fetchJobs();
+        if (feed.file?.mode === 'folder') {
+          fetchProcessedFiles();
+        }
+      }, 2000);
     } catch (error) {
       console.error('Error processing feed:', error);
       alert('Error starting feed process');
@@ -77,6 +124,37 @@ function FeedDetail() {
     }
   };
 
+  // One-off run against an uploaded file instead of the feed's source
+  const handleRunWithFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setProcessing(true);
+    try {
+      const upload = await uploadFile(file);
+      const shop = new URLSearchParams(window.location.search).get('shop') || sessionStorage.getItem('currentPageShop');
+      const response = await fetch(`/api/feeds/${id}/process?shop=${shop}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ uploadId: upload._id }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Error starting feed process');
+      }
+
+      alert(`Feed processing started with ${file.name}`);
+      setTimeout(fetchJobs, 2000);
+    } catch (error) {
+      console.error('Error running feed with file:', error);
+      alert(error.message);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
   const handlePreview = async () => {
     setProcessing(true);
     try {
@@ -120,18 +198,36 @@ function FeedDetail() {
     return true;
   });
 
+  const processedFileTones = {
+    completed: 'success',
+    failed: 'critical',
+    processing: 'info',
+  };
+
+  const jobStatusTones = {
+    completed: 'success',
+    failed: 'critical',
+    waiting: 'attention',
+  };
+
+  const processedFileRows = processedFiles.map((file) => [
+    file.path,
+    file.modifiedTime ? new Date(file.modifiedTime).toLocaleString() : '-',
+    file.size,
+    <Badge tone={processedFileTones[file.status]}>{file.status}</Badge>,
+    file.job ? (
+      <Button size="slim" onClick={() => navigate(`/jobs/${file.job}`)}>
+        View Job
+      </Button>
+    ) : (
+      file.error || '-'
+    ),
+  ]);
+
   const jobRows = filteredJobs.map((job) => [
     new Date(job.createdAt).toLocaleString(),
-    <Badge
-      tone={
-        job.status === 'completed'
-          ? 'success'
-          : job.status === 'failed'
-            ? 'critical'
-            : 'info'
-      }
-    >
-      {job.status}
+    <Badge tone={jobStatusTones[job.status] || 'info'}>
+      {job.status === 'waiting' ? 'waiting for file' : job.status}
     </Badge>,
     job.results?.processed || 0,
     job.results?.created || 0,
@@ -160,6 +256,20 @@ function FeedDetail() {
               <InlineStack align="space-between">
                 <Text variant="headingMd">Overview</Text>
                 <InlineStack gap="200">
+                  <input
+                    ref={runFileInput}
+                    type="file"
+                    accept=".csv,.txt,.gz,.zip,.xlsx,.json,.ndjson,.jsonl,.xml"
+                    style={{ display: 'none' }}
+                    onChange={handleRunWithFile}
+                  />
+                  <Button
+                    onClick={() => runFileInput.current.click()}
+                    loading={processing}
+                    disabled={processing}
+                  >
+                    Run with File
+                  </Button>
                   <Button
                     onClick={handlePreview}
                     loading={processing}
@@ -215,29 +325,61 @@ function FeedDetail() {
               <Text variant="headingMd">Connection</Text>
 
               <InlineGrid columns={2} gap="400">
-                <BlockStack gap="200">
-                  <Text variant="headingSm" tone="subdued">
-                    FTP Connection
-                  </Text>
-                  <Text>{feed.ftpConnection?.name || 'N/A'}</Text>
-                </BlockStack>
+                {feed.sourceType === 'upload' && (
+                  <BlockStack gap="200">
+                    <Text variant="headingSm" tone="subdued">
+                      Uploaded File
+                    </Text>
+                    <Text breakWord>{feed.upload?.name || '-'}</Text>
+                  </BlockStack>
+                )}
 
-                <BlockStack gap="200">
-                  <Text variant="headingSm" tone="subdued">
-                    File Path
-                  </Text>
-                  <Text>{feed.file?.path || '-'}</Text>
-                </BlockStack>
+                {feed.sourceType === 'http' && (
+                  <BlockStack gap="200">
+                    <Text variant="headingSm" tone="subdued">
+                      File URL
+                    </Text>
+                    <Text breakWord>{feed.http?.url || '-'}</Text>
+                  </BlockStack>
+                )}
+
+                {['ftp', 's3'].includes(feed.sourceType || 'ftp') && (
+                  <>
+                    <BlockStack gap="200">
+                      <Text variant="headingSm" tone="subdued">
+                        {feed.sourceType === 's3' ? 'Storage Connection' : 'FTP Connection'}
+                      </Text>
+                      <Text>
+                        {(feed.sourceType === 's3' ? feed.storageConnection : feed.ftpConnection)?.name || 'N/A'}
+                      </Text>
+                    </BlockStack>
+
+                    <BlockStack gap="200">
+                      <Text variant="headingSm" tone="subdued">
+                        {feed.file?.mode === 'folder' ? 'Drop Folder' : 'File Path'}
+                      </Text>
+                      <Text>{feed.file?.path || '-'}</Text>
+                    </BlockStack>
+                  </>
+                )}
 
                 <BlockStack gap="200">
                   <Text variant="headingSm" tone="subdued">
                     Schedule
                   </Text>
                   <Text>
-                    {feed.schedule?.enabled
-                      ? `${feed.schedule.frequency} at ${feed.schedule.time}`
-                      : 'Manual only'}
+                    {!feed.schedule?.enabled && 'Manual only'}
+                    {feed.schedule?.enabled && feed.schedule.frequency === 'on_change' &&
+                      `When the file changes (checked every ${feed.schedule.pollInterval || 5} min)`}
+                    {feed.schedule?.enabled && feed.schedule.frequency !== 'on_change' &&
+                      `${feed.schedule.frequency} at ${feed.schedule.time}`}
                   </Text>
+                  {feed.schedule?.enabled && feed.schedule.frequency === 'on_change' && feed.polling?.checkedAt && (
+                    <Text tone="subdued">
+                      Last checked {new Date(feed.polling.checkedAt).toLocaleString()}
+                      {feed.polling.changedAt && `, changed ${new Date(feed.polling.changedAt).toLocaleString()}`}
+                    </Text>
+                  )}
                 </BlockStack>
 
                 <BlockStack gap="200">
@@ -255,6 +397,81 @@ function FeedDetail() {
           </Card>
         </Layout.Section>
 
+        {feed.file?.mode === 'folder' && (
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <Text variant="headingMd">Drop Folder Files</Text>
+
+                {processedFileRows.length > 0 ? (
+                  <DataTable
+                    columnContentTypes={['text', 'text', 'numeric', 'text', 'text']}
+                    headings={['File', 'Modified', 'Size', 'Status', '']}
+                    rows={processedFileRows}
+                  />
+                ) : (
+                  <Text tone="subdued">No files picked up yet</Text>
+                )}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <InlineStack align="space-between">
+                <Text variant="headingMd">Push Endpoint</Text>
+                <InlineStack gap="200">
+                  {push?.enabled && (
+                    <Button tone="critical" onClick={() => fetchPush('DELETE')}>
+                      Disable
+                    </Button>
+                  )}
+                  <Button onClick={() => fetchPush('POST')}>
+                    {push?.enabled ? 'Regenerate Token' : 'Enable Push'}
+                  </Button>
+                </InlineStack>
+              </InlineStack>
+
+              {push?.enabled ? (
+                <BlockStack gap="300">
+                  <Text tone="subdued">
+                    Suppliers can POST the feed file to this URL; each push starts a sync right away.
+                    Requests are signed with the token: send the Unix time in X-Push-Timestamp and
+                    sha256=HMAC-SHA256(token, "timestamp.file content") in hex in X-Push-Signature.
+                  </Text>
+                  <TextField
+                    label="URL"
+                    value={`${window.location.origin}${push.path}`}
+                    readOnly
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Token"
+                    type={showPushToken ? 'text' : 'password'}
+                    value={push.token || ''}
+                    readOnly
+                    autoComplete="off"
+                    connectedRight={
+                      <Button onClick={() => setShowPushToken(!showPushToken)}>
+                        {showPushToken ? 'Hide' : 'Show'}
+                      </Button>
+                    }
+                    helpText={push.tokenCreatedAt
+                      ? `Generated ${new Date(push.tokenCreatedAt).toLocaleString()}`
+                      : undefined}
+                  />
+                </BlockStack>
+              ) : (
+                <Text tone="subdued">
+                  Let suppliers push files to this feed instead of fetching them.
+                </Text>
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
         <Layout.Section>
           <Card>
             <BlockStack gap="400">
@@ -15,11 +15,14 @@ import {
   Spinner,
   Box,
   Divider,
+  DropZone,
 } from '@shopify/polaris';
 import { useParams, useNavigate } from 'react-router-dom';
 import FieldMappingTable from '../components/FieldMappingTable';
 import ValueMappingTable from '../components/ValueMappingTable';
 import FullPageLoader from '../components/FullPageLoader';
+import RemoteFileBrowser from '../components/RemoteFileBrowser';
+import { uploadFile } from '../utils/upload';
 
 function FeedEdit() {
   const { id } = useParams();
@@ -33,6 +36,7 @@ function FeedEdit() {
   const [loading, setLoading] = useState(false);
   const [saving, setSaving] = useState(false);
   const [ftpConnections, setFtpConnections] = useState([]);
+  const [storageConnections, setStorageConnections] = useState([]);
 
   // CSV and Shopify fields state
   const [csvHeaders, setCsvHeaders] = useState([]);
@@ -41,26 +45,80 @@ function FeedEdit() {
   const [loadingFields, setLoadingFields] = useState(false);
   const [error, setError] = useState(null);
   const [csvSampleRows, setCsvSampleRows] = useState([]);
+  const [locations, setLocations] = useState([]);
+  // Raw "Name: value" lines of the HTTP headers field, parsed into formData.http.headers
+  const [httpHeadersText, setHttpHeadersText] = useState('');
+  // Raw "name = path" lines of the JSON columns field, parsed into formData.file.columns
+  const [columnsText, setColumnsText] = useState('');
+  // Uploaded file of 'upload' feeds {name, size}
+  const [uploadedFile, setUploadedFile] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [browsing, setBrowsing] = useState(false);
 
   const [formData, setFormData] = useState({
     name: '',
+    sourceType: 'ftp',
     ftpConnection: '',
+    storageConnection: '',
+    upload: '',
+    http: {
+      url: '',
+      auth: {
+        method: 'none',
+        username: '',
+        password: '',
+        token: '',
+      },
+      headers: [],
+    },
     file: {
       path: '',
+      format: 'csv',
+      sheet: '',
+      headerRow: 1,
+      recordPath: '',
+      columns: [],
       delimiter: ',',
       encoding: 'utf8',
       hasHeader: true,
+      selection: 'newest',
+      mode: 'single',
+      archiveEntry: '',
+      marker: {
+        suffix: '',
+        checksum: false,
+      },
     },
     matching: {
       column: '',
       type: 'sku',
     },
+    grouping: {
+      column: '',
+      optionNames: [],
+    },
+    inventory: {
+      enabled: false,
+      quantityColumn: '',
+      locationColumn: '',
+      locationId: '',
+    },
     mappings: [],
     valueMappings: [],
     schedule: {
       enabled: false,
       frequency: 'daily',
       time: '00:00',
+      pollInterval: 5,
+    },
+    missingProducts: {
+      action: 'none',
+      tag: 'missing-from-feed',
+      maxPercent: 20,
+    },
+    postProcess: {
+      action: 'none',
+      archiveFolder: 'archive',
     },
     options: {
       skipUnchangedFile: true,
@@ -68,6 +126,9 @@ function FeedEdit() {
       createMissingMetafields: true,
       updateExisting: true,
       createNew: true,
+      prefetchCatalog: true,
+      concurrency: 1,
+      executionMode: 'standard',
     },
   });
 
@@ -82,21 +143,57 @@ function FeedEdit() {
     }
   };
 
+  const fetchStorageConnections = async () => {
+    try {
+      const shop = new URLSearchParams(window.location.search).get('shop') || sessionStorage.getItem('currentPageShop');
+      const response = await fetch(`/api/storage-connections?shop=${shop}`);
+      const data = await response.json();
+      setStorageConnections(data.connections || []);
+    } catch (error) {
+      console.error('Error fetching storage connections:', error);
+    }
+  };
+
   const fetchFeed = async () => {
     setLoading(true);
     try {
       const shop = new URLSearchParams(window.location.search).get('shop') || sessionStorage.getItem('currentPageShop');
       const response = await fetch(`/api/feeds/${id}?shop=${shop}`);
       const data = await response.json();
-      setFormData({
+      const feed = {
         ...data.feed,
-        ftpConnection: data.feed.ftpConnection._id,
-      });
+        sourceType: data.feed.sourceType || 'ftp',
+        ftpConnection: data.feed.ftpConnection?._id || '',
+        storageConnection: data.feed.storageConnection?._id || '',
+        upload: data.feed.upload?._id || '',
+        http: {
+          ...data.feed.http,
+          url: data.feed.http?.url || '',
+          // Stored secrets are never sent back; blank keeps them
+          auth: {
+            ...data.feed.http?.auth,
+            method: data.feed.http?.auth?.method || 'none',
+            username: data.feed.http?.auth?.username || '',
+            password: '',
+            token: '',
+          },
+          headers: data.feed.http?.headers || [],
+        },
+      };
+      setFormData(feed);
+      setUploadedFile(data.feed.upload || null);
+      setHttpHeadersText(feed.http.headers.map((header) => `${header.name}: ${header.value}`).join('\n'));
+      setColumnsText(
+        (feed.file.columns || [])
+          .map((column) => (column.name && column.name !== column.path ? `${column.name} = ${column.path}` : column.path))
+          .join('\n')
+      );
       // If feed has mappings, go to step 2
       if (data.feed.mappings?.length > 0) {
         setCurrentStep(2);
-        await fetchCsvHeaders(data.feed.ftpConnection._id, data.feed.file.path, data.feed.file.delimiter);
+        await fetchCsvHeaders(feed);
         await fetchShopifyFields();
+        await fetchLocations();
       }
     } catch (error) {
       console.error('Error fetching feed:', error);
@@ -107,6 +204,7 @@ function FeedEdit() {
 
   useEffect(() => {
     fetchFtpConnections();
+    fetchStorageConnections();
     if (!isNew) {
       fetchFeed();
     }
@@ -116,15 +214,91 @@ function FeedEdit() {
     return <FullPageLoader label="Loading feed configuration..." />;
   }
 
-  // Fetch CSV headers from FTP file
-  // Optional params allow calling this when editing a feed before formData state is updated
-  const fetchCsvHeaders = async (ftpConnectionId, filePath, delimiter) => {
-    const connId = ftpConnectionId || formData.ftpConnection;
-    const path = filePath || formData.file.path;
-    const delim = delimiter || formData.file.delimiter;
+  // Parse "Name: value" lines into HTTP headers
+  const parseHttpHeaders = (text) =>
+    text
+      .split('\n')
+      .map((line) => {
+        const separator = line.indexOf(':');
+        return separator > 0
+          ? { name: line.slice(0, separator).trim(), value: line.slice(separator + 1).trim() }
+          : null;
+      })
+      .filter((header) => header?.name);
+
+  // "name = path" lines, or just a path (the column is then named after it)
+  const parseColumns = (text) =>
+    text
+      .split('\n')
+      .map((line) => {
+        const separator = line.indexOf('=');
+        return separator > 0
+          ? { name: line.slice(0, separator).trim(), path: line.slice(separator + 1).trim() }
+          : { name: '', path: line.trim() };
+      })
+      .filter((column) => column.path);
+
+  // Connection (or upload) field of file-based sources
+  const connectionField = (sourceType) => {
+    if (sourceType === 's3') return 'storageConnection';
+    if (sourceType === 'upload') return 'upload';
+    return 'ftpConnection';
+  };
+
+  const handleUpload = async (files) => {
+    if (!files[0]) return;
 
-    if (!connId || !path) {
-      setError('Please select an FTP connection and enter a CSV file path');
+    setUploading(true);
+    setError(null);
+    try {
+      const upload = await uploadFile(files[0]);
+      setUploadedFile(upload);
+      setFormData({ ...formData, upload: upload._id });
+    } catch (error) {
+      console.error('Error uploading file:', error);
+      setError(error.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  // Source fields of the preview endpoints
+  const getSourceRequest = (data) =>
+    data.sourceType === 'http'
+      ? {
+        sourceType: 'http',
+        http: data.http,
+        feedId: isNew ? undefined : id,
+        archiveEntry: data.file.archiveEntry,
+      }
+      : {
+        sourceType: data.sourceType,
+        [`${connectionField(data.sourceType)}Id`]: data[connectionField(data.sourceType)],
+        filePath: data.file.path,
+        fileSelection: data.file.selection,
+        fileMode: data.file.mode,
+        archiveEntry: data.file.archiveEntry,
+      };
+
+  // Fetch CSV headers from the feed source
+  // Optional feed data allows calling this when editing a feed before formData state is updated
+  const fetchCsvHeaders = async (feedData) => {
+    const data = feedData || formData;
+    let hasSource;
+    if (data.sourceType === 'http') {
+      hasSource = data.http.url;
+    } else if (data.sourceType === 'upload') {
+      hasSource = data.upload;
+    } else {
+      hasSource = data[connectionField(data.sourceType)] && data.file.path;
+    }
+
+    if (!hasSource) {
+      const messages = {
+        http: 'Please enter a file URL',
+        upload: 'Please upload a CSV file',
+      };
+      setError(messages[data.sourceType] || 'Please select a connection and enter a CSV file path');
       return false;
     }
 
@@ -137,9 +311,13 @@ function FeedEdit() {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          ftpConnectionId: connId,
-          filePath: path,
-          delimiter: delim,
+          ...getSourceRequest(data),
+          delimiter: data.file.delimiter,
+          format: data.file.format,
+          sheet: data.file.sheet,
+          headerRow: data.file.headerRow,
+          recordPath: data.file.recordPath,
+          columns: data.file.columns,
         }),
       });
 
@@ -163,7 +341,7 @@ function FeedEdit() {
       return true;
     } catch (error) {
       console.error('Error fetching CSV headers:', error);
-      setError(error.message || 'Failed to fetch CSV headers from FTP');
+      setError(error.message || 'Failed to fetch CSV headers');
       return false;
     } finally {
       setLoadingCsv(false);
@@ -198,6 +376,23 @@ function FeedEdit() {
     }
   };
 
+  // Fetch shop locations for inventory sync
+  const fetchLocations = async () => {
+    try {
+      const shop = new URLSearchParams(window.location.search).get('shop') || sessionStorage.getItem('currentPageShop');
+      const response = await fetch(`/api/shops/current/locations?shop=${shop}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to fetch locations');
+      }
+
+      setLocations(data.locations || []);
+    } catch (error) {
+      console.error('Error fetching locations:', error);
+    }
+  };
+
   // Auto-map fields with matching names
   const autoMapFields = (shopifyFields, csvCols) => {
     if (!csvCols.length || formData.mappings.length > 0) return;
@@ -242,13 +437,27 @@ function FeedEdit() {
         setError('Please enter a feed name');
         return;
       }
-      if (!formData.ftpConnection) {
-        setError('Please select an FTP connection');
-        return;
-      }
-      if (!formData.file.path.trim()) {
-        setError('Please enter a CSV file path');
-        return;
+      if (formData.sourceType === 'http') {
+        if (!/^https?:\/\/.+/i.test(formData.http.url.trim())) {
+          setError('Please enter a file URL starting with http:// or https://');
+          return;
+        }
+      } else if (formData.sourceType === 'upload') {
+        if (!formData.upload) {
+          setError('Please upload a CSV file');
+          return;
+        }
+      } else {
+        if (!formData[connectionField(formData.sourceType)]) {
+          setError(formData.sourceType === 's3'
+            ? 'Please select a storage connection'
+            : 'Please select an FTP connection');
+          return;
+        }
+        if (!formData.file.path.trim()) {
+          setError('Please enter a CSV file path');
+          return;
+        }
       }
 
       setError(null);
@@ -257,6 +466,7 @@ function FeedEdit() {
       const csvSuccess = await fetchCsvHeaders();
       if (csvSuccess) {
         await fetchShopifyFields();
+        await fetchLocations();
         setCurrentStep(2);
       }
     } else if (currentStep === 2) {
@@ -298,10 +508,14 @@ function FeedEdit() {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          ftpConnectionId: formData.ftpConnection,
-          filePath: formData.file.path,
+          ...getSourceRequest(formData),
           columnName: columnName,
           delimiter: formData.file.delimiter,
+          format: formData.file.format,
+          sheet: formData.file.sheet,
+          headerRow: formData.file.headerRow,
+          recordPath: formData.file.recordPath,
+          columns: formData.file.columns,
         }),
       });
 
@@ -356,6 +570,12 @@ function FeedEdit() {
     }
   };
 
+  const updateHttp = (changes) =>
+    setFormData({ ...formData, http: { ...formData.http, ...changes } });
+
+  const updateHttpAuth = (changes) =>
+    updateHttp({ auth: { ...formData.http.auth, ...changes } });
+
   const ftpOptions = [
     { label: 'Select FTP Connection', value: '' },
     ...ftpConnections.map((conn) => ({
@@ -364,6 +584,14 @@ function FeedEdit() {
     })),
   ];
 
+  const storageOptions = [
+    { label: 'Select Storage Connection', value: '' },
+    ...storageConnections.map((conn) => ({
+      label: `${conn.name} (${conn.bucket})`,
+      value: conn._id,
+    })),
+  ];
+
   // Render Step 1: Basic Configuration
   const renderStep1 = () => (
     <Card>
@@ -382,45 +610,409 @@ function FeedEdit() {
           />
 
           <Select
-            label="FTP Connection"
-            options={ftpOptions}
-            value={formData.ftpConnection}
+            label="Source"
+            options={[
+              { label: 'FTP / SFTP connection', value: 'ftp' },
+              { label: 'S3-compatible storage', value: 's3' },
+              { label: 'HTTP(S) URL', value: 'http' },
+              { label: 'Uploaded file', value: 'upload' },
+            ]}
+            value={formData.sourceType}
             onChange={(value) =>
-              setFormData({ ...formData, ftpConnection: value })
+              setFormData({
+                ...formData,
+                sourceType: value,
+                // URLs and uploads are always a single file
+                file: ['http', 'upload'].includes(value) ? { ...formData.file, mode: 'single' } : formData.file,
+                // Uploaded files can't be checked for changes
+                schedule: value === 'upload' && formData.schedule.frequency === 'on_change'
+                  ? { ...formData.schedule, frequency: 'daily' }
+                  : formData.schedule,
+              })
             }
-            helpText="Select the FTP connection where your CSV file is located"
           />
 
+          {formData.sourceType === 'upload' ? (
+            <BlockStack gap="200">
+              <Text as="p" variant="bodyMd">CSV File</Text>
+              <DropZone
+                allowMultiple={false}
+                onDrop={(files) => handleUpload(files)}
+                disabled={uploading}
+              >
+                {uploading ? (
+                  <Box padding="400">
+                    <InlineStack gap="200" align="center">
+                      <Spinner size="small" />
+                      <Text>Uploading...</Text>
+                    </InlineStack>
+                  </Box>
+                ) : (
+                  <DropZone.FileUpload actionHint="Accepts .csv, .xlsx, .json, .ndjson and .xml files, also as .gz or .zip" />
+                )}
+              </DropZone>
+              {uploadedFile && (
+                <Text tone="subdued">
+                  Current file: {uploadedFile.name} ({Math.ceil(uploadedFile.size / 1024)} KB).
+                  Drop a new file to replace it.
+                </Text>
+              )}
+            </BlockStack>
+          ) : formData.sourceType === 'http' ? (
+            <>
+              <TextField
+                label="File URL"
+                value={formData.http.url}
+                onChange={(value) => updateHttp({ url: value })}
+                placeholder="https://supplier.example.com/export/products.csv"
+                autoComplete="off"
+              />
+
+              <Select
+                label="Authentication"
+                options={[
+                  { label: 'None', value: 'none' },
+                  { label: 'Basic (username and password)', value: 'basic' },
+                  { label: 'Bearer token', value: 'bearer' },
+                ]}
+                value={formData.http.auth.method}
+                onChange={(value) => updateHttpAuth({ method: value })}
+              />
+
+              {formData.http.auth.method === 'basic' && (
+                <FormLayout.Group>
+                  <TextField
+                    label="Username"
+                    value={formData.http.auth.username}
+                    onChange={(value) => updateHttpAuth({ username: value })}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Password"
+                    type="password"
+                    value={formData.http.auth.password}
+                    onChange={(value) => updateHttpAuth({ password: value })}
+                    helpText={formData.http.auth.hasPassword ? 'Leave blank to keep the current password' : undefined}
+                    autoComplete="new-password"
+                  />
+                </FormLayout.Group>
+              )}
+
+              {formData.http.auth.method === 'bearer' && (
+                <TextField
+                  label="Token"
+                  type="password"
+                  value={formData.http.auth.token}
+                  onChange={(value) => updateHttpAuth({ token: value })}
+                  helpText={formData.http.auth.hasToken ? 'Leave blank to keep the current token' : undefined}
+                  autoComplete="new-password"
+                />
+              )}
+
+              <TextField
+                label="Custom Headers"
+                value={httpHeadersText}
+                onChange={(value) => {
+                  setHttpHeadersText(value);
+                  updateHttp({ headers: parseHttpHeaders(value) });
+                }}
+                multiline={3}
+                placeholder="X-Api-Key: abc123"
+                helpText="One header per line, as Name: value"
+                autoComplete="off"
+              />
+            </>
+          ) : (
+            <>
+              {formData.sourceType === 's3' ? (
+                <Select
+                  label="Storage Connection"
+                  options={storageOptions}
+                  value={formData.storageConnection}
+                  onChange={(value) =>
+                    setFormData({ ...formData, storageConnection: value })
+                  }
+                  helpText="Select the bucket where your CSV file is located"
+                />
+              ) : (
+                <Select
+                  label="FTP Connection"
+                  options={ftpOptions}
+                  value={formData.ftpConnection}
+                  onChange={(value) =>
+                    setFormData({ ...formData, ftpConnection: value })
+                  }
+                  helpText="Select the FTP connection where your CSV file is located"
+                />
+              )}
+
+              <Select
+                label="Import Mode"
+                options={[
+                  { label: 'One file', value: 'single' },
+                  { label: 'Drop folder: import every new file once', value: 'folder' },
+                ]}
+                value={formData.file.mode || 'single'}
+                onChange={(value) =>
+                  setFormData({
+                    ...formData,
+                    file: { ...formData.file, mode: value },
+                  })
+                }
+                helpText={formData.file.mode === 'folder'
+                  ? 'Each run queues the files not imported yet, oldest first, one job per file. Use it for suppliers that send delta files; missing products are not handled.'
+                  : undefined}
+              />
+
+              <TextField
+                label={formData.file.mode === 'folder' ? 'Folder Path' : 'CSV File Path'}
+                value={formData.file.path}
+                onChange={(value) =>
+                  setFormData({
+                    ...formData,
+                    file: { ...formData.file, path: value },
+                  })
+                }
+                helpText={formData.file.mode === 'folder'
+                  ? `${formData.sourceType === 's3'
+                    ? 'Key prefix relative to the connection prefix'
+                    : 'Folder relative to FTP root directory'} (e.g., incoming). Add a file name pattern to only pick up matching files, e.g. incoming/delta_*.csv`
+                  : `${formData.sourceType === 's3'
+                    ? 'Object key relative to the connection prefix'
+                    : 'Path relative to FTP root directory'} (e.g., products.csv or folder/products.csv). Use * or ? in the file name to match date-stamped files, e.g. folder/stock_*.csv`}
+                autoComplete="off"
+                connectedRight={
+                  <Button
+                    onClick={() => setBrowsing(true)}
+                    disabled={!formData[connectionField(formData.sourceType)]}
+                  >
+                    Browse
+                  </Button>
+                }
+              />
+
+              <RemoteFileBrowser
+                open={browsing}
+                sourceType={formData.sourceType}
+                connectionId={formData[connectionField(formData.sourceType)]}
+                initialPath={formData.file.path}
+                selectFolder={formData.file.mode === 'folder'}
+                onClose={() => setBrowsing(false)}
+                onSelect={(value) => {
+                  // A picked folder keeps the file name pattern of the current path
+                  const pattern = formData.file.path.split('/').pop();
+                  const keepPattern = formData.file.mode === 'folder' && /[*?[]/.test(pattern);
+                  setFormData({
+                    ...formData,
+                    file: {
+                      ...formData.file,
+                      path: keepPattern ? `${value === '/' ? '' : `${value}/`}${pattern}` : value,
+                    },
+                  });
+                  setBrowsing(false);
+                }}
+              />
+
+              {formData.file.mode !== 'folder' && /[*?[]/.test(formData.file.path) && (
+                <Select
+                  label="Matching Files"
+                  options={[
+                    { label: 'Newest file (by modification time)', value: 'newest' },
+                    { label: 'Last file alphabetically', value: 'alphabetical' },
+                    { label: 'All matching files, oldest first', value: 'all' },
+                  ]}
+                  value={formData.file.selection || 'newest'}
+                  onChange={(value) =>
+                    setFormData({
+                      ...formData,
+                      file: { ...formData.file, selection: value },
+                    })
+                  }
+                  helpText="Resolved when each sync starts. Previews read the first file."
+                />
+              )}
+            </>
+          )}
+
           <TextField
-            label="CSV File Path"
-            value={formData.file.path}
+            label="Zip Entries"
+            value={formData.file.archiveEntry || ''}
             onChange={(value) =>
               setFormData({
                 ...formData,
-                file: { ...formData.file, path: value },
+                file: { ...formData.file, archiveEntry: value },
               })
             }
-            helpText="Path relative to FTP root directory (e.g., products.csv or folder/products.csv)"
+            placeholder="*.csv"
+            helpText="Gzip (.gz) and zip files are unpacked automatically. For zip files, only read the entries matching this pattern; leave empty to read every file in the archive."
             autoComplete="off"
           />
 
+          {formData.sourceType !== 'upload' && (
+            <>
+              <TextField
+                label="Ready Marker"
+                value={formData.file.marker?.suffix || ''}
+                onChange={(value) =>
+                  setFormData({
+                    ...formData,
+                    file: { ...formData.file, marker: { ...formData.file.marker, suffix: value } },
+                  })
+                }
+                placeholder=".done"
+                helpText="Only import a file once a marker file named after it exists, e.g. .done for products.csv.done. Until then runs end as waiting. Leave empty to import files right away."
+                autoComplete="off"
+              />
+
+              {formData.file.marker?.suffix && (
+                <Checkbox
+                  label="The marker is an MD5 manifest the file's checksum must match (e.g. .md5)"
+                  checked={formData.file.marker?.checksum || false}
+                  onChange={(value) =>
+                    setFormData({
+                      ...formData,
+                      file: { ...formData.file, marker: { ...formData.file.marker, checksum: value } },
+                    })
+                  }
+                />
+              )}
+            </>
+          )}
+
           <Select
-            label="Delimiter"
+            label="File Format"
             options={[
-              { label: 'Comma (,)', value: ',' },
-              { label: 'Semicolon (;)', value: ';' },
-              { label: 'Tab', value: '\t' },
-              { label: 'Pipe (|)', value: '|' },
+              { label: 'CSV', value: 'csv' },
+              { label: 'Excel workbook (.xlsx)', value: 'xlsx' },
+              { label: 'JSON', value: 'json' },
+              { label: 'JSON Lines (one record per line)', value: 'ndjson' },
+              { label: 'XML', value: 'xml' },
             ]}
-            value={formData.file.delimiter}
+            value={formData.file.format || 'csv'}
             onChange={(value) =>
               setFormData({
                 ...formData,
-                file: { ...formData.file, delimiter: value },
+                file: { ...formData.file, format: value },
               })
             }
           />
 
+          {formData.file.format === 'xml' ? (
+            <>
+              <TextField
+                label="Record Element"
+                value={formData.file.recordPath || ''}
+                onChange={(value) =>
+                  setFormData({
+                    ...formData,
+                    file: { ...formData.file, recordPath: value },
+                  })
+                }
+                placeholder="item"
+                helpText="The element repeated for each product, e.g. item (Google Shopping) or products/product. Leave empty for the children of the root element (the items, for RSS feeds)."
+                autoComplete="off"
+              />
+
+              <TextField
+                label="Columns"
+                value={columnsText}
+                onChange={(value) => {
+                  setColumnsText(value);
+                  setFormData({
+                    ...formData,
+                    file: { ...formData.file, columns: parseColumns(value) },
+                  });
+                }}
+                multiline={3}
+                placeholder={'sku = g:id\nprice = g:price\ncountry = g:shipping/g:country'}
+                helpText="One column per line, as name = path (or just a path), relative to the record element. Use parent/child for nested elements, image[2] for the second one, @id for an attribute. Leave empty to use every element found."
+                autoComplete="off"
+              />
+            </>
+          ) : ['json', 'ndjson'].includes(formData.file.format) ? (
+            <>
+              <TextField
+                label="Record Path"
+                value={formData.file.recordPath || ''}
+                onChange={(value) =>
+                  setFormData({
+                    ...formData,
+                    file: { ...formData.file, recordPath: value },
+                  })
+                }
+                placeholder={formData.file.format === 'ndjson' ? 'Each line' : 'Top-level list'}
+                helpText="Where the product records are, e.g. data.products. Leave empty when the file is a list of records (or, for JSON Lines, one record per line)."
+                autoComplete="off"
+              />
+
+              <TextField
+                label="Columns"
+                value={columnsText}
+                onChange={(value) => {
+                  setColumnsText(value);
+                  setFormData({
+                    ...formData,
+                    file: { ...formData.file, columns: parseColumns(value) },
+                  });
+                }}
+                multiline={3}
+                placeholder={'sku = variants[0].sku\ntitle\nprice = pricing.amount'}
+                helpText="One column per line, as name = path (or just a path). Use parent.child for nested fields, items[0].sku for a list item and items[].sku for all items. Leave empty to use every field found."
+                autoComplete="off"
+              />
+            </>
+          ) : (
+            <>
+              {formData.file.format === 'xlsx' ? (
+                <TextField
+                  label="Sheet"
+                  value={formData.file.sheet || ''}
+                  onChange={(value) =>
+                    setFormData({
+                      ...formData,
+                      file: { ...formData.file, sheet: value },
+                    })
+                  }
+                  placeholder="First sheet"
+                  helpText="Sheet name, or its position (1 for the first sheet). Leave empty to read the first sheet. Legacy .xls files must be saved as .xlsx."
+                  autoComplete="off"
+                />
+              ) : (
+                <Select
+                  label="Delimiter"
+                  options={[
+                    { label: 'Comma (,)', value: ',' },
+                    { label: 'Semicolon (;)', value: ';' },
+                    { label: 'Tab', value: '\t' },
+                    { label: 'Pipe (|)', value: '|' },
+                  ]}
+                  value={formData.file.delimiter}
+                  onChange={(value) =>
+                    setFormData({
+                      ...formData,
+                      file: { ...formData.file, delimiter: value },
+                    })
+                  }
+                />
+              )}
+
+              <TextField
+                label="Header Row"
+                type="number"
+                min={1}
+                value={String(formData.file.headerRow || 1)}
+                onChange={(value) =>
+                  setFormData({
+                    ...formData,
+                    file: { ...formData.file, headerRow: Math.max(parseInt(value, 10) || 1, 1) },
+                  })
+                }
+                helpText="Row of the column headers. Rows above it (titles, notes) are skipped."
+                autoComplete="off"
+              />
+            </>
+          )}
+
           <Divider />
 
           <Checkbox
@@ -443,6 +1035,9 @@ function FeedEdit() {
                   { label: 'Every 6 Hours', value: 'every_6_hours' },
                   { label: 'Daily', value: 'daily' },
                   { label: 'Weekly', value: 'weekly' },
+                  ...(formData.sourceType === 'upload'
+                    ? []
+                    : [{ label: 'When the file changes', value: 'on_change' }]),
                 ]}
                 value={formData.schedule.frequency}
                 onChange={(value) =>
@@ -453,17 +1048,39 @@ function FeedEdit() {
                 }
               />
 
-              <TextField
-                label="Time (HH:mm)"
-                value={formData.schedule.time}
-                onChange={(value) =>
-                  setFormData({
-                    ...formData,
-                    schedule: { ...formData.schedule, time: value },
-                  })
-                }
-                autoComplete="off"
-              />
+              {formData.schedule.frequency === 'on_change' ? (
+                <Select
+                  label="Check For Changes Every"
+                  options={[
+                    { label: '1 minute', value: '1' },
+                    { label: '2 minutes', value: '2' },
+                    { label: '5 minutes', value: '5' },
+                    { label: '10 minutes', value: '10' },
+                    { label: '15 minutes', value: '15' },
+                    { label: '30 minutes', value: '30' },
+                  ]}
+                  value={String(formData.schedule.pollInterval || 5)}
+                  onChange={(value) =>
+                    setFormData({
+                      ...formData,
+                      schedule: { ...formData.schedule, pollInterval: parseInt(value, 10) },
+                    })
+                  }
+                  helpText="Only the file's size and modification time are checked (ETag and Last-Modified for URLs); a sync runs when they change"
+                />
+              ) : (
+                <TextField
+                  label="Time (HH:mm)"
+                  value={formData.schedule.time}
+                  onChange={(value) =>
+                    setFormData({
+                      ...formData,
+                      schedule: { ...formData.schedule, time: value },
+                    })
+                  }
+                  autoComplete="off"
+                />
+              )}
             </>
           )}
 
@@ -472,7 +1089,7 @@ function FeedEdit() {
           <Text variant="headingSm">Options</Text>
 
           <Checkbox
-            label="Skip unchanged file (based on checksum)"
+            label="Skip unchanged file (based on checksum, or ETag/Last-Modified for URLs)"
             checked={formData.options.skipUnchangedFile}
             onChange={(value) =>
               setFormData({
@@ -529,6 +1146,144 @@ function FeedEdit() {
               })
             }
           />
+
+          <Checkbox
+            label="Pre-fetch catalog at job start"
+            helpText="Loads all products with one bulk query instead of looking up each row. Recommended for large feeds."
+            checked={formData.options.prefetchCatalog !== false}
+            onChange={(value) =>
+              setFormData({
+                ...formData,
+                options: { ...formData.options, prefetchCatalog: value },
+              })
+            }
+          />
+
+          <Select
+            label="Execution mode"
+            options={[
+              { label: 'Standard (row by row)', value: 'standard' },
+              { label: 'Bulk operations (large feeds)', value: 'bulk' },
+            ]}
+            value={formData.options.executionMode || 'standard'}
+            onChange={(value) =>
+              setFormData({
+                ...formData,
+                options: { ...formData.options, executionMode: value },
+              })
+            }
+            helpText="Bulk mode writes all products through Shopify's Bulk Operations API. Images and variant grouping are not supported."
+          />
+
+          {formData.options.executionMode !== 'bulk' && !formData.grouping?.column && (
+            <TextField
+              label="Rows synced in parallel"
+              type="number"
+              min={1}
+              max={10}
+              value={String(formData.options.concurrency ?? 1)}
+              onChange={(value) =>
+                setFormData({
+                  ...formData,
+                  options: { ...formData.options, concurrency: Number(value) },
+                })
+              }
+              helpText="Higher values finish large feeds sooner; requests still respect Shopify's rate limit"
+              autoComplete="off"
+            />
+          )}
+
+          <Select
+            label="Products not in feed"
+            options={[
+              { label: 'Do nothing', value: 'none' },
+              { label: 'Set to draft', value: 'draft' },
+              { label: 'Archive', value: 'archive' },
+              { label: 'Set inventory to 0', value: 'zero_stock' },
+              { label: 'Add a tag', value: 'tag' },
+            ]}
+            value={formData.missingProducts?.action || 'none'}
+            onChange={(value) =>
+              setFormData({
+                ...formData,
+                missingProducts: { ...formData.missingProducts, action: value },
+              })
+            }
+            helpText="Applies to products this feed created or updated that are no longer in the file"
+          />
+
+          {formData.missingProducts?.action && formData.missingProducts.action !== 'none' && (
+            <FormLayout.Group>
+              {formData.missingProducts.action === 'tag' && (
+                <TextField
+                  label="Tag"
+                  value={formData.missingProducts.tag || ''}
+                  onChange={(value) =>
+                    setFormData({
+                      ...formData,
+                      missingProducts: { ...formData.missingProducts, tag: value },
+                    })
+                  }
+                  autoComplete="off"
+                />
+              )}
+
+              <TextField
+                label="Safety threshold (%)"
+                type="number"
+                min={0}
+                max={100}
+                value={String(formData.missingProducts.maxPercent ?? 20)}
+                onChange={(value) =>
+                  setFormData({
+                    ...formData,
+                    missingProducts: { ...formData.missingProducts, maxPercent: Number(value) },
+                  })
+                }
+                helpText="Skip the action when more than this share of the feed's products is missing"
+                autoComplete="off"
+              />
+            </FormLayout.Group>
+          )}
+
+          {formData.sourceType === 'ftp' && (
+            <>
+              <Select
+                label="After a successful import"
+                options={[
+                  { label: 'Leave the file', value: 'none' },
+                  { label: 'Move to archive folder', value: 'archive' },
+                  { label: 'Rename with a timestamp', value: 'rename' },
+                  { label: 'Delete the file', value: 'delete' },
+                ]}
+                value={formData.postProcess?.action || 'none'}
+                onChange={(value) =>
+                  setFormData({
+                    ...formData,
+                    postProcess: { ...formData.postProcess, action: value },
+                  })
+                }
+                helpText={formData.postProcess?.action === 'rename'
+                  ? 'Renamed files (stock_20261018-093000.csv) still match a wildcard path like stock_*.csv'
+                  : 'Applies to the file on the FTP server; previews leave it in place'}
+              />
+
+              {formData.postProcess?.action === 'archive' && (
+                <TextField
+                  label="Archive folder"
+                  value={formData.postProcess.archiveFolder || ''}
+                  onChange={(value) =>
+                    setFormData({
+                      ...formData,
+                      postProcess: { ...formData.postProcess, archiveFolder: value },
+                    })
+                  }
+                  helpText="Relative to the file's folder, or to the FTP root when it starts with /"
+                  autoComplete="off"
+                />
+              )}
+            </>
+          )}
         </FormLayout>
       </BlockStack>
     </Card>
@@ -601,6 +1356,104 @@ function FeedEdit() {
                 }
               />
             </FormLayout.Group>
+
+            <FormLayout.Group>
+              <Select
+                label="Group Rows into Variants by (CSV)"
+                options={[
+                  { label: 'Do not group (one product per row)', value: '' },
+                  ...csvHeaders.map(h => ({ label: h, value: h }))
+                ]}
+                value={formData.grouping?.column || ''}
+                onChange={(value) =>
+                  setFormData({
+                    ...formData,
+                    grouping: { ...formData.grouping, column: value },
+                  })
+                }
+                helpText="Rows sharing this value (e.g. a parent style code) become variants of one product. Requires SKU matching."
+              />
+
+              <TextField
+                label="Option Names"
+                value={(formData.grouping?.optionNames || []).join(', ')}
+                onChange={(value) =>
+                  setFormData({
+                    ...formData,
+                    grouping: {
+                      ...formData.grouping,
+                      optionNames: value.split(',').map(n => n.trim()).slice(0, 3),
+                    },
+                  })
+                }
+                disabled={!formData.grouping?.column}
+                helpText="Comma-separated names for Option 1-3 (e.g. Size, Color)"
+                autoComplete="off"
+              />
+            </FormLayout.Group>
+
+            <Checkbox
+              label="Sync inventory quantities"
+              helpText="Sets the available quantity of each variant at a Shopify location"
+              checked={formData.inventory?.enabled || false}
+              onChange={(value) =>
+                setFormData({
+                  ...formData,
+                  inventory: { ...formData.inventory, enabled: value },
+                })
+              }
+            />
+
+            {formData.inventory?.enabled && (
+              <FormLayout.Group>
+                <Select
+                  label="Quantity Column (CSV)"
+                  options={[
+                    { label: 'Select CSV Column', value: '' },
+                    ...csvHeaders.map(h => ({ label: h, value: h }))
+                  ]}
+                  value={formData.inventory.quantityColumn || ''}
+                  onChange={(value) =>
+                    setFormData({
+                      ...formData,
+                      inventory: { ...formData.inventory, quantityColumn: value },
+                    })
+                  }
+                />
+
+                <Select
+                  label="Location Column (CSV, optional)"
+                  options={[
+                    { label: 'None - use default location', value: '' },
+                    ...csvHeaders.map(h => ({ label: h, value: h }))
+                  ]}
+                  value={formData.inventory.locationColumn || ''}
+                  onChange={(value) =>
+                    setFormData({
+                      ...formData,
+                      inventory: { ...formData.inventory, locationColumn: value },
+                    })
+                  }
+                  helpText="Column holding a location name or ID per row"
+                />
+
+                <Select
+                  label="Default Location"
+                  options={[
+                    { label: 'Select Location', value: '' },
+                    ...locations.map(l => ({ label: l.name, value: l.id }))
+                  ]}
+                  value={formData.inventory.locationId || ''}
+                  onChange={(value) =>
+                    setFormData({
+                      ...formData,
+                      inventory: { ...formData.inventory, locationId: value },
+                    })
+                  }
+                  helpText="Used when the row has no location"
+                />
+              </FormLayout.Group>
+            )}
           </FormLayout>
         </Box>
 
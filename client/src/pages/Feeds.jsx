@@ -78,7 +78,10 @@ function Feeds() {
       </IndexTable.Cell>
       <IndexTable.Cell>{getStatusBadge(feed.status)}</IndexTable.Cell>
       <IndexTable.Cell>
-        {feed.ftpConnection?.name || 'N/A'}
+        {feed.sourceType === 'http' && 'HTTP(S) URL'}
+        {feed.sourceType === 'upload' && `Upload: ${feed.upload?.name || 'N/A'}`}
+        {['ftp', 's3'].includes(feed.sourceType || 'ftp') &&
+          ((feed.sourceType === 's3' ? feed.storageConnection : feed.ftpConnection)?.name || 'N/A')}
       </IndexTable.Cell>
       <IndexTable.Cell>
         {feed.schedule?.enabled ? feed.schedule.frequency : 'Manual only'}
@@ -145,7 +148,7 @@ function Feeds() {
             headings={[
               { title: 'Name' },
               { title: 'Status' },
-              { title: 'FTP Connection' },
+              { title: 'Source' },
               { title: 'Schedule' },
               { title: 'Last Sync' },
               { title: 'Actions' },
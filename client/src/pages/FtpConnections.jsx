@@ -12,6 +12,8 @@ import {
   TextField,
   Select,
   InlineStack,
+  BlockStack,
+  Banner,
 } from '@shopify/polaris';
 import FullPageLoader from '../components/FullPageLoader';
 
@@ -20,6 +22,8 @@ function FtpConnections() {
   const [loading, setLoading] = useState(true);
   const [modalActive, setModalActive] = useState(false);
   const [testingId, setTestingId] = useState(null);
+  const [hostKeyReview, setHostKeyReview] = useState(null); // Connection whose SFTP host key changed
+  const [acceptingKey, setAcceptingKey] = useState(false);
 
   const [formData, setFormData] = useState({
     name: '',
@@ -92,11 +96,20 @@ function FtpConnections() {
       );
       const data = await response.json();
 
-      alert(
-        data.success
-          ? 'Connection successful!'
-          : `Connection failed: ${data.error}`
-      );
+      if (data.hostKeyMismatch) {
+        const connection = connections.find((conn) => conn._id === id);
+        setHostKeyReview({
+          ...connection,
+          pendingHostKey: data.hostKey,
+          hostKey: data.pinnedHostKey || connection.hostKey,
+        });
+      } else {
+        alert(
+          data.success
+            ? `Connection successful!${data.pinnedHostKey ? `\nHost key: ${data.pinnedHostKey.fingerprint}` : ''}`
+            : `Connection failed: ${data.error}`
+        );
+      }
 
       fetchConnections();
     } catch (error) {
@@ -107,6 +120,33 @@ function FtpConnections() {
     }
   };
 
+  const handleAcceptHostKey = async () => {
+    setAcceptingKey(true);
+    try {
+      const shop = new URLSearchParams(window.location.search).get('shop') || sessionStorage.getItem('currentPageShop');
+      const response = await fetch(`/api/ftp-connections/${hostKeyReview._id}/host-key?shop=${shop}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ fingerprint: hostKeyReview.pendingHostKey.fingerprint }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        alert(data.message || 'Error accepting host key');
+        return;
+      }
+
+      const id = hostKeyReview._id;
+      setHostKeyReview(null);
+      handleTest(id);
+    } catch (error) {
+      console.error('Error accepting host key:', error);
+      alert('Error accepting host key');
+    } finally {
+      setAcceptingKey(false);
+    }
+  };
+
   const handleDelete = async (id) => {
     if (!confirm('Are you sure you want to delete this connection?')) return;
 
@@ -122,6 +162,10 @@ function FtpConnections() {
   };
 
   const getStatusBadge = (connection) => {
+    if (connection.pendingHostKey?.fingerprint) {
+      return <Badge tone="critical">Host Key Changed</Badge>;
+    }
+
     if (!connection.lastTestStatus) {
       return <Badge>Not Tested</Badge>;
     }
@@ -153,6 +197,11 @@ function FtpConnections() {
       <IndexTable.Cell>{getStatusBadge(conn)}</IndexTable.Cell>
       <IndexTable.Cell>
         <InlineStack gap="200">
+          {conn.pendingHostKey?.fingerprint && (
+            <Button size="slim" onClick={() => setHostKeyReview(conn)}>
+              Review Key
+            </Button>
+          )}
           <Button
             size="slim"
             onClick={() => handleTest(conn._id)}
@@ -212,6 +261,51 @@ function FtpConnections() {
         )}
       </Card>
 
+      {hostKeyReview && (
+        <Modal
+          open
+          onClose={() => setHostKeyReview(null)}
+          title="SFTP host key changed"
+          primaryAction={{
+            content: 'Accept New Key',
+            destructive: true,
+            loading: acceptingKey,
+            onAction: handleAcceptHostKey,
+          }}
+          secondaryActions={[
+            {
+              content: 'Cancel',
+              onAction: () => setHostKeyReview(null),
+            },
+          ]}
+        >
+          <Modal.Section>
+            <BlockStack gap="400">
+              <Banner tone="critical">
+                <p>
+                  {hostKeyReview.host} presented a different host key than the one accepted before.
+                  Connections are refused until you accept it. Only accept it if you know the server
+                  was reinstalled or its key was rotated; otherwise the connection may be intercepted.
+                </p>
+              </Banner>
+              <TextField
+                label={`Accepted key${hostKeyReview.hostKey?.algorithm ? ` (${hostKeyReview.hostKey.algorithm})` : ''}`}
+                value={hostKeyReview.hostKey?.fingerprint || ''}
+                readOnly
+                autoComplete="off"
+              />
+              <TextField
+                label={`New key${hostKeyReview.pendingHostKey?.algorithm ? ` (${hostKeyReview.pendingHostKey.algorithm})` : ''}`}
+                value={hostKeyReview.pendingHostKey?.fingerprint || ''}
+                readOnly
+                helpText="Compare it with the fingerprint your hosting provider gives you (ssh-keyscan host | ssh-keygen -lf -)"
+                autoComplete="off"
+              />
+            </BlockStack>
+          </Modal.Section>
+        </Modal>
+      )}
+
       <Modal
         open={modalActive}
         onClose={() => setModalActive(false)}
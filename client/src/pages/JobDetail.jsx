@@ -11,6 +11,8 @@ import {
     Pagination,
     Box,
     Banner,
+    Modal,
+    Select,
 } from '@shopify/polaris';
 import { useParams, useNavigate } from 'react-router-dom';
 import FullPageLoader from '../components/FullPageLoader';
@@ -26,6 +28,9 @@ function JobDetail() {
     const [page, setPage] = useState(1);
     const [totalPages, setTotalPages] = useState(1);
     const [error, setError] = useState(null);
+    const [rollbackModalActive, setRollbackModalActive] = useState(false);
+    const [createdAction, setCreatedAction] = useState('none');
+    const [rollbackLoading, setRollbackLoading] = useState(false);
 
     const fetchJobDetails = async () => {
         try {
@@ -93,6 +98,31 @@ function JobDetail() {
         }
     };
 
+    // Queue a rollback of `sourceJobId` and open the new rollback job
+    const startRollback = async (sourceJobId, action, dryRun) => {
+        setRollbackLoading(true);
+        try {
+            const shop = new URLSearchParams(window.location.search).get('shop') || sessionStorage.getItem('currentPageShop');
+            const response = await fetch(`/api/jobs/${sourceJobId}/rollback?shop=${shop}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ createdAction: action, dryRun }),
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to start rollback');
+            }
+
+            setRollbackModalActive(false);
+            navigate(`/jobs/${data.rollbackJobId}`);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setRollbackLoading(false);
+        }
+    };
+
     if (loading) {
         return <FullPageLoader label="Loading job details..." />;
     }
@@ -121,7 +151,12 @@ function JobDetail() {
             {row.status}
         </Badge>,
         row.operation || '-',
-        row.message || '-',
+        row.message ||
+            row.error?.message ||
+            row.warnings?.[0]?.message ||
+            (row.changes?.length
+                ? row.changes.map((c) => `${c.field}: ${c.oldValue ?? '<empty>'} → ${c.newValue ?? '<empty>'}`).join('; ')
+                : '-'),
         row.data ? JSON.stringify(row.data).substring(0, 50) + '...' : '-',
     ]);
 
@@ -133,9 +168,48 @@ function JobDetail() {
             secondaryActions={
                 job.status === 'pending' || job.status === 'processing'
                     ? [{ content: 'Cancel Job', onAction: handleCancel, destructive: true }]
-                    : []
+                    : !job.isPreview && job.type !== 'rollback'
+                        ? [{ content: 'Roll Back', onAction: () => setRollbackModalActive(true) }]
+                        : []
             }
         >
+            <Modal
+                open={rollbackModalActive}
+                onClose={() => setRollbackModalActive(false)}
+                title="Roll back this job"
+                primaryAction={{
+                    content: 'Roll Back',
+                    destructive: true,
+                    loading: rollbackLoading,
+                    onAction: () => startRollback(id, createdAction, false),
+                }}
+                secondaryActions={[
+                    {
+                        content: 'Preview (dry run)',
+                        disabled: rollbackLoading,
+                        onAction: () => startRollback(id, createdAction, true),
+                    },
+                ]}
+            >
+                <Modal.Section>
+                    <BlockStack gap="400">
+                        <Text>
+                            Restores the previous value of every field, metafield and inventory quantity this job changed.
+                        </Text>
+                        <Select
+                            label="Products created by this job"
+                            options={[
+                                { label: 'Keep', value: 'none' },
+                                { label: 'Archive', value: 'archive' },
+                                { label: 'Delete', value: 'delete' },
+                            ]}
+                            value={createdAction}
+                            onChange={setCreatedAction}
+                        />
+                    </BlockStack>
+                </Modal.Section>
+            </Modal>
+
             <Layout>
                 <Layout.Section>
                     <Card>
@@ -150,10 +224,12 @@ function JobDetail() {
                                                 ? 'success'
                                                 : job.status === 'failed'
                                                     ? 'critical'
-                                                    : 'info'
+                                                    : job.status === 'waiting'
+                                                        ? 'attention'
+                                                        : 'info'
                                         }
                                     >
-                                        {job.status}
+                                        {job.status === 'waiting' ? 'waiting for file' : job.status}
                                     </Badge>
                                 </BlockStack>
                                 <BlockStack gap="200">
@@ -170,6 +246,65 @@ function JobDetail() {
                                 </BlockStack>
                             </InlineGrid>
 
+                            {job.type === 'rollback' && job.rollback?.sourceJob && (
+                                <Banner
+                                    tone={job.isPreview ? 'info' : 'success'}
+                                    title={job.isPreview ? 'Rollback preview (dry run)' : 'Rollback'}
+                                    action={{
+                                        content: 'View original job',
+                                        onAction: () => navigate(`/jobs/${job.rollback.sourceJob}`),
+                                    }}
+                                    secondaryAction={
+                                        job.isPreview && job.status === 'completed'
+                                            ? {
+                                                content: 'Run rollback',
+                                                onAction: () => startRollback(job.rollback.sourceJob, job.rollback.createdAction, false),
+                                            }
+                                            : undefined
+                                    }
+                                >
+                                    <p>
+                                        {job.isPreview
+                                            ? 'No changes were made. The rows below show what the rollback would restore.'
+                                            : `Restored values written by the original job. Created products: ${job.rollback.createdAction}.`}
+                                    </p>
+                                </Banner>
+                            )}
+
+                            {job.missingProducts?.action && (
+                                <Banner
+                                    tone={job.missingProducts.aborted ? 'warning' : 'info'}
+                                    title="Products not in feed"
+                                >
+                                    <p>
+                                        {job.missingProducts.aborted
+                                            ? `Skipped: ${job.missingProducts.message}`
+                                            : `${job.missingProducts.found || 0} missing, ${job.missingProducts.handled || 0} handled (${job.missingProducts.action}), ${job.missingProducts.failed || 0} failed`}
+                                    </p>
+                                </Banner>
+                            )}
+
+                            {job.postProcess?.action && (
+                                <Banner
+                                    tone={job.postProcess.status === 'failed' ? 'warning' : 'info'}
+                                    title="Source file"
+                                >
+                                    <p>
+                                        {job.postProcess.status === 'failed'
+                                            ? `Could not ${job.postProcess.action} the file: ${job.postProcess.message}`
+                                            : (job.postProcess.files || [])
+                                                .map((file) => (file.movedTo ? `Moved ${file.path} to ${file.movedTo}` : `Deleted ${file.path}`))
+                                                .join(', ')}
+                                    </p>
+                                </Banner>
+                            )}
+
+                            {job.status === 'waiting' && (
+                                <Banner tone="warning" title="Waiting for file">
+                                    <p>{job.waitingReason}. The file was not imported; the next run checks again.</p>
+                                </Banner>
+                            )}
+
                             {job.error && (
                                 <Banner tone="critical" title="Job Failed">
                                     <p>{job.error.message || JSON.stringify(job.error)}</p>
@@ -0,0 +1,315 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Page,
+  Card,
+  IndexTable,
+  Text,
+  Button,
+  Badge,
+  EmptyState,
+  Modal,
+  FormLayout,
+  TextField,
+  Checkbox,
+  InlineStack,
+} from '@shopify/polaris';
+import FullPageLoader from '../components/FullPageLoader';
+
+const emptyForm = {
+  name: '',
+  endpoint: '',
+  region: 'us-east-1',
+  bucket: '',
+  prefix: '',
+  accessKeyId: '',
+  secretAccessKey: '',
+  forcePathStyle: true,
+};
+
+function StorageConnections() {
+  const [connections, setConnections] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [modalActive, setModalActive] = useState(false);
+  const [testingId, setTestingId] = useState(null);
+
+  const [formData, setFormData] = useState(emptyForm);
+
+  const fetchConnections = async () => {
+    try {
+      const shop = new URLSearchParams(window.location.search).get('shop') || sessionStorage.getItem('currentPageShop');
+      if (!shop) {
+        console.error('No shop provided');
+        return;
+      }
+      const response = await fetch(`/api/storage-connections?shop=${shop}`);
+      const data = await response.json();
+      setConnections(data.connections);
+    } catch (error) {
+      console.error('Error fetching connections:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchConnections();
+  }, []);
+
+  if (loading) {
+    return <FullPageLoader label="Loading connections..." />;
+  }
+
+  const handleSubmit = async () => {
+    try {
+      const shop = new URLSearchParams(window.location.search).get('shop') || sessionStorage.getItem('currentPageShop');
+      const response = await fetch(`/api/storage-connections?shop=${shop}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(formData),
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        alert(data.message || 'Error creating connection');
+        return;
+      }
+
+      setModalActive(false);
+      setFormData(emptyForm);
+      fetchConnections();
+    } catch (error) {
+      console.error('Error creating connection:', error);
+      alert('Error creating connection');
+    }
+  };
+
+  const handleTest = async (id) => {
+    setTestingId(id);
+    try {
+      const shop = new URLSearchParams(window.location.search).get('shop') || sessionStorage.getItem('currentPageShop');
+      const response = await fetch(
+        `/api/storage-connections/${id}/test?shop=${shop}`,
+        { method: 'POST' }
+      );
+      const data = await response.json();
+
+      alert(
+        data.success
+          ? 'Connection successful!'
+          : `Connection failed: ${data.error}`
+      );
+
+      fetchConnections();
+    } catch (error) {
+      console.error('Error testing connection:', error);
+      alert('Error testing connection');
+    } finally {
+      setTestingId(null);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!confirm('Are you sure you want to delete this connection?')) return;
+
+    try {
+      const shop = new URLSearchParams(window.location.search).get('shop') || sessionStorage.getItem('currentPageShop');
+      await fetch(`/api/storage-connections/${id}?shop=${shop}`, {
+        method: 'DELETE',
+      });
+      fetchConnections();
+    } catch (error) {
+      console.error('Error deleting connection:', error);
+    }
+  };
+
+  const getStatusBadge = (connection) => {
+    if (!connection.lastTestStatus) {
+      return <Badge>Not Tested</Badge>;
+    }
+
+    return connection.lastTestStatus === 'success' ? (
+      <Badge tone="success">Connected</Badge>
+    ) : (
+      <Badge tone="critical">Failed</Badge>
+    );
+  };
+
+  const resourceName = {
+    singular: 'connection',
+    plural: 'connections',
+  };
+
+  const rowMarkup = connections.map((conn, index) => (
+    <IndexTable.Row id={conn._id} key={conn._id} position={index}>
+      <IndexTable.Cell>
+        <Text variant="bodyMd" fontWeight="bold" as="span">
+          {conn.name}
+        </Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{conn.endpoint || 'AWS S3'}</IndexTable.Cell>
+      <IndexTable.Cell>{conn.bucket}</IndexTable.Cell>
+      <IndexTable.Cell>{conn.prefix || '-'}</IndexTable.Cell>
+      <IndexTable.Cell>{getStatusBadge(conn)}</IndexTable.Cell>
+      <IndexTable.Cell>
+        <InlineStack gap="200">
+          <Button
+            size="slim"
+            onClick={() => handleTest(conn._id)}
+            loading={testingId === conn._id}
+          >
+            Test
+          </Button>
+          <Button
+            size="slim"
+            tone="critical"
+            onClick={() => handleDelete(conn._id)}
+          >
+            Delete
+          </Button>
+        </InlineStack>
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Page
+      title="Storage Connections"
+      primaryAction={{
+        content: 'Add Connection',
+        onAction: () => setModalActive(true),
+      }}
+    >
+      <Card padding="0">
+        {connections.length === 0 && !loading ? (
+          <EmptyState
+            heading="Add your first storage connection"
+            action={{
+              content: 'Add Connection',
+              onAction: () => setModalActive(true),
+            }}
+            image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+          >
+            <p>Connect to an S3-compatible bucket (AWS S3, MinIO, Spaces, R2) to import CSV files</p>
+          </EmptyState>
+        ) : (
+          <IndexTable
+            resourceName={resourceName}
+            itemCount={connections.length}
+            headings={[
+              { title: 'Name' },
+              { title: 'Endpoint' },
+              { title: 'Bucket' },
+              { title: 'Prefix' },
+              { title: 'Status' },
+              { title: 'Actions' },
+            ]}
+            selectable={false}
+            loading={loading}
+          >
+            {rowMarkup}
+          </IndexTable>
+        )}
+      </Card>
+
+      <Modal
+        open={modalActive}
+        onClose={() => setModalActive(false)}
+        title="Add Storage Connection"
+        primaryAction={{
+          content: 'Save',
+          onAction: handleSubmit,
+        }}
+        secondaryActions={[
+          {
+            content: 'Cancel',
+            onAction: () => setModalActive(false),
+          },
+        ]}
+      >
+        <Modal.Section>
+          <FormLayout>
+            <TextField
+              label="Connection Name"
+              value={formData.name}
+              onChange={(value) =>
+                setFormData({ ...formData, name: value })
+              }
+              autoComplete="off"
+            />
+
+            <TextField
+              label="Endpoint"
+              value={formData.endpoint}
+              onChange={(value) =>
+                setFormData({ ...formData, endpoint: value })
+              }
+              placeholder="http://localhost:9000"
+              helpText="Leave blank for AWS S3"
+              autoComplete="off"
+            />
+
+            <FormLayout.Group>
+              <TextField
+                label="Region"
+                value={formData.region}
+                onChange={(value) =>
+                  setFormData({ ...formData, region: value })
+                }
+                autoComplete="off"
+              />
+
+              <TextField
+                label="Bucket"
+                value={formData.bucket}
+                onChange={(value) =>
+                  setFormData({ ...formData, bucket: value })
+                }
+                autoComplete="off"
+              />
+            </FormLayout.Group>
+
+            <TextField
+              label="Access Key ID"
+              value={formData.accessKeyId}
+              onChange={(value) =>
+                setFormData({ ...formData, accessKeyId: value })
+              }
+              autoComplete="off"
+            />
+
+            <TextField
+              label="Secret Access Key"
+              type="password"
+              value={formData.secretAccessKey}
+              onChange={(value) =>
+                setFormData({ ...formData, secretAccessKey: value })
+              }
+              autoComplete="off"
+            />
+
+            <TextField
+              label="Prefix"
+              value={formData.prefix}
+              onChange={(value) =>
+                setFormData({ ...formData, prefix: value })
+              }
+              helpText="Folder in the bucket that file paths are relative to (e.g., exports/)"
+              autoComplete="off"
+            />
+
+            <Checkbox
+              label="Path-style addressing"
+              checked={formData.forcePathStyle}
+              onChange={(value) =>
+                setFormData({ ...formData, forcePathStyle: value })
+              }
+              helpText="Required by most self-hosted services such as MinIO"
+            />
+          </FormLayout>
+        </Modal.Section>
+      </Modal>
+    </Page>
+  );
+}
+
+export default StorageConnections;
@@ -0,0 +1,25 @@
+/**
+ * Upload a CSV file for a feed or a one-off run
+ * The file is sent as the raw request body.
+ * @param {File} file - File picked by the user
+ * @returns {Promise<Object>} The stored upload
+ */
+export const uploadFile = async (file) => {
+  const shop = new URLSearchParams(window.location.search).get('shop') || sessionStorage.getItem('currentPageShop');
+  const response = await fetch(`/api/uploads?shop=${shop}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': file.type || 'application/octet-stream',
+      'X-File-Name': encodeURIComponent(file.name),
+    },
+    body: file,
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.message || 'Failed to upload file');
+  }
+
+  return data.upload;
+};
@@ -15,6 +15,9 @@ import feedRoutes from './routes/feeds.js';
 import ftpRoutes from './routes/ftp-connections.js';
 import jobRoutes from './routes/jobs.js';
 import shopRoutes from './routes/shops.js';
+import storageRoutes from './routes/storage-connections.js';
+import uploadRoutes from './routes/uploads.js';
+import pushRoutes from './routes/push.js';
 import shopifyFieldsRoutes from './routes/shopify-fields.js';
 import Shop from './models/Shop.js';
 
@@ -78,11 +81,7 @@ class App {
     // Compression
     this.app.use(compression());
 
-    // Body parsing
-    this.app.use(express.json({ limit: '10mb' }));
-    this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-
-    // Logging
+    // Logging (before the push routes, so third-party pushes are logged too)
     if (config.env === 'development') {
       this.app.use(morgan('dev'));
     } else {
@@ -95,6 +94,18 @@ class App {
       );
     }
 
+    // Inbound file pushes read the raw body, so they are routed before the body
+    // parsers; they authenticate with a per-feed token instead of Shopify auth
+    this.app.use('/api/push', pushRoutes);
+
+    // Uploads stream the raw body to disk; a JSON parser would consume a
+    // .json file sent as application/json before it is stored
+    this.app.use('/api/uploads', shopifyAuth, uploadRoutes);
+
+    // Body parsing
+    this.app.use(express.json({ limit: '10mb' }));
+    this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
     // Serve static files from client build
     if (config.env === 'production') {
       this.app.use(express.static('client/dist'));
@@ -131,6 +142,7 @@ class App {
     this.app.use('/api/ftp-connections', shopifyAuth, ftpRoutes);
     this.app.use('/api/jobs', shopifyAuth, jobRoutes);
     this.app.use('/api/shops', shopifyAuth, shopRoutes);
+    this.app.use('/api/storage-connections', shopifyAuth, storageRoutes);
     this.app.use('/api/shopify-fields', shopifyAuth, shopifyFieldsRoutes);
 
     // Serve React app for all other routes (in production)
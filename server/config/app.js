@@ -18,11 +18,33 @@ export const config = {
     scopes: process.env.SHOPIFY_SCOPES?.split(',') || [
       'write_products',
       'read_products',
+      'write_inventory',
+      'read_inventory',
+      'read_locations',
     ],
     appUrl: process.env.SHOPIFY_APP_URL,
     apiVersion: process.env.SHOPIFY_API_VERSION || '2024-10',
     rateLimitDelay: parseInt(process.env.SHOPIFY_API_RATE_LIMIT, 10) || 2,
     burstLimit: parseInt(process.env.SHOPIFY_API_BURST_LIMIT, 10) || 40,
+    // Bulk Operations API (bulk execution mode)
+    bulk: {
+      pollInterval: parseInt(process.env.SHOPIFY_BULK_POLL_INTERVAL, 10) || 5000,
+      timeoutMinutes: parseInt(process.env.SHOPIFY_BULK_TIMEOUT_MINUTES, 10) || 180,
+      // Largest JSONL variables file staged for one bulk mutation (Shopify allows 20 MB)
+      maxFileMB: parseInt(process.env.SHOPIFY_BULK_MAX_FILE_MB, 10) || 20,
+      // Use the in-process mock of staged uploads and bulk operations (offline testing)
+      mock: process.env.SHOPIFY_BULK_MOCK === 'true',
+    },
+    // Cost-based throttling of Admin GraphQL requests; the bucket size and
+    // restore rate are learned from Shopify, these are used until then
+    throttle: {
+      defaultMaximum: parseInt(process.env.SHOPIFY_THROTTLE_DEFAULT_MAXIMUM, 10) || 1000,
+      defaultRestoreRate: parseInt(process.env.SHOPIFY_THROTTLE_DEFAULT_RESTORE_RATE, 10) || 50,
+      defaultCost: parseInt(process.env.SHOPIFY_THROTTLE_DEFAULT_COST, 10) || 50,
+      maxRetries: parseInt(process.env.SHOPIFY_THROTTLE_MAX_RETRIES, 10) || 5,
+    },
+    // Jobs with fewer rows look products up one by one instead of indexing the catalog
+    catalogIndexMinRows: parseInt(process.env.SHOPIFY_CATALOG_INDEX_MIN_ROWS, 10) || 50,
   },
 
   // MongoDB
@@ -57,6 +79,23 @@ export const config = {
     tempDir: process.env.TEMP_UPLOAD_DIR || './temp',
   },
 
+  // Feed sources
+  source: {
+    httpTimeout: parseInt(process.env.SOURCE_HTTP_TIMEOUT_MS, 10) || 300000,
+    // Feed URLs on loopback and private networks are refused unless allowed
+    allowPrivateHosts: process.env.SOURCE_ALLOW_PRIVATE_HOSTS === 'true',
+    // Storage connection endpoints too, e.g. a local MinIO
+    allowPrivateStorageEndpoints: process.env.SOURCE_ALLOW_PRIVATE_STORAGE_ENDPOINTS === 'true',
+  },
+
+  // Inbound file pushes
+  push: {
+    // How far the signed timestamp of a push may be from the server clock
+    timestampTolerance: parseInt(process.env.PUSH_TIMESTAMP_TOLERANCE_S, 10) || 300,
+    // Pushed files kept per feed
+    keepFiles: parseInt(process.env.PUSH_KEEP_FILES, 10) || 10,
+  },
+
   // Logging
   logging: {
     level: process.env.LOG_LEVEL || 'info',
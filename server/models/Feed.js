@@ -20,19 +20,123 @@ const feedSchema = new mongoose.Schema(
       trim: true,
     },
 
+    // Where the file is fetched from: a path on an FTP/SFTP connection,
+    // an object in an S3-compatible bucket, an HTTP(S) URL or an uploaded file
+    sourceType: {
+      type: String,
+      enum: ['ftp', 's3', 'http', 'upload'],
+      default: 'ftp',
+    },
+
     // FTP connection reference
     ftpConnection: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'FtpConnection',
-      required: true,
+      required: function () {
+        return this.sourceType === 'ftp';
+      },
+    },
+
+    // Object storage connection reference
+    storageConnection: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StorageConnection',
+      required: function () {
+        return this.sourceType === 's3';
+      },
+    },
+
+    // Uploaded file
+    upload: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Upload',
+      required: function () {
+        return this.sourceType === 'upload';
+      },
+    },
+
+    // Inbound push: suppliers POST files to /api/push/feeds/:id, signed with the token
+    push: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      token: String, // Encrypted
+      tokenCreatedAt: Date,
+    },
+
+    // HTTP(S) source
+    http: {
+      url: {
+        type: String,
+        trim: true,
+        required: function () {
+          return this.sourceType === 'http';
+        },
+      },
+      auth: {
+        method: {
+          type: String,
+          enum: ['none', 'basic', 'bearer'],
+          default: 'none',
+        },
+        username: String,
+        password: String, // Encrypted
+        token: String, // Encrypted
+      },
+      headers: [
+        {
+          _id: false,
+          name: { type: String, trim: true },
+          value: String,
+        },
+      ],
     },
 
     // CSV file configuration
     file: {
       path: {
         type: String,
-        required: true,
         trim: true,
+        required: function () {
+          return ['ftp', 's3'].includes(this.sourceType);
+        },
+      },
+      // 'xlsx': an Excel workbook, read from one sheet; 'json': a JSON document,
+      // 'ndjson': JSON Lines (one record per line); 'xml': an XML feed
+      format: {
+        type: String,
+        enum: ['csv', 'xlsx', 'json', 'ndjson', 'xml'],
+        default: 'csv',
+      },
+      // Where the records are in a JSON file (data.products); empty for a
+      // top-level list, or one record per line. For XML, the repeating
+      // element (item, channel/item); empty for the children of the root
+      recordPath: {
+        type: String,
+        trim: true,
+        default: '',
+      },
+      // Columns read from each JSON or XML record, by path (variants[0].sku,
+      // shipping/g:price, @id); empty reads every field found
+      columns: [
+        {
+          _id: false,
+          name: { type: String, trim: true },
+          path: { type: String, trim: true },
+        },
+      ],
+      // Sheet name, or 1-based position; empty reads the first sheet
+      sheet: {
+        type: String,
+        trim: true,
+        default: '',
+      },
+      // Line (CSV) or row (sheet) of the header, for files with title rows above it
+      headerRow: {
+        type: Number,
+        min: 1,
+        default: 1,
       },
       encoding: {
         type: String,
@@ -47,6 +151,40 @@ const feedSchema = new mongoose.Schema(
         type: Boolean,
         default: true,
       },
+      // Which files a path with wildcards (stock_*.csv) reads: the most recently
+      // modified match, the alphabetically last one, or all matches oldest first
+      selection: {
+        type: String,
+        enum: ['newest', 'alphabetical', 'all'],
+        default: 'newest',
+      },
+      // Zip entries to read, as a name pattern (stock_*.csv); empty reads every file
+      archiveEntry: {
+        type: String,
+        trim: true,
+        default: '',
+      },
+      // 'folder': the path is a drop folder (optionally with a file name pattern)
+      // and every new file in it is imported once, by its own job, oldest first
+      mode: {
+        type: String,
+        enum: ['single', 'folder'],
+        default: 'single',
+      },
+      // Ready marker: a file is only imported once a companion file named after
+      // it plus the suffix (products.csv.done) exists (FTP/SFTP, S3 and URLs)
+      marker: {
+        suffix: {
+          type: String,
+          trim: true,
+          default: '', // No marker required
+        },
+        // The marker is an MD5 manifest (products.csv.md5) the file must match
+        checksum: {
+          type: Boolean,
+          default: false,
+        },
+      },
     },
 
     // Matching configuration
@@ -64,6 +202,41 @@ const feedSchema = new mongoose.Schema(
       },
     },
 
+    // Multi-variant grouping
+    // Rows sharing the same value in `column` are imported as variants of one product
+    grouping: {
+      column: {
+        type: String,
+        trim: true,
+      },
+      // Option names for option1-3 (e.g. Size, Color)
+      optionNames: {
+        type: [String],
+        default: [],
+      },
+    },
+
+    // Inventory quantity sync
+    inventory: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      quantityColumn: {
+        type: String,
+        trim: true,
+      },
+      // Optional column holding a location name or ID per row
+      locationColumn: {
+        type: String,
+        trim: true,
+      },
+      // Default location (Shopify location GID)
+      locationId: {
+        type: String,
+      },
+    },
+
     // Field mappings
     mappings: [
       {
@@ -153,9 +326,17 @@ const feedSchema = new mongoose.Schema(
       },
       frequency: {
         type: String,
-        enum: ['hourly', 'every_6_hours', 'daily', 'weekly', 'custom'],
+        // 'on_change': poll the file's metadata and run only when it changed
+        enum: ['hourly', 'every_6_hours', 'daily', 'weekly', 'custom', 'on_change'],
         default: 'daily',
       },
+      // Minutes between checks of an 'on_change' feed; divisors of 60, so the
+      // */n cron of the scheduler fires evenly across hour boundaries
+      pollInterval: {
+        type: Number,
+        enum: [1, 2, 3, 4, 5, 6, 10, 12, 15, 20, 30],
+        default: 5,
+      },
       time: {
         type: String, // Format: HH:mm
         default: '00:00',
@@ -169,6 +350,43 @@ const feedSchema = new mongoose.Schema(
       },
     },
 
+    // Products previously synced by this feed that are no longer in the file
+    missingProducts: {
+      action: {
+        type: String,
+        enum: ['none', 'draft', 'archive', 'zero_stock', 'tag'],
+        default: 'none',
+      },
+      tag: {
+        type: String,
+        trim: true,
+        default: 'missing-from-feed',
+      },
+      // Abort when more than this percentage of the feed's products would be affected
+      maxPercent: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 20,
+      },
+    },
+
+    // What happens to the remote file after a successful import (FTP/SFTP sources)
+    postProcess: {
+      action: {
+        type: String,
+        enum: ['none', 'archive', 'rename', 'delete'],
+        default: 'none',
+      },
+      // Folder archived files are moved to, relative to the file's folder
+      // (or to the connection root when it starts with /)
+      archiveFolder: {
+        type: String,
+        trim: true,
+        default: 'archive',
+      },
+    },
+
     // Advanced options
     options: {
       skipUnchangedFile: {
@@ -191,10 +409,29 @@ const feedSchema = new mongoose.Schema(
         type: Boolean,
         default: true,
       },
+      // Rows between saved resume checkpoints
       batchSize: {
         type: Number,
         default: 100,
       },
+      // Rows synced at the same time within one job
+      concurrency: {
+        type: Number,
+        min: 1,
+        max: 10,
+        default: 1,
+      },
+      // Match rows against a catalog snapshot taken at job start
+      prefetchCatalog: {
+        type: Boolean,
+        default: true,
+      },
+      // 'bulk' writes through Shopify's Bulk Operations API (large feeds)
+      executionMode: {
+        type: String,
+        enum: ['standard', 'bulk'],
+        default: 'standard',
+      },
     },
 
     // Status tracking
@@ -218,6 +455,17 @@ const feedSchema = new mongoose.Schema(
       skipped: Number,
       failed: Number,
       fileChecksum: String,
+      // HTTP validators of the last downloaded file (conditional requests)
+      fileEtag: String,
+      fileLastModified: String,
+    },
+
+    // Change detection of 'on_change' feeds
+    polling: {
+      // Remote metadata (path, size, modification time) of the file(s) at the last triggered run
+      fingerprint: String,
+      checkedAt: Date,
+      changedAt: Date,
     },
 
     // Next scheduled run
@@ -338,6 +586,12 @@ feedSchema.methods.calculateNextRun = function () {
     case 'weekly':
       nextRun.setDate(now.getDate() + 7);
       break;
+    case 'on_change': {
+      // Next check: the next multiple of the interval, when the */n cron fires
+      const interval = (this.schedule.pollInterval || 5) * 60 * 1000;
+      nextRun = new Date((Math.floor(now.getTime() / interval) + 1) * interval);
+      break;
+    }
     // Custom cron handled by scheduler
   }
 
@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+
+/**
+ * Feed Product Schema - Records which Shopify products a feed manages
+ * Used to find products that have disappeared from the feed
+ */
+const feedProductSchema = new mongoose.Schema(
+  {
+    // Feed reference
+    feed: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Feed',
+      required: true,
+      index: true,
+    },
+
+    // Shop reference
+    shop: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shop',
+      required: true,
+    },
+
+    // Row identifier (SKU or Handle value)
+    identifier: {
+      type: String,
+      required: true,
+    },
+
+    // Identifier type
+    identifierType: {
+      type: String,
+      enum: ['sku', 'handle'],
+      required: true,
+    },
+
+    // Shopify product ID created or updated by the feed
+    shopifyProductId: {
+      type: String,
+      required: true,
+    },
+
+    // Last job whose file contained the identifier
+    lastSeenJob: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job',
+    },
+
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Missing-product handling (cleared when the identifier reappears)
+    missing: {
+      since: Date,
+      action: String,
+      handledAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Compound index for efficient lookups
+feedProductSchema.index({ feed: 1, identifier: 1 }, { unique: true });
+feedProductSchema.index({ feed: 1, lastSeenJob: 1 });
+
+/**
+ * Record that a feed synced a product
+ * @param {Object} feed - Feed document
+ * @param {Object} identifier - {type, value}
+ * @param {string} shopifyProductId - Shopify product ID
+ * @param {ObjectId} jobId - Current job ID
+ */
+feedProductSchema.statics.recordProduct = async function (feed, identifier, shopifyProductId, jobId) {
+  return this.findOneAndUpdate(
+    { feed: feed._id, identifier: identifier.value },
+    {
+      $set: {
+        shop: feed.shop,
+        identifierType: identifier.type,
+        shopifyProductId,
+        lastSeenJob: jobId,
+        lastSeenAt: new Date(),
+        missing: {},
+      },
+    },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Mark identifiers present in the current feed file
+ * @param {ObjectId} feedId - Feed ID
+ * @param {Array<string>} identifiers - Identifier values found in the file
+ * @param {ObjectId} jobId - Current job ID
+ */
+feedProductSchema.statics.markPresent = async function (feedId, identifiers, jobId) {
+  return this.updateMany(
+    { feed: feedId, identifier: { $in: identifiers } },
+    {
+      $set: {
+        lastSeenJob: jobId,
+        lastSeenAt: new Date(),
+        missing: {},
+      },
+    }
+  );
+};
+
+export default mongoose.model('FeedProduct', feedProductSchema);
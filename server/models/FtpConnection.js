@@ -62,6 +62,21 @@ const ftpConnectionSchema = new mongoose.Schema(
       // Encrypted passphrase for private key
     },
 
+    // SFTP host key pinned by the first successful test; later connections
+    // are refused when the server presents a different key
+    hostKey: {
+      algorithm: String,
+      fingerprint: String, // OpenSSH style, SHA256:<base64>
+      acceptedAt: Date,
+    },
+
+    // Different host key seen since, waiting to be reviewed and accepted
+    pendingHostKey: {
+      algorithm: String,
+      fingerprint: String,
+      seenAt: Date,
+    },
+
     // Root folder path
     rootPath: {
       type: String,
@@ -24,19 +24,25 @@ const jobSchema = new mongoose.Schema(
     // Job type
     type: {
       type: String,
-      enum: ['manual', 'scheduled', 'preview'],
+      enum: ['manual', 'scheduled', 'preview', 'rollback', 'push'],
       required: true,
       default: 'manual',
     },
 
     // Job status
+    // 'waiting': ended without syncing because the file wasn't ready (ready marker)
     status: {
       type: String,
-      enum: ['pending', 'processing', 'completed', 'failed', 'cancelled', 'interrupted'],
+      enum: ['pending', 'processing', 'completed', 'failed', 'cancelled', 'interrupted', 'waiting'],
       default: 'pending',
       index: true,
     },
 
+    // Why a waiting job didn't sync
+    waitingReason: {
+      type: String,
+    },
+
     // Execution timing
     startedAt: {
       type: Date,
@@ -58,6 +64,18 @@ const jobSchema = new mongoose.Schema(
       rowCount: Number,
     },
 
+    // Drop-folder feeds: the tracked file this job imports
+    processedFile: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProcessedFile',
+    },
+
+    // One-off runs: the uploaded file read instead of the feed's source
+    upload: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Upload',
+    },
+
     // Processing results
     results: {
       totalRows: {
@@ -80,12 +98,56 @@ const jobSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      deleted: {
+        type: Number,
+        default: 0,
+      },
       failed: {
         type: Number,
         default: 0,
       },
     },
 
+    // Rollback jobs: the job being undone and what to do with products it created
+    rollback: {
+      sourceJob: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Job',
+        index: true,
+      },
+      createdAction: {
+        type: String,
+        enum: ['none', 'archive', 'delete'],
+      },
+    },
+
+    // Missing-product handling results
+    missingProducts: {
+      action: String,
+      found: Number,
+      handled: Number,
+      failed: Number,
+      aborted: Boolean,
+      message: String,
+    },
+
+    // Remote file post-processing results
+    postProcess: {
+      action: String,
+      status: {
+        type: String,
+        enum: ['success', 'failed'],
+      },
+      files: [
+        {
+          _id: false,
+          path: String,
+          movedTo: String,
+        },
+      ],
+      message: String,
+    },
+
     // Error information
     error: {
       message: String,
@@ -181,6 +243,14 @@ jobSchema.methods.markCompleted = function (results) {
   return this.save();
 };
 
+jobSchema.methods.markWaiting = function (reason) {
+  this.status = 'waiting';
+  this.completedAt = new Date();
+  this.duration = this.completedAt - this.startedAt;
+  this.waitingReason = reason;
+  return this.save();
+};
+
 jobSchema.methods.markFailed = function (error) {
   this.status = 'failed';
   this.completedAt = new Date();
@@ -36,7 +36,7 @@ const jobRowSchema = new mongoose.Schema(
     // Operation performed
     operation: {
       type: String,
-      enum: ['create', 'update', 'skip', 'error'],
+      enum: ['create', 'update', 'delete', 'skip', 'error'],
       required: true,
       index: true,
     },
@@ -58,8 +58,10 @@ const jobRowSchema = new mongoose.Schema(
         newValue: mongoose.Schema.Types.Mixed,
         fieldType: {
           type: String,
-          enum: ['product', 'metafield'],
+          enum: ['product', 'variant', 'metafield', 'inventory'],
         },
+        // For inventory changes
+        locationId: String,
       },
     ],
 
@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+/**
+ * Processed File Schema - Files picked up by drop-folder feeds
+ * One record per version of a file (name + size + checksum), so every new
+ * file in the folder is imported exactly once.
+ */
+const processedFileSchema = new mongoose.Schema(
+  {
+    // Feed reference
+    feed: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Feed',
+      required: true,
+      index: true,
+    },
+
+    // Shop reference
+    shop: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shop',
+      required: true,
+    },
+
+    // Remote path, as passed to the feed source
+    path: {
+      type: String,
+      required: true,
+    },
+
+    size: {
+      type: Number,
+      required: true,
+    },
+
+    // Modification time reported by the folder listing
+    modifiedTime: {
+      type: Date,
+    },
+
+    // Checksum of the downloaded file (the ETag for S3)
+    checksum: {
+      type: String,
+    },
+
+    // queued: waiting for the files before it
+    // processing: its job is queued or running
+    // skipped: identical to a file already imported
+    status: {
+      type: String,
+      enum: ['queued', 'processing', 'completed', 'skipped', 'failed'],
+      default: 'queued',
+    },
+
+    // Job that imported the file
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job',
+    },
+
+    error: {
+      type: String,
+    },
+
+    processedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+processedFileSchema.index({ feed: 1, path: 1, size: 1 });
+processedFileSchema.index({ feed: 1, status: 1, modifiedTime: 1 });
+
+// Methods
+processedFileSchema.methods.markFinished = function (status, details = {}) {
+  this.status = status;
+  this.processedAt = new Date();
+  Object.assign(this, details);
+  return this.save();
+};
+
+export default mongoose.model('ProcessedFile', processedFileSchema);
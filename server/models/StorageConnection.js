@@ -0,0 +1,129 @@
+import mongoose from 'mongoose';
+
+/**
+ * Storage Connection Schema - Stores S3-compatible object storage details
+ * (AWS S3, MinIO, DigitalOcean Spaces, Cloudflare R2, ...)
+ */
+const storageConnectionSchema = new mongoose.Schema(
+  {
+    // Shop reference
+    shop: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shop',
+      required: true,
+      index: true,
+    },
+
+    // Connection name
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // Storage type
+    provider: {
+      type: String,
+      enum: ['s3'],
+      required: true,
+      default: 's3',
+    },
+
+    // Service endpoint, e.g. http://localhost:9000 for MinIO
+    // Empty uses AWS S3 for the region
+    endpoint: {
+      type: String,
+      trim: true,
+    },
+
+    region: {
+      type: String,
+      required: true,
+      trim: true,
+      default: 'us-east-1',
+    },
+
+    bucket: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // Key prefix that file paths are relative to (e.g. exports/)
+    prefix: {
+      type: String,
+      default: '',
+      trim: true,
+    },
+
+    // Access keys (encrypted)
+    accessKeyId: {
+      type: String,
+      required: true,
+    },
+
+    secretAccessKey: {
+      type: String,
+      required: true,
+    },
+
+    // Address the bucket in the path (endpoint/bucket/key) instead of the
+    // host name; most self-hosted services need this
+    forcePathStyle: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Connection status
+    status: {
+      type: String,
+      enum: ['active', 'inactive', 'error'],
+      default: 'inactive',
+    },
+
+    // Last test result
+    lastTestAt: {
+      type: Date,
+    },
+
+    lastTestStatus: {
+      type: String,
+      enum: ['success', 'failed'],
+    },
+
+    lastTestError: {
+      type: String,
+    },
+
+    // Connection options
+    options: {
+      timeout: {
+        type: Number,
+        default: 30000, // 30 seconds
+      },
+    },
+
+    // Active status
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+storageConnectionSchema.index({ shop: 1, isActive: 1 });
+
+// Methods
+storageConnectionSchema.methods.updateTestResult = function (success, error = null) {
+  this.lastTestAt = new Date();
+  this.lastTestStatus = success ? 'success' : 'failed';
+  this.lastTestError = error;
+  this.status = success ? 'active' : 'error';
+  return this.save();
+};
+
+export default mongoose.model('StorageConnection', storageConnectionSchema);
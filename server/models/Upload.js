@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+/**
+ * Upload Schema - CSV files uploaded by hand, for feeds without a
+ * remote source and for one-off runs of a feed, or pushed by suppliers
+ */
+const uploadSchema = new mongoose.Schema(
+  {
+    // Shop reference
+    shop: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shop',
+      required: true,
+      index: true,
+    },
+
+    // Original file name
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // Stored copy, under config.csv.tempDir
+    localPath: {
+      type: String,
+      required: true,
+    },
+
+    size: {
+      type: Number,
+      required: true,
+    },
+
+    // MD5 of the file
+    checksum: {
+      type: String,
+      required: true,
+    },
+
+    contentType: {
+      type: String,
+    },
+
+    // 'push': sent by a supplier to the feed's push endpoint
+    source: {
+      type: String,
+      enum: ['manual', 'push'],
+      default: 'manual',
+    },
+
+    // Feed a pushed file was sent to
+    feed: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Feed',
+    },
+
+    // Signature of the push request, so it can't be replayed
+    pushSignature: {
+      type: String,
+    },
+
+    // Active status
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+uploadSchema.index({ shop: 1, isActive: 1 });
+uploadSchema.index({ feed: 1, createdAt: -1 });
+uploadSchema.index({ pushSignature: 1 }, { unique: true, sparse: true });
+
+export default mongoose.model('Upload', uploadSchema);
@@ -1,12 +1,17 @@
 import express from 'express';
+import crypto from 'crypto';
 import Joi from 'joi';
 import validate from '../middleware/validate.js';
 import Feed from '../models/Feed.js';
 import Job from '../models/Job.js';
 import FtpConnection from '../models/FtpConnection.js';
+import StorageConnection from '../models/StorageConnection.js';
+import ProcessedFile from '../models/ProcessedFile.js';
+import Upload from '../models/Upload.js';
 import feedQueue from '../workers/feed-queue.js';
-import FtpService from '../services/ftp/ftp-service.js';
+import feedSource from '../services/source/feed-source.js';
 import csvParser from '../services/csv/csv-parser.js';
+import encryption from '../utils/encryption.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -14,19 +19,91 @@ const router = express.Router();
 /**
  * Validation schemas
  */
+const httpSourceSchema = Joi.object({
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+  auth: Joi.object({
+    method: Joi.string().valid('none', 'basic', 'bearer').default('none'),
+    username: Joi.string().allow('').optional(),
+    // Blank keeps the stored secret
+    password: Joi.string().allow('').optional(),
+    token: Joi.string().allow('').optional(),
+  }).default({ method: 'none' }),
+  headers: Joi.array().items(
+    Joi.object({
+      name: Joi.string().required().trim(),
+      value: Joi.string().allow('').default(''),
+    })
+  ).default([]),
+});
+
 const createFeedSchema = Joi.object({
   name: Joi.string().required().trim().min(1).max(100),
-  ftpConnection: Joi.string().required(),
+  sourceType: Joi.string().valid('ftp', 's3', 'http', 'upload').default('ftp'),
+  ftpConnection: Joi.string().allow('', null).when('sourceType', {
+    is: 'ftp',
+    then: Joi.required().invalid('', null),
+  }),
+  storageConnection: Joi.string().allow('', null).when('sourceType', {
+    is: 's3',
+    then: Joi.required().invalid('', null),
+  }),
+  upload: Joi.string().allow('', null).when('sourceType', {
+    is: 'upload',
+    then: Joi.required().invalid('', null),
+  }),
+  http: Joi.when('sourceType', {
+    is: 'http',
+    then: httpSourceSchema.required(),
+    otherwise: Joi.any().strip(),
+  }),
   file: Joi.object({
-    path: Joi.string().required(),
+    path: Joi.string().allow('').when('/sourceType', {
+      is: Joi.valid('ftp', 's3'),
+      then: Joi.required().invalid(''),
+    }),
+    format: Joi.string().valid('csv', 'xlsx', 'json', 'ndjson', 'xml').default('csv'),
+    sheet: Joi.string().allow('').default(''),
+    // JSON and XML records and the columns read from them
+    recordPath: Joi.string().allow('').default(''),
+    columns: Joi.array().items(
+      Joi.object({
+        name: Joi.string().allow('').trim().default(''),
+        path: Joi.string().required().trim(),
+      })
+    ).default([]),
+    headerRow: Joi.number().integer().min(1).default(1),
     encoding: Joi.string().default('utf8'),
     delimiter: Joi.string().valid(',', ';', '\t', '|').default(','),
     hasHeader: Joi.boolean().default(true),
+    // Which files a wildcard path reads
+    selection: Joi.string().valid('newest', 'alphabetical', 'all').default('newest'),
+    // Zip entries to read
+    archiveEntry: Joi.string().allow('').default(''),
+    // Drop folders need a folder listing, which URLs and uploads don't have
+    mode: Joi.string().valid('single', 'folder').default('single').when('/sourceType', {
+      is: Joi.valid('http', 'upload'),
+      then: Joi.valid(Joi.override, 'single'),
+    }),
+    // Ready marker: suffix of the companion file, e.g. .done, .ok or .md5
+    marker: Joi.object({
+      suffix: Joi.string().allow('').pattern(/^[^/]+$/).default(''),
+      checksum: Joi.boolean().default(false),
+    }).optional(),
   }).required(),
   matching: Joi.object({
     column: Joi.string().required(),
     type: Joi.string().valid('sku', 'handle').required(),
   }).required(),
+  grouping: Joi.object({
+    column: Joi.string().allow('').optional(),
+    optionNames: Joi.array().items(Joi.string().allow('')).max(3).default([]),
+  }).optional(),
+  inventory: Joi.object({
+    enabled: Joi.boolean().default(false),
+    quantityColumn: Joi.string().allow('').optional(),
+    locationColumn: Joi.string().allow('').optional(),
+    locationId: Joi.string().allow('').optional(),
+  }).optional(),
   mappings: Joi.array().items(
     Joi.object({
       csvColumn: Joi.string().required(),
@@ -78,8 +155,12 @@ const createFeedSchema = Joi.object({
   schedule: Joi.object({
     enabled: Joi.boolean().default(false),
     frequency: Joi.string()
-      .valid('hourly', 'every_6_hours', 'daily', 'weekly', 'custom')
-      .default('daily'),
+      .valid('hourly', 'every_6_hours', 'daily', 'weekly', 'custom', 'on_change')
+      .default('daily')
+      // Uploaded files have nothing to poll; pushed files start their own sync
+      .when('/sourceType', { is: 'upload', then: Joi.invalid('on_change') }),
+    // Divisors of 60, so checks stay evenly spaced across hours
+    pollInterval: Joi.number().valid(1, 2, 3, 4, 5, 6, 10, 12, 15, 20, 30).default(5),
     time: Joi.string().pattern(/^\d{2}:\d{2}$/).default('00:00'),
     timezone: Joi.string().default('UTC'),
     customCron: Joi.string().when('frequency', {
@@ -87,15 +168,167 @@ const createFeedSchema = Joi.object({
       then: Joi.required(),
     }),
   }).optional(),
+  missingProducts: Joi.object({
+    action: Joi.string()
+      .valid('none', 'draft', 'archive', 'zero_stock', 'tag')
+      .default('none'),
+    tag: Joi.string().allow('').optional(),
+    maxPercent: Joi.number().min(0).max(100).default(20),
+  }).optional(),
+  postProcess: Joi.object({
+    action: Joi.string().valid('none', 'archive', 'rename', 'delete').default('none'),
+    archiveFolder: Joi.string().allow('').default('archive'),
+  }).optional(),
   options: Joi.object({
     skipUnchangedFile: Joi.boolean().default(true),
     createMissingMetafields: Joi.boolean().default(true),
     updateExisting: Joi.boolean().default(true),
     createNew: Joi.boolean().default(true),
     batchSize: Joi.number().integer().min(1).max(250).default(100),
+    concurrency: Joi.number().integer().min(1).max(10).default(1),
+    prefetchCatalog: Joi.boolean().default(true),
+    executionMode: Joi.string().valid('standard', 'bulk').default('standard'),
   }).optional(),
 });
 
+// Connection (or stored upload) each file-based source type reads from
+const SOURCE_CONNECTIONS = {
+  ftp: { model: FtpConnection, field: 'ftpConnection', label: 'FTP connection' },
+  s3: { model: StorageConnection, field: 'storageConnection', label: 'storage connection' },
+  upload: { model: Upload, field: 'upload', label: 'uploaded file' },
+};
+
+/**
+ * Prepare the source fields of a feed create/update
+ * Checks the connection belongs to the shop, encrypts HTTP secrets and
+ * drops the connections the source type doesn't use.
+ * @param {Object} req - Request
+ * @param {Object} feedData - Validated feed data (modified)
+ * @param {Object} existing - Feed being updated, if any
+ * @returns {Promise<string|null>} Error message, or null when valid
+ */
+async function prepareSource(req, feedData, existing = null) {
+  const source = SOURCE_CONNECTIONS[feedData.sourceType];
+
+  Object.values(SOURCE_CONNECTIONS)
+    .filter(({ field }) => field !== source?.field)
+    .forEach(({ field }) => delete feedData[field]);
+
+  if (!source) {
+    feedData.http = buildHttpSource(feedData.http, existing?.http);
+    return null;
+  }
+
+  // Verify the connection belongs to this shop
+  const connection = await source.model.findOne({
+    _id: feedData[source.field],
+    shop: req.shop._id,
+    isActive: true,
+  });
+
+  return connection ? null : `Invalid ${source.label}`;
+}
+
+/**
+ * Build the stored http settings, encrypting new secrets
+ * Blank secrets keep the ones already stored on the feed.
+ * @param {Object} input - Validated http settings
+ * @param {Object} existing - Stored http settings, if any
+ * @returns {Object}
+ */
+function buildHttpSource(input, existing = null) {
+  const auth = { ...input.auth };
+
+  ['password', 'token'].forEach((key) => {
+    auth[key] = auth[key]
+      ? encryption.encrypt(auth[key])
+      : existing?.auth?.[key];
+  });
+
+  return { ...input, auth };
+}
+
+/**
+ * Feed as returned by the API, without source secrets
+ * @param {Object} feed - Feed document
+ * @returns {Object}
+ */
+function toSafeFeed(feed) {
+  const safeFeed = feed.toObject();
+
+  if (safeFeed.http?.auth) {
+    safeFeed.http.auth.hasPassword = Boolean(safeFeed.http.auth.password);
+    safeFeed.http.auth.hasToken = Boolean(safeFeed.http.auth.token);
+    delete safeFeed.http.auth.password;
+    delete safeFeed.http.auth.token;
+  }
+
+  if (safeFeed.push) {
+    delete safeFeed.push.token;
+  }
+
+  return safeFeed;
+}
+
+/**
+ * Resolve the file source of a preview request
+ * Accepts an FTP or storage connection and path, an upload, or HTTP settings; blank HTTP
+ * secrets fall back to those stored on `feedId` so saved feeds can be edited.
+ * @returns {Promise<Object|null>} Feed-like source settings, null when the connection is not found
+ */
+async function resolvePreviewSource(req) {
+  const {
+    sourceType = 'ftp',
+    filePath,
+    fileSelection,
+    fileMode,
+    archiveEntry,
+    http,
+    feedId,
+  } = req.body;
+
+  if (sourceType === 'http') {
+    const existing = feedId
+      ? await Feed.findOne({ _id: feedId, shop: req.shop._id, isActive: true })
+      : null;
+
+    return {
+      sourceType,
+      http: buildHttpSource({ auth: { method: 'none' }, ...http }, existing?.http),
+      file: { archiveEntry },
+    };
+  }
+
+  const source = SOURCE_CONNECTIONS[sourceType] || SOURCE_CONNECTIONS.ftp;
+  const connection = await source.model.findOne({
+    _id: req.body[`${source.field}Id`],
+    shop: req.shop._id,
+    isActive: true,
+  });
+
+  if (!connection) {
+    return null;
+  }
+
+  return {
+    sourceType,
+    [source.field]: connection,
+    file: { path: filePath, selection: fileSelection, mode: fileMode, archiveEntry },
+  };
+}
+
+/**
+ * Whether a preview request names a file to read
+ */
+function hasPreviewSource(body) {
+  if (body.sourceType === 'http') {
+    return Boolean(body.http?.url);
+  }
+
+  const source = SOURCE_CONNECTIONS[body.sourceType] || SOURCE_CONNECTIONS.ftp;
+  return Boolean(body[`${source.field}Id`] && (body.sourceType === 'upload' || body.filePath));
+}
+
 /**
  * GET /api/feeds
  * List all feeds for current shop
@@ -115,6 +348,8 @@ router.get('/', async (req, res) => {
 
     const feeds = await Feed.find(query)
       .populate('ftpConnection', 'name host protocol')
+      .populate('storageConnection', 'name bucket')
+      .populate('upload', 'name size')
       .sort({ createdAt: -1 })
       .limit(parseInt(limit))
       .skip((parseInt(page) - 1) * parseInt(limit));
@@ -122,7 +357,7 @@ router.get('/', async (req, res) => {
     const total = await Feed.countDocuments(query);
 
     res.json({
-      feeds,
+      feeds: feeds.map(toSafeFeed),
       total,
       page: parseInt(page),
       pages: Math.ceil(total / parseInt(limit)),
@@ -146,7 +381,10 @@ router.get('/:id', async (req, res) => {
       _id: req.params.id,
       shop: req.shop._id,
       isActive: true,
-    }).populate('ftpConnection');
+    })
+      .populate('ftpConnection')
+      .populate('storageConnection', '-accessKeyId -secretAccessKey')
+      .populate('upload', '-localPath');
 
     if (!feed) {
       return res.status(404).json({
@@ -155,7 +393,7 @@ router.get('/:id', async (req, res) => {
       });
     }
 
-    res.json({ feed });
+    res.json({ feed: toSafeFeed(feed) });
   } catch (error) {
     logger.error('Error fetching feed:', error);
     res.status(500).json({
@@ -171,25 +409,21 @@ router.get('/:id', async (req, res) => {
  */
 router.post('/', validate(createFeedSchema), async (req, res) => {
   try {
-    // Verify FTP connection belongs to this shop
-    const ftpConnection = await FtpConnection.findOne({
-      _id: req.body.ftpConnection,
+    const feedData = {
+      ...req.body,
       shop: req.shop._id,
-      isActive: true,
-    });
+      status: 'draft',
+    };
 
-    if (!ftpConnection) {
+    const sourceError = await prepareSource(req, feedData);
+    if (sourceError) {
       return res.status(400).json({
         error: 'Bad Request',
-        message: 'Invalid FTP connection',
+        message: sourceError,
       });
     }
 
-    const feed = new Feed({
-      ...req.body,
-      shop: req.shop._id,
-      status: 'draft',
-    });
+    const feed = new Feed(feedData);
 
     // Calculate next run if schedule enabled
     if (feed.schedule?.enabled) {
@@ -200,7 +434,7 @@ router.post('/', validate(createFeedSchema), async (req, res) => {
     await feed.save();
 
     logger.info(`Feed created: ${feed._id}`);
-    res.status(201).json({ feed });
+    res.status(201).json({ feed: toSafeFeed(feed) });
   } catch (error) {
     logger.error('Error creating feed:', error);
     res.status(500).json({
@@ -229,8 +463,18 @@ router.put('/:id', validate(createFeedSchema), async (req, res) => {
       });
     }
 
+    const feedData = { ...req.body };
+
+    const sourceError = await prepareSource(req, feedData, feed);
+    if (sourceError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: sourceError,
+      });
+    }
+
     // Update fields
-    Object.assign(feed, req.body);
+    Object.assign(feed, feedData);
 
     // Recalculate next run if schedule changed
     if (feed.schedule?.enabled) {
@@ -250,7 +494,7 @@ router.put('/:id', validate(createFeedSchema), async (req, res) => {
     await feed.save();
 
     logger.info(`Feed updated: ${feed._id}`);
-    res.json({ feed });
+    res.json({ feed: toSafeFeed(feed) });
   } catch (error) {
     logger.error('Error updating feed:', error);
     res.status(500).json({
@@ -295,9 +539,184 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/feeds/:id/processed-files
+ * Files picked up from the drop folder of a feed, newest first
+ */
+router.get('/:id/processed-files', async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const feed = await Feed.findOne({
+      _id: req.params.id,
+      shop: req.shop._id,
+      isActive: true,
+    });
+
+    if (!feed) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Feed not found',
+      });
+    }
+
+    const query = { feed: feed._id };
+    if (status) query.status = status;
+
+    const files = await ProcessedFile.find(query)
+      .sort({ modifiedTime: -1, _id: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await ProcessedFile.countDocuments(query);
+
+    res.json({
+      files,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+    });
+  } catch (error) {
+    logger.error('Error fetching processed files:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch processed files',
+    });
+  }
+});
+
+/**
+ * Push settings as shown to the merchant, with the token in clear
+ */
+function toPushSettings(feed) {
+  return {
+    enabled: Boolean(feed.push?.enabled),
+    token: feed.push?.token ? encryption.decrypt(feed.push.token) : null,
+    tokenCreatedAt: feed.push?.tokenCreatedAt || null,
+    path: `/api/push/feeds/${feed._id}`,
+  };
+}
+
+/**
+ * GET /api/feeds/:id/push-token
+ * Push endpoint settings of a feed
+ */
+router.get('/:id/push-token', async (req, res) => {
+  try {
+    const feed = await Feed.findOne({
+      _id: req.params.id,
+      shop: req.shop._id,
+      isActive: true,
+    });
+
+    if (!feed) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Feed not found',
+      });
+    }
+
+    res.json({ push: toPushSettings(feed) });
+  } catch (error) {
+    logger.error('Error fetching push settings:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch push settings',
+    });
+  }
+});
+
+/**
+ * POST /api/feeds/:id/push-token
+ * Enable the push endpoint with a new token; the previous token stops working
+ */
+router.post('/:id/push-token', async (req, res) => {
+  try {
+    const feed = await Feed.findOne({
+      _id: req.params.id,
+      shop: req.shop._id,
+      isActive: true,
+    });
+
+    if (!feed) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Feed not found',
+      });
+    }
+
+    feed.push = {
+      enabled: true,
+      token: encryption.encrypt(crypto.randomBytes(32).toString('hex')),
+      tokenCreatedAt: new Date(),
+    };
+    await feed.save();
+
+    logger.info(`Push token generated for feed: ${feed._id}`);
+    res.json({ push: toPushSettings(feed) });
+  } catch (error) {
+    logger.error('Error generating push token:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to generate push token',
+    });
+  }
+});
+
+/**
+ * DELETE /api/feeds/:id/push-token
+ * Disable the push endpoint
+ */
+router.delete('/:id/push-token', async (req, res) => {
+  try {
+    const feed = await Feed.findOne({
+      _id: req.params.id,
+      shop: req.shop._id,
+      isActive: true,
+    });
+
+    if (!feed) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Feed not found',
+      });
+    }
+
+    feed.push = { enabled: false };
+    await feed.save();
+
+    logger.info(`Push disabled for feed: ${feed._id}`);
+    res.json({ push: toPushSettings(feed) });
+  } catch (error) {
+    logger.error('Error disabling push:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to disable push',
+    });
+  }
+});
+
+/**
+ * Upload a one-off run reads instead of the feed's source
+ * @returns {Promise<Object|null|undefined>} The upload, null when `uploadId`
+ *   names no upload of the shop, undefined when none was given
+ */
+async function findRunUpload(req) {
+  if (!req.body?.uploadId) {
+    return undefined;
+  }
+
+  return Upload.findOne({
+    _id: req.body.uploadId,
+    shop: req.shop._id,
+    isActive: true,
+  });
+}
+
 /**
  * POST /api/feeds/:id/process
  * Start manual feed process
+ * Body `uploadId` runs the feed once against an uploaded file.
  */
 router.post('/:id/process', async (req, res) => {
   try {
@@ -314,6 +733,14 @@ router.post('/:id/process', async (req, res) => {
       });
     }
 
+    const upload = await findRunUpload(req);
+    if (upload === null) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid uploaded file',
+      });
+    }
+
     // Check for existing running job to prevent duplicates
     const existingJob = await Job.findOne({
       feed: feed._id,
@@ -334,6 +761,7 @@ router.post('/:id/process', async (req, res) => {
       shopId: req.shop._id.toString(),
       type: 'manual',
       isPreview: false,
+      uploadId: upload?._id.toString(),
     });
 
     logger.info(`Feed process job queued: ${job.id}`);
@@ -355,6 +783,7 @@ router.post('/:id/process', async (req, res) => {
 /**
  * POST /api/feeds/:id/preview
  * Preview feed sync (first 10 rows, no Shopify updates)
+ * Body `uploadId` previews an uploaded file instead of the feed's source.
  */
 router.post('/:id/preview', async (req, res) => {
   try {
@@ -371,6 +800,14 @@ router.post('/:id/preview', async (req, res) => {
       });
     }
 
+    const upload = await findRunUpload(req);
+    if (upload === null) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid uploaded file',
+      });
+    }
+
     // Add preview job to queue
     const job = await feedQueue.addJob({
       feedId: feed._id.toString(),
@@ -378,6 +815,7 @@ router.post('/:id/preview', async (req, res) => {
       type: 'preview',
       isPreview: true,
       previewRowLimit: 10,
+      uploadId: upload?._id.toString(),
     });
 
     logger.info(`Feed preview job queued: ${job.id}`);
@@ -428,7 +866,7 @@ router.patch('/:id/status', async (req, res) => {
     await feed.save();
 
     logger.info(`Feed status updated: ${feed._id} -> ${status}`);
-    res.json({ feed });
+    res.json({ feed: toSafeFeed(feed) });
   } catch (error) {
     logger.error('Error updating feed status:', error);
     res.status(500).json({
@@ -440,38 +878,31 @@ router.patch('/:id/status', async (req, res) => {
 
 /**
  * POST /api/feeds/preview-csv-headers
- * Preview CSV headers from FTP file (for field mapping wizard)
+ * Preview CSV headers from the feed source (for field mapping wizard)
  */
 router.post('/preview-csv-headers', async (req, res) => {
   try {
-    const { ftpConnectionId, filePath, delimiter = ',' } = req.body;
+    const { delimiter = ',', format = 'csv', sheet = '', headerRow = 1, recordPath = '', columns = [] } = req.body;
 
-    if (!ftpConnectionId || !filePath) {
+    if (!hasPreviewSource(req.body)) {
       return res.status(400).json({
         error: 'Bad Request',
-        message: 'ftpConnectionId and filePath are required',
+        message: 'A connection id and filePath, or an http url, are required',
       });
     }
 
-    // Find FTP connection
-    const ftpConnection = await FtpConnection.findOne({
-      _id: ftpConnectionId,
-      shop: req.shop._id,
-      isActive: true,
-    });
+    const source = await resolvePreviewSource(req);
 
-    if (!ftpConnection) {
+    if (!source) {
       return res.status(404).json({
         error: 'Not Found',
-        message: 'FTP connection not found',
+        message: 'Connection not found',
       });
     }
 
-    // Create FTP service instance
-    const ftpService = new FtpService();
-
-    // Download CSV file from FTP
-    const { localPath } = await ftpService.downloadFile(ftpConnection, filePath);
+    // Download CSV file from the source (the first match of a wildcard path)
+    const download = await feedSource.download(source, null, { maxFiles: 1 });
+    const { localPath } = download.files[0];
 
     try {
       // Parse rows to get headers and sample data
@@ -479,10 +910,15 @@ router.post('/preview-csv-headers', async (req, res) => {
       const { headers, rows } = await csvParser.parseFileWithLimit(localPath, 50000, {
         delimiter,
         hasHeader: true,
+        format,
+        sheet,
+        headerRow: parseInt(headerRow, 10) || 1,
+        recordPath,
+        columns: columns.filter((column) => column?.path),
       });
 
       // Clean up temp file
-      await ftpService.deleteLocalFile(localPath);
+      await feedSource.cleanup(download);
 
       logger.info(`CSV preview parsed: ${rows.length} rows for value mapping`);
 
@@ -494,7 +930,7 @@ router.post('/preview-csv-headers', async (req, res) => {
       });
     } catch (parseError) {
       // Clean up temp file on error
-      await ftpService.deleteLocalFile(localPath);
+      await feedSource.cleanup(download);
       throw parseError;
     }
   } catch (error) {
@@ -512,34 +948,35 @@ router.post('/preview-csv-headers', async (req, res) => {
  */
 router.post('/preview-csv-values', async (req, res) => {
   try {
-    const { ftpConnectionId, filePath, columnName, delimiter = ',' } = req.body;
-
-    if (!ftpConnectionId || !filePath || !columnName) {
+    const {
+      columnName,
+      delimiter = ',',
+      format = 'csv',
+      sheet = '',
+      headerRow = 1,
+      recordPath = '',
+      columns = [],
+    } = req.body;
+
+    if (!hasPreviewSource(req.body) || !columnName) {
       return res.status(400).json({
         error: 'Bad Request',
-        message: 'ftpConnectionId, filePath, and columnName are required',
+        message: 'columnName and a connection id and filePath, or an http url, are required',
       });
     }
 
-    // Find FTP connection
-    const ftpConnection = await FtpConnection.findOne({
-      _id: ftpConnectionId,
-      shop: req.shop._id,
-      isActive: true,
-    });
+    const source = await resolvePreviewSource(req);
 
-    if (!ftpConnection) {
+    if (!source) {
       return res.status(404).json({
         error: 'Not Found',
-        message: 'FTP connection not found',
+        message: 'Connection not found',
       });
     }
 
-    // Create FTP service instance
-    const ftpService = new FtpService();
-
-    // Download CSV file from FTP
-    const { localPath } = await ftpService.downloadFile(ftpConnection, filePath);
+    // Download CSV file from the source (the first match of a wildcard path)
+    const download = await feedSource.download(source, null, { maxFiles: 1 });
+    const { localPath } = download.files[0];
 
     try {
       // Parse with a higher limit to capture enough samples, but verify uniqueness
@@ -547,6 +984,11 @@ router.post('/preview-csv-values', async (req, res) => {
       const { rows } = await csvParser.parseFileWithLimit(localPath, 1000, {
         delimiter,
         hasHeader: true,
+        format,
+        sheet,
+        headerRow: parseInt(headerRow, 10) || 1,
+        recordPath,
+        columns: columns.filter((column) => column?.path),
       });
 
       // Extract unique values
@@ -558,7 +1000,7 @@ router.post('/preview-csv-values', async (req, res) => {
       });
 
       // Clean up temp file
-      await ftpService.deleteLocalFile(localPath);
+      await feedSource.cleanup(download);
 
       res.json({
         success: true,
@@ -567,7 +1009,7 @@ router.post('/preview-csv-values', async (req, res) => {
       });
     } catch (parseError) {
       // Clean up temp file on error
-      await ftpService.deleteLocalFile(localPath);
+      await feedSource.cleanup(download);
       throw parseError;
     }
   } catch (error) {
@@ -1,4 +1,5 @@
 import express from 'express';
+import path from 'path';
 import Joi from 'joi';
 import validate from '../middleware/validate.js';
 import FtpConnection from '../models/FtpConnection.js';
@@ -8,6 +9,32 @@ import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+/**
+ * Response for a known directory listing failure, or null
+ * Raw FTP/SFTP errors can name internal hosts and paths, so they are only logged.
+ * @returns {{status: number, error: string, message: string}|null}
+ */
+function listingError(error) {
+  if (error.code === 'HOST_KEY_MISMATCH') {
+    return {
+      status: 409,
+      error: 'Conflict',
+      message: 'The server host key has changed. Test the connection to review the new key.',
+    };
+  }
+
+  // SFTP status codes 3 (permission denied) and 2 (no such file); FTP reply 550
+  // (file unavailable) covers both
+  if (error.code === 3 || (error.code === 550 && /permission|denied|access/i.test(error.message))) {
+    return { status: 403, error: 'Forbidden', message: 'Permission denied for this directory' };
+  }
+  if (error.code === 2 || error.code === 550) {
+    return { status: 404, error: 'Not Found', message: 'Directory not found' };
+  }
+
+  return null;
+}
+
 /**
  * Validation schemas
  */
@@ -27,6 +54,10 @@ const createConnectionSchema = Joi.object({
   }).optional(),
 });
 
+const acceptHostKeySchema = Joi.object({
+  fingerprint: Joi.string().required(),
+});
+
 const updateConnectionSchema = createConnectionSchema.keys({
   name: Joi.string().optional(),
   protocol: Joi.string().optional(),
@@ -150,6 +181,12 @@ router.put('/:id', validate(updateConnectionSchema), async (req, res) => {
       });
     }
 
+    // Another server: its host key is pinned again by the next test
+    if (['protocol', 'host', 'port'].some((key) => key in req.body && req.body[key] !== connection[key])) {
+      connection.hostKey = undefined;
+      connection.pendingHostKey = undefined;
+    }
+
     // Update fields
     Object.keys(req.body).forEach((key) => {
       if (key === 'password' || key === 'privateKey' || key === 'passphrase') {
@@ -236,10 +273,22 @@ router.post('/:id/test', async (req, res) => {
     const ftpService = new FtpService();
     const result = await ftpService.testConnection(connection);
 
+    // Trust on first use: pin the SFTP host key of the first successful test
+    if (result.success && result.hostKey && !connection.hostKey?.fingerprint) {
+      connection.hostKey = { ...result.hostKey, acceptedAt: new Date() };
+      connection.pendingHostKey = undefined;
+      logger.info(`Host key pinned for FTP connection ${connection._id}: ${result.hostKey.fingerprint}`);
+    } else if (result.hostKeyMismatch) {
+      connection.pendingHostKey = { ...result.hostKey, seenAt: new Date() };
+    }
+
     // Update connection status
     await connection.updateTestResult(result.success, result.error);
 
-    res.json(result);
+    res.json({
+      ...result,
+      pinnedHostKey: connection.hostKey?.fingerprint ? connection.hostKey : null,
+    });
   } catch (error) {
     logger.error('Error testing FTP connection:', error);
     res.status(500).json({
@@ -249,13 +298,66 @@ router.post('/:id/test', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/ftp-connections/:id/host-key
+ * Accept the changed SFTP host key found by the last test
+ * The fingerprint the user reviewed is sent back, so a key that changed
+ * again in the meantime is not accepted unseen.
+ */
+router.post('/:id/host-key', validate(acceptHostKeySchema), async (req, res) => {
+  try {
+    const connection = await FtpConnection.findOne({
+      _id: req.params.id,
+      shop: req.shop._id,
+      isActive: true,
+    });
+
+    if (!connection) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'FTP connection not found',
+      });
+    }
+
+    if (connection.pendingHostKey?.fingerprint !== req.body.fingerprint) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'This host key is not the one found by the last test. Test the connection again.',
+      });
+    }
+
+    logger.warn(
+      `Host key changed for FTP connection ${connection._id}: ` +
+      `${connection.hostKey?.fingerprint} -> ${connection.pendingHostKey.fingerprint}`
+    );
+
+    connection.hostKey = {
+      algorithm: connection.pendingHostKey.algorithm,
+      fingerprint: connection.pendingHostKey.fingerprint,
+      acceptedAt: new Date(),
+    };
+    connection.pendingHostKey = undefined;
+    await connection.save();
+
+    res.json({ success: true, hostKey: connection.hostKey });
+  } catch (error) {
+    logger.error('Error accepting host key:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to accept host key',
+    });
+  }
+});
+
 /**
  * GET /api/ftp-connections/:id/files
- * List files in FTP directory
+ * List files and sub-directories of an FTP directory
+ * `path` is relative to the connection's root path; the response gives the
+ * normalized path, its parent (null at the root) and the entries.
  */
 router.get('/:id/files', async (req, res) => {
   try {
-    const { path = '/' } = req.query;
+    const { path: dirPath = '/' } = req.query;
 
     const connection = await FtpConnection.findOne({
       _id: req.params.id,
@@ -271,10 +373,20 @@ router.get('/:id/files', async (req, res) => {
     }
 
     const ftpService = new FtpService();
-    const files = await ftpService.listFiles(connection, path);
+    const listing = await ftpService.listDirectory(connection, dirPath);
 
-    res.json({ files });
+    res.json({
+      path: listing.path,
+      parent: listing.path === '/' ? null : path.posix.dirname(listing.path),
+      files: listing.entries,
+    });
   } catch (error) {
+    const known = listingError(error);
+    if (known) {
+      logger.warn(`Listing FTP files failed: ${error.message}`);
+      return res.status(known.status).json({ error: known.error, message: known.message });
+    }
+
     logger.error('Error listing FTP files:', error);
     res.status(500).json({
       error: 'Internal Server Error',
@@ -1,4 +1,6 @@
 import express from 'express';
+import Joi from 'joi';
+import validate from '../middleware/validate.js';
 import Job from '../models/Job.js';
 import JobRow from '../models/JobRow.js';
 import feedQueue from '../workers/feed-queue.js';
@@ -6,6 +8,12 @@ import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+// Validation schemas
+const rollbackSchema = Joi.object({
+  createdAction: Joi.string().valid('none', 'archive', 'delete').default('none'),
+  dryRun: Joi.boolean().default(false),
+});
+
 /**
  * GET /api/jobs
  * List all jobs for current shop
@@ -154,6 +162,9 @@ router.get('/:id/stats', async (req, res) => {
           skipped: {
             $sum: { $cond: [{ $eq: ['$operation', 'skip'] }, 1, 0] },
           },
+          deleted: {
+            $sum: { $cond: [{ $eq: ['$operation', 'delete'] }, 1, 0] },
+          },
           errors: {
             $sum: { $cond: [{ $eq: ['$status', 'error'] }, 1, 0] },
           },
@@ -233,6 +244,103 @@ router.post('/:id/cancel', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/jobs/:id/rollback
+ * Queue a rollback job that restores the values a job changed
+ * Body: { createdAction: 'none'|'archive'|'delete', dryRun: boolean }
+ */
+router.post('/:id/rollback', validate(rollbackSchema), async (req, res) => {
+  try {
+    const { createdAction, dryRun } = req.body;
+
+    const job = await Job.findOne({
+      _id: req.params.id,
+      shop: req.shop._id,
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Job not found',
+      });
+    }
+
+    if (job.isPreview || job.type === 'rollback') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Only sync jobs can be rolled back',
+      });
+    }
+
+    if (['pending', 'processing'].includes(job.status)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Job cannot be rolled back while it is running',
+      });
+    }
+
+    // Prevent rolling back the same job twice
+    if (!dryRun) {
+      const existingRollback = await Job.findOne({
+        'rollback.sourceJob': job._id,
+        isPreview: false,
+        status: { $in: ['pending', 'processing', 'completed'] },
+      });
+
+      if (existingRollback) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `This job has already been rolled back (${existingRollback.status})`,
+          existingJobId: existingRollback._id,
+        });
+      }
+    }
+
+    const rollbackJob = new Job({
+      feed: job.feed,
+      shop: req.shop._id,
+      type: 'rollback',
+      isPreview: dryRun,
+      status: 'pending',
+      triggeredBy: 'user',
+      rollback: {
+        sourceJob: job._id,
+        createdAction,
+      },
+    });
+    await rollbackJob.save();
+
+    const queueJob = await feedQueue.addJob({
+      feedId: job.feed.toString(),
+      shopId: req.shop._id.toString(),
+      type: 'rollback',
+      isPreview: dryRun,
+      rollbackJobId: rollbackJob._id.toString(),
+    });
+
+    rollbackJob.queueJobId = queueJob.id;
+    await rollbackJob.save();
+
+    logger.info(`Rollback job queued: ${queueJob.id}`, {
+      sourceJobId: job._id,
+      dryRun,
+    });
+
+    res.json({
+      success: true,
+      jobId: queueJob.id,
+      rollbackJobId: rollbackJob._id,
+      message: dryRun ? 'Rollback preview started' : 'Rollback started',
+    });
+  } catch (error) {
+    logger.error('Error starting rollback:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to start rollback',
+    });
+  }
+});
+
 /**
  * DELETE /api/jobs/:id
  * Delete job and its rows
@@ -0,0 +1,231 @@
+import express from 'express';
+import fs from 'fs';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { pipeline } from 'stream/promises';
+import Feed from '../models/Feed.js';
+import Job from '../models/Job.js';
+import Upload from '../models/Upload.js';
+import feedQueue from '../workers/feed-queue.js';
+import uploadSource from '../services/source/upload-source.js';
+import encryption from '../utils/encryption.js';
+import { config } from '../config/app.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * HMAC-SHA256 of a push: the timestamp, a dot, then the file content
+ * @param {string} token - Push token of the feed
+ * @param {string} timestamp - X-Push-Timestamp header
+ * @param {string} localPath - Stored file
+ * @returns {Promise<string>} Hex digest
+ */
+async function signPush(token, timestamp, localPath) {
+  const hmac = crypto.createHmac('sha256', token);
+  hmac.update(`${timestamp}.`);
+
+  await pipeline(fs.createReadStream(localPath), async function* (source) {
+    for await (const chunk of source) {
+      hmac.update(chunk);
+    }
+  });
+
+  return hmac.digest('hex');
+}
+
+/**
+ * Constant-time comparison of hex signatures
+ */
+function signaturesMatch(expected, actual) {
+  const a = Buffer.from(expected, 'hex');
+  const b = Buffer.from(actual, 'hex');
+  return a.length === b.length && a.length > 0 && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Delete the feed's pushed files beyond the most recent config.push.keepFiles
+ * The file the feed currently reads is kept.
+ */
+async function pruneUploads(feed) {
+  const stale = await Upload.find({
+    feed: feed._id,
+    source: 'push',
+    isActive: true,
+    _id: { $ne: feed.upload },
+  })
+    .sort({ createdAt: -1 })
+    .skip(config.push.keepFiles);
+
+  for (const upload of stale) {
+    await uploadSource.remove(upload);
+    upload.isActive = false;
+    await upload.save();
+  }
+}
+
+/**
+ * POST /api/push/feeds/:id
+ * Receive a feed file from a supplier and start a sync with it
+ *
+ * Not behind Shopify auth; requests are signed with the feed's push token:
+ * - X-Push-Timestamp: Unix time in seconds
+ * - X-Push-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<file content>">
+ * - X-File-Name: optional, URI-encoded
+ * The body is the raw file. A signature is accepted once.
+ */
+router.post('/feeds/:id', async (req, res) => {
+  let stored = null;
+
+  try {
+    const feed = mongoose.isValidObjectId(req.params.id)
+      ? await Feed.findOne({ _id: req.params.id, isActive: true, 'push.enabled': true })
+      : null;
+
+    if (!feed || !feed.push.token) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Feed not found',
+      });
+    }
+
+    // Unsigned requests are refused before anything is written to disk
+    const timestamp = req.get('x-push-timestamp') || '';
+    const signature = (req.get('x-push-signature') || '').replace(/^sha256=/, '').toLowerCase();
+    const age = Math.abs(Date.now() / 1000 - parseInt(timestamp, 10));
+
+    if (!/^\d+$/.test(timestamp) || !(age <= config.push.timestampTolerance)) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'X-Push-Timestamp is missing or outside the allowed window',
+      });
+    }
+
+    if (!/^[0-9a-f]{64}$/.test(signature)) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'X-Push-Signature is missing or malformed',
+      });
+    }
+
+    if (await Upload.exists({ pushSignature: signature })) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'This push was already received',
+      });
+    }
+
+    if (parseInt(req.get('content-length'), 10) > config.csv.maxSizeMB * 1024 * 1024) {
+      return res.status(413).json({
+        error: 'Payload Too Large',
+        message: `File exceeds the ${config.csv.maxSizeMB} MB limit`,
+      });
+    }
+
+    let name;
+    try {
+      name = decodeURIComponent(req.get('x-file-name') || '').trim();
+    } catch {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'X-File-Name header is not valid URI-encoded text',
+      });
+    }
+    name = name || `push_${new Date().toISOString().replace(/[-:]/g, '').slice(0, 15)}.csv`;
+
+    stored = await uploadSource.store(req, name);
+
+    const token = encryption.decrypt(feed.push.token);
+    if (!signaturesMatch(await signPush(token, timestamp, stored.localPath), signature)) {
+      logger.warn(`Push rejected for feed ${feed._id}: invalid signature`);
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid signature',
+      });
+    }
+
+    // Job state is only disclosed to signed requests
+    const existingJob = await Job.findOne({
+      feed: feed._id,
+      status: { $in: ['pending', 'processing'] },
+    });
+
+    if (existingJob) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `A job is already ${existingJob.status} for this feed. Please retry later.`,
+      });
+    }
+
+    if (stored.size === 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'File is empty',
+      });
+    }
+
+    const upload = await Upload.create({
+      shop: feed.shop,
+      name,
+      localPath: stored.localPath,
+      size: stored.size,
+      checksum: stored.checksum,
+      contentType: req.get('content-type'),
+      source: 'push',
+      feed: feed._id,
+      pushSignature: signature,
+    });
+    stored = null; // Owned by the upload from here on
+
+    // Feeds without a remote source read the last pushed file on manual runs too
+    if (feed.sourceType === 'upload') {
+      feed.upload = upload._id;
+      await feed.save();
+    }
+
+    const job = await feedQueue.addJob({
+      feedId: feed._id.toString(),
+      shopId: feed.shop.toString(),
+      type: 'push',
+      isPreview: false,
+      uploadId: upload._id.toString(),
+    });
+
+    await pruneUploads(feed);
+
+    logger.info(`File pushed to feed ${feed._id}: ${name} (${upload.size} bytes), job ${job.id}`);
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      message: 'File received, sync started',
+    });
+  } catch (error) {
+    if (error.statusCode === 413) {
+      return res.status(413).json({
+        error: 'Payload Too Large',
+        message: error.message,
+      });
+    }
+
+    // Two deliveries of the same push raced past the replay check
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'This push was already received',
+      });
+    }
+
+    logger.error('Error receiving pushed file:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to receive file',
+    });
+  } finally {
+    if (stored) {
+      await uploadSource.remove(stored);
+    }
+  }
+});
+
+export default router;
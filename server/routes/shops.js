@@ -1,5 +1,6 @@
 import express from 'express';
 import Shop from '../models/Shop.js';
+import shopifySync from '../services/sync/shopify-sync.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -72,6 +73,26 @@ router.patch('/current/settings', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/shops/current/locations
+ * List the shop's inventory locations (for inventory sync)
+ */
+router.get('/current/locations', async (req, res) => {
+  try {
+    const locations = await shopifySync.getLocations(req.shop);
+
+    res.json({
+      locations: locations.filter((location) => location.isActive),
+    });
+  } catch (error) {
+    logger.error('Error fetching shop locations:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch locations',
+    });
+  }
+});
+
 /**
  * GET /api/shops/current/stats
  * Get shop statistics
@@ -0,0 +1,293 @@
+import express from 'express';
+import path from 'path';
+import Joi from 'joi';
+import validate from '../middleware/validate.js';
+import StorageConnection from '../models/StorageConnection.js';
+import S3Service from '../services/storage/s3-service.js';
+import encryption from '../utils/encryption.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const SECRET_FIELDS = ['accessKeyId', 'secretAccessKey'];
+
+/**
+ * Validation schemas
+ */
+const createConnectionSchema = Joi.object({
+  name: Joi.string().required().trim().min(1).max(100),
+  provider: Joi.string().valid('s3').default('s3'),
+  endpoint: Joi.string().uri({ scheme: ['http', 'https'] }).allow('').optional(),
+  region: Joi.string().trim().default('us-east-1'),
+  bucket: Joi.string().required().trim(),
+  prefix: Joi.string().allow('').default('').trim(),
+  accessKeyId: Joi.string().required().trim(),
+  secretAccessKey: Joi.string().required(),
+  forcePathStyle: Joi.boolean().default(true),
+  options: Joi.object({
+    timeout: Joi.number().integer().min(1000).default(30000),
+  }).optional(),
+});
+
+const updateConnectionSchema = createConnectionSchema.keys({
+  name: Joi.string().optional(),
+  bucket: Joi.string().optional(),
+  accessKeyId: Joi.string().allow('').optional(),
+  secretAccessKey: Joi.string().allow('').optional(),
+});
+
+/**
+ * Connection without access keys
+ */
+function toSafeConnection(connection) {
+  const safeConnection = connection.toObject();
+  SECRET_FIELDS.forEach((key) => delete safeConnection[key]);
+  return safeConnection;
+}
+
+/**
+ * GET /api/storage-connections
+ * List all storage connections for current shop
+ */
+router.get('/', async (req, res) => {
+  try {
+    const connections = await StorageConnection.find({
+      shop: req.shop._id,
+      isActive: true,
+    }).select('-accessKeyId -secretAccessKey');
+
+    res.json({
+      connections,
+      total: connections.length,
+    });
+  } catch (error) {
+    logger.error('Error fetching storage connections:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch connections',
+    });
+  }
+});
+
+/**
+ * GET /api/storage-connections/:id
+ * Get single storage connection
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const connection = await StorageConnection.findOne({
+      _id: req.params.id,
+      shop: req.shop._id,
+      isActive: true,
+    }).select('-accessKeyId -secretAccessKey');
+
+    if (!connection) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Storage connection not found',
+      });
+    }
+
+    res.json({ connection });
+  } catch (error) {
+    logger.error('Error fetching storage connection:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch connection',
+    });
+  }
+});
+
+/**
+ * POST /api/storage-connections
+ * Create new storage connection
+ */
+router.post('/', validate(createConnectionSchema), async (req, res) => {
+  try {
+    const connectionData = {
+      ...req.body,
+      shop: req.shop._id,
+    };
+
+    // Encrypt access keys
+    SECRET_FIELDS.forEach((key) => {
+      connectionData[key] = encryption.encrypt(connectionData[key]);
+    });
+
+    const connection = new StorageConnection(connectionData);
+    await connection.save();
+
+    logger.info(`Storage connection created: ${connection._id}`);
+
+    res.status(201).json({ connection: toSafeConnection(connection) });
+  } catch (error) {
+    logger.error('Error creating storage connection:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create connection',
+    });
+  }
+});
+
+/**
+ * PUT /api/storage-connections/:id
+ * Update storage connection
+ */
+router.put('/:id', validate(updateConnectionSchema), async (req, res) => {
+  try {
+    const connection = await StorageConnection.findOne({
+      _id: req.params.id,
+      shop: req.shop._id,
+      isActive: true,
+    });
+
+    if (!connection) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Storage connection not found',
+      });
+    }
+
+    // Update fields, keeping stored access keys when left blank
+    Object.keys(req.body).forEach((key) => {
+      if (SECRET_FIELDS.includes(key)) {
+        if (req.body[key]) {
+          connection[key] = encryption.encrypt(req.body[key]);
+        }
+      } else {
+        connection[key] = req.body[key];
+      }
+    });
+
+    await connection.save();
+
+    logger.info(`Storage connection updated: ${connection._id}`);
+
+    res.json({ connection: toSafeConnection(connection) });
+  } catch (error) {
+    logger.error('Error updating storage connection:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update connection',
+    });
+  }
+});
+
+/**
+ * DELETE /api/storage-connections/:id
+ * Delete storage connection (soft delete)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const connection = await StorageConnection.findOne({
+      _id: req.params.id,
+      shop: req.shop._id,
+      isActive: true,
+    });
+
+    if (!connection) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Storage connection not found',
+      });
+    }
+
+    connection.isActive = false;
+    await connection.save();
+
+    logger.info(`Storage connection deleted: ${connection._id}`);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting storage connection:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to delete connection',
+    });
+  }
+});
+
+/**
+ * POST /api/storage-connections/:id/test
+ * Test storage connection
+ */
+router.post('/:id/test', async (req, res) => {
+  try {
+    const connection = await StorageConnection.findOne({
+      _id: req.params.id,
+      shop: req.shop._id,
+      isActive: true,
+    });
+
+    if (!connection) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Storage connection not found',
+      });
+    }
+
+    const s3Service = new S3Service();
+    const result = await s3Service.testConnection(connection);
+
+    // Update connection status
+    await connection.updateTestResult(result.success, result.error);
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error testing storage connection:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to test connection',
+    });
+  }
+});
+
+/**
+ * GET /api/storage-connections/:id/files
+ * List files and sub-folders under a folder of the bucket
+ * `path` is relative to the connection prefix; the response gives the
+ * normalized path, its parent (null at the prefix) and the entries.
+ */
+router.get('/:id/files', async (req, res) => {
+  try {
+    const { path: dirPath = '/' } = req.query;
+
+    const connection = await StorageConnection.findOne({
+      _id: req.params.id,
+      shop: req.shop._id,
+      isActive: true,
+    });
+
+    if (!connection) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Storage connection not found',
+      });
+    }
+
+    const s3Service = new S3Service();
+    const listing = await s3Service.listDirectory(connection, dirPath);
+
+    res.json({
+      path: listing.path,
+      parent: listing.path === '/' ? null : path.posix.dirname(listing.path),
+      files: listing.entries,
+    });
+  } catch (error) {
+    if (error.statusCode === 403 || error.statusCode === 404) {
+      logger.warn(`Listing storage files failed: ${error.message}`);
+      return res.status(error.statusCode).json(
+        error.statusCode === 403
+          ? { error: 'Forbidden', message: 'Access denied to this bucket or folder' }
+          : { error: 'Not Found', message: 'Bucket not found' }
+      );
+    }
+
+    logger.error('Error listing storage files:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to list files',
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,158 @@
+import express from 'express';
+import Upload from '../models/Upload.js';
+import Feed from '../models/Feed.js';
+import uploadSource from '../services/source/upload-source.js';
+import { config } from '../config/app.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * Upload without its storage location
+ */
+function toSafeUpload(upload) {
+  const safeUpload = upload.toObject();
+  delete safeUpload.localPath;
+  return safeUpload;
+}
+
+/**
+ * GET /api/uploads
+ * List uploaded files for current shop
+ */
+router.get('/', async (req, res) => {
+  try {
+    const uploads = await Upload.find({
+      shop: req.shop._id,
+      source: { $ne: 'push' },
+      isActive: true,
+    }).sort({ createdAt: -1 });
+
+    res.json({ uploads: uploads.map(toSafeUpload) });
+  } catch (error) {
+    logger.error('Error fetching uploads:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch uploads',
+    });
+  }
+});
+
+/**
+ * POST /api/uploads
+ * Upload a CSV file
+ * The body is the raw file content; the file name is sent in the
+ * X-File-Name header (URI-encoded).
+ */
+router.post('/', async (req, res) => {
+  try {
+    let name;
+    try {
+      name = decodeURIComponent(req.get('x-file-name') || '').trim();
+    } catch {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'X-File-Name header is not valid URI-encoded text',
+      });
+    }
+
+    if (!name) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'X-File-Name header is required',
+      });
+    }
+
+    if (parseInt(req.get('content-length'), 10) > config.csv.maxSizeMB * 1024 * 1024) {
+      return res.status(413).json({
+        error: 'Payload Too Large',
+        message: `File exceeds the ${config.csv.maxSizeMB} MB limit`,
+      });
+    }
+
+    const { localPath, checksum, size } = await uploadSource.store(req, name);
+
+    if (size === 0) {
+      await uploadSource.remove({ localPath });
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'File is empty',
+      });
+    }
+
+    const upload = await Upload.create({
+      shop: req.shop._id,
+      name,
+      localPath,
+      size,
+      checksum,
+      contentType: req.get('content-type'),
+    });
+
+    logger.info(`Upload created: ${upload._id}`);
+    res.status(201).json({ upload: toSafeUpload(upload) });
+  } catch (error) {
+    if (error.statusCode === 413) {
+      return res.status(413).json({
+        error: 'Payload Too Large',
+        message: error.message,
+      });
+    }
+
+    logger.error('Error uploading file:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to upload file',
+    });
+  }
+});
+
+/**
+ * DELETE /api/uploads/:id
+ * Delete uploaded file
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const upload = await Upload.findOne({
+      _id: req.params.id,
+      shop: req.shop._id,
+      isActive: true,
+    });
+
+    if (!upload) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Upload not found',
+      });
+    }
+
+    const feed = await Feed.findOne({
+      shop: req.shop._id,
+      isActive: true,
+      sourceType: 'upload',
+      upload: upload._id,
+    });
+
+    if (feed) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `The file is used by feed "${feed.name}"`,
+      });
+    }
+
+    await uploadSource.remove(upload);
+    upload.isActive = false;
+    await upload.save();
+
+    logger.info(`Upload deleted: ${upload._id}`);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting upload:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to delete upload',
+    });
+  }
+});
+
+export default router;
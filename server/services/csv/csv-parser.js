@@ -1,16 +1,27 @@
 import fs from 'fs';
 import { parse } from 'csv-parse';
+import xlsxReader from './xlsx-reader.js';
+import jsonReader from './json-reader.js';
+import xmlReader from './xml-reader.js';
 import logger from '../../utils/logger.js';
 
+// Formats read as records with column paths; their rows always start with the column names
+const RECORD_FORMATS = ['json', 'ndjson', 'xml'];
+
 /**
  * CSV Parser Service
  * Handles CSV file parsing and validation
+ * Excel workbooks (format 'xlsx'), JSON files ('json', 'ndjson') and XML
+ * files ('xml') are read through the same methods, with sheet rows or JSON
+ * and XML records in place of CSV records.
  */
 class CsvParser {
   /**
    * Parse CSV file
    * @param {string} filePath - Path to CSV file
-   * @param {Object} options - Parsing options
+   * @param {Object} options - Parsing options: delimiter, encoding, hasHeader, skipEmptyLines,
+   *   format ('csv', 'xlsx', 'json', 'ndjson' or 'xml'), sheet (xlsx), headerRow (1-based line
+   *   of the header, or first row), recordPath and columns (json, xml)
    * @returns {Promise<{headers: Array, rows: Array}>}
    */
   async parseFile(filePath, options = {}) {
@@ -19,8 +30,14 @@ class CsvParser {
       encoding = 'utf8',
       hasHeader = true,
       skipEmptyLines = true,
+      format = 'csv',
+      headerRow = 1,
     } = options;
 
+    if (format !== 'csv') {
+      return this.parseRecords(filePath, Infinity, options);
+    }
+
     return new Promise((resolve, reject) => {
       const rows = [];
       let headers = [];
@@ -33,7 +50,7 @@ class CsvParser {
             skip_empty_lines: skipEmptyLines,
             trim: true,
             relax_column_count: true, // Allow inconsistent column counts
-            from_line: 1,
+            from_line: headerRow,
           })
         );
 
@@ -78,8 +95,14 @@ class CsvParser {
       encoding = 'utf8',
       hasHeader = true,
       skipEmptyLines = true,
+      format = 'csv',
+      headerRow = 1,
     } = options;
 
+    if (format !== 'csv') {
+      return this.parseRecords(filePath, limit, options);
+    }
+
     return new Promise((resolve, reject) => {
       const rows = [];
       let headers = [];
@@ -100,7 +123,7 @@ class CsvParser {
             skip_empty_lines: skipEmptyLines,
             trim: true,
             relax_column_count: true,
-            from_line: 1,
+            from_line: headerRow,
             bom: true, // Handle Byte Order Mark
           })
         );
@@ -149,6 +172,136 @@ class CsvParser {
     });
   }
 
+  /**
+   * Stream CSV rows one at a time
+   * The file is read only as fast as rows are consumed, so memory use does not
+   * grow with the file size. Several files are read one after the other, each
+   * with its own header row.
+   * @param {string|Array<string>} filePath - Path(s) to CSV file(s)
+   * @param {Object} options - Parsing options, plus `startRow` (data rows to skip, for resume)
+   * @returns {AsyncGenerator<Object>} Row objects keyed by normalized header
+   */
+  async *iterateRows(filePath, options = {}) {
+    const {
+      delimiter = ',',
+      encoding = 'utf8',
+      hasHeader = true,
+      skipEmptyLines = true,
+      format = 'csv',
+      headerRow = 1,
+      startRow = 0,
+    } = options;
+
+    let index = 0;
+
+    for (const file of [].concat(filePath)) {
+      const input = format !== 'csv' ? null : fs.createReadStream(file, { encoding });
+      const parser = input?.pipe(
+        parse({
+          delimiter,
+          skip_empty_lines: skipEmptyLines,
+          trim: true,
+          relax_column_count: true,
+          from_line: headerRow,
+          bom: true,
+        })
+      );
+      const records = parser || await this.readRecords(file, options);
+
+      let headers = null;
+
+      try {
+        for await (const record of records) {
+          if (!headers) {
+            if (hasHeader || RECORD_FORMATS.includes(format)) {
+              headers = this.uniquifyHeaders(record.map((h) => this.normalizeHeader(h)));
+              continue;
+            }
+            headers = record.map((_, i) => `column_${i + 1}`);
+          }
+
+          // RESUME SUPPORT: rows already processed are parsed but not converted
+          if (index++ < startRow) {
+            continue;
+          }
+
+          yield this.rowToObject(record, headers);
+        }
+      } finally {
+        // pipe() doesn't close the file when the parser is destroyed
+        parser?.destroy();
+        input?.destroy();
+      }
+    }
+  }
+
+  /**
+   * Records of a workbook sheet, JSON or XML file, as CSV records would be
+   * A sheet is read whole, the workbook being a zip of XML parts; JSON and
+   * XML rows are produced as they are read.
+   * @param {string} filePath - Path to the file
+   * @param {Object} options - Parsing options
+   * @returns {Promise<Array<Array<string>>|AsyncGenerator<Array<string>>>}
+   */
+  async readRecords(filePath, options = {}) {
+    if (options.format === 'xml') {
+      return xmlReader.readRows(filePath, options);
+    }
+    if (['json', 'ndjson'].includes(options.format)) {
+      return jsonReader.readRows(filePath, options);
+    }
+
+    return this.readSheet(filePath, options);
+  }
+
+  /**
+   * Rows of a workbook sheet, as CSV records: from the header row on,
+   * trimmed, without empty rows when skipEmptyLines
+   * @param {string} filePath - Path to the workbook
+   * @param {Object} options - Parsing options (sheet, headerRow, skipEmptyLines)
+   * @returns {Promise<Array<Array<string>>>}
+   */
+  async readSheet(filePath, options = {}) {
+    const { sheet = '', headerRow = 1, skipEmptyLines = true } = options;
+
+    const records = (await xlsxReader.readRows(filePath, { sheet }))
+      .slice(headerRow - 1)
+      .map((record) => record.map((value) => value.trim()));
+
+    return skipEmptyLines ? records.filter((record) => record.some((value) => value !== '')) : records;
+  }
+
+  /**
+   * Parse a workbook sheet, JSON or XML file, like parseFile / parseFileWithLimit
+   * @param {string} filePath - Path to the file
+   * @param {number} limit - Maximum number of rows
+   * @param {Object} options - Parsing options
+   * @returns {Promise<{headers: Array, rows: Array}>}
+   */
+  async parseRecords(filePath, limit, options = {}) {
+    const { hasHeader = true, format } = options;
+    const rows = [];
+    let headers = null;
+
+    for await (const record of await this.readRecords(filePath, options)) {
+      if (!headers) {
+        if (hasHeader || RECORD_FORMATS.includes(format)) {
+          headers = this.uniquifyHeaders(record.map((h) => this.normalizeHeader(h)));
+          continue;
+        }
+        headers = record.map((_, i) => `column_${i + 1}`);
+      }
+
+      if (rows.length >= limit) {
+        break;
+      }
+      rows.push(this.rowToObject(record, headers));
+    }
+
+    logger.info(`${format.toUpperCase()} parsed: ${rows.length} rows, ${headers?.length || 0} columns`);
+    return { headers: headers || [], rows };
+  }
+
   /**
    * Validate CSV structure
    * @param {Object} parsedData - Parsed CSV data
@@ -221,6 +374,8 @@ class CsvParser {
 
   /**
    * Get CSV row count without full parsing
+   * Other formats have no cheap count: every record is read, so syncs only
+   * count CSV files up front
    * @param {string} filePath - Path to CSV file
    * @param {Object} options - Parsing options
    * @returns {Promise<number>}
@@ -231,8 +386,18 @@ class CsvParser {
       encoding = 'utf8',
       hasHeader = true,
       skipEmptyLines = true,
+      format = 'csv',
+      headerRow = 1,
     } = options;
 
+    if (format !== 'csv') {
+      let count = hasHeader || RECORD_FORMATS.includes(format) ? -1 : 0;
+      for await (const _ of await this.readRecords(filePath, options)) {
+        count++;
+      }
+      return Math.max(count, 0);
+    }
+
     return new Promise((resolve, reject) => {
       let count = 0;
 
@@ -242,7 +407,9 @@ class CsvParser {
           parse({
             delimiter,
             skip_empty_lines: skipEmptyLines,
-            from_line: hasHeader ? 2 : 1, // Skip header if present
+            relax_column_count: true,
+            from_line: hasHeader ? headerRow + 1 : headerRow, // Skip header if present
+            bom: true,
           })
         );
 
@@ -0,0 +1,216 @@
+import fs from 'fs';
+import readline from 'readline';
+
+// Records read to discover the columns of a feed without configured columns
+const DISCOVERY_RECORDS = 1000;
+
+/**
+ * Path segments: products[0].variants[].sku -> ['products', 0, 'variants', '[]', 'sku']
+ * @param {string} path - Dot path; [n] picks an array element, [] or [*] every element
+ */
+function parsePath(path) {
+  const segments = [];
+
+  for (const match of String(path || '').matchAll(/([^.[\]]+)|\[(\d*|\*)\]/g)) {
+    if (match[1] !== undefined) {
+      segments.push(match[1]);
+    } else {
+      segments.push(match[2] === '' || match[2] === '*' ? '[]' : parseInt(match[2], 10));
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Values at a path; more than one when the path goes through [] segments
+ */
+function resolvePath(value, segments) {
+  let values = [value];
+
+  for (const segment of segments) {
+    values = values.flatMap((current) => {
+      if (segment === '[]') {
+        return Array.isArray(current) ? current : [];
+      }
+      if (current === null || typeof current !== 'object') {
+        return [];
+      }
+      return current[segment] === undefined ? [] : [current[segment]];
+    });
+  }
+
+  return values;
+}
+
+/**
+ * Cell text of a JSON value: lists of plain values are comma-separated,
+ * like tags in a CSV; objects stay JSON
+ */
+function toText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.every((item) => item === null || typeof item !== 'object')
+      ? value.filter((item) => item !== null).join(', ')
+      : JSON.stringify(value);
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * JSON Reader
+ * Reads JSON documents and JSON Lines (NDJSON) files as rows of text, one per
+ * record. Records are found at a record path (data.products); columns are
+ * either configured as {name, path} pairs or discovered from the records,
+ * with nested objects as parent.child and list items as items[0].sku.
+ * JSON Lines files are streamed line by line; a JSON document is parsed whole.
+ */
+class JsonReader {
+  /**
+   * Read the rows of a file
+   * @param {string} filePath - JSON or NDJSON file
+   * @param {Object} options - {format: 'json'|'ndjson', encoding, recordPath, columns: [{name, path}]}
+   * @returns {AsyncGenerator<Array<string>>} The column names, then one row per record
+   */
+  async *readRows(filePath, options = {}) {
+    // A JSON document is parsed once, for the columns and the rows
+    const document = options.format === 'ndjson' ? null : await this.documentRecords(filePath, options);
+    const records = () => document || this.records(filePath, options);
+
+    const columns = options.columns?.length
+      ? options.columns.map(({ name, path }) => ({ name: name || path, segments: parsePath(path) }))
+      : await this.discoverColumns(records());
+
+    yield columns.map((column) => column.name);
+
+    for await (const record of records()) {
+      yield columns.map((column) => {
+        const values = resolvePath(record, column.segments);
+        return values.length > 1 ? toText(values) : toText(values[0]);
+      });
+    }
+  }
+
+  /**
+   * Records of a file, at the record path
+   * @returns {AsyncGenerator<*>}
+   */
+  async *records(filePath, options = {}) {
+    const { format = 'json', encoding = 'utf8', recordPath = '' } = options;
+    const segments = parsePath(recordPath);
+
+    if (format === 'ndjson') {
+      const stream = fs.createReadStream(filePath, { encoding });
+      const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+      let lineNumber = 0;
+
+      try {
+        for await (const line of lines) {
+          lineNumber++;
+          const text = (lineNumber === 1 ? line.replace(/^\uFEFF/, '') : line).trim();
+          if (!text) {
+            continue;
+          }
+
+          let value;
+          try {
+            value = JSON.parse(text);
+          } catch (error) {
+            throw new Error(`Invalid JSON on line ${lineNumber}: ${error.message}`);
+          }
+
+          // A record path inside a line is optional: lines without it are skipped
+          yield* this.atPath(value, segments, null);
+        }
+      } finally {
+        lines.close();
+        stream.destroy();
+      }
+      return;
+    }
+
+    yield* await this.documentRecords(filePath, options);
+  }
+
+  /**
+   * Records of a JSON document, at the record path
+   * @returns {Promise<Array>}
+   */
+  async documentRecords(filePath, options = {}) {
+    const { encoding = 'utf8', recordPath = '' } = options;
+    const text = (await fs.promises.readFile(filePath, { encoding })).replace(/^\uFEFF/, '');
+
+    let document;
+    try {
+      document = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    return this.atPath(document, parsePath(recordPath), recordPath);
+  }
+
+  /**
+   * Records at a path: the elements of an array, or a single object
+   * @param {string|null} recordPath - For the error when nothing is found; null to skip it
+   */
+  atPath(value, segments, recordPath) {
+    const found = resolvePath(value, segments);
+
+    if (found.length === 0 && recordPath !== null) {
+      throw new Error(`Record path "${recordPath}" not found in the JSON file`);
+    }
+
+    return found.flatMap((item) => (Array.isArray(item) ? item : [item]));
+  }
+
+  /**
+   * Columns found in the first records, in the order they first appear
+   * @param {Array|AsyncIterable} records - Records of the file
+   * @returns {Promise<Array<{name, segments}>>}
+   */
+  async discoverColumns(records) {
+    const paths = new Map();
+    let count = 0;
+
+    for await (const record of records) {
+      this.flatten(record, [], paths);
+      if (++count >= DISCOVERY_RECORDS) {
+        break;
+      }
+    }
+
+    return [...paths.entries()].map(([name, segments]) => ({ name, segments }));
+  }
+
+  /**
+   * Add the leaf paths of a value: nested objects become parent.child and
+   * lists of objects items[0].sku; lists of plain values stay one column
+   * @param {*} value - Record or part of it
+   * @param {Array} segments - Path to the value
+   * @param {Map<string, Array>} paths - Segments by column name
+   */
+  flatten(value, segments, paths) {
+    const isObjectList = Array.isArray(value) && value.some((item) => item !== null && typeof item === 'object');
+
+    if (isObjectList) {
+      value.forEach((item, index) => this.flatten(item, [...segments, index], paths));
+    } else if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      Object.entries(value).forEach(([key, child]) => this.flatten(child, [...segments, key], paths));
+    } else if (segments.length > 0) {
+      const name = segments
+        .map((segment, i) => (typeof segment === 'number' ? `[${segment}]` : `${i > 0 ? '.' : ''}${segment}`))
+        .join('');
+      if (!paths.has(name)) {
+        paths.set(name, segments);
+      }
+    }
+  }
+}
+
+export default new JsonReader();
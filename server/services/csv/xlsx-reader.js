@@ -0,0 +1,277 @@
+import fs from 'fs';
+import path from 'path';
+import decompressor from '../source/decompressor.js';
+
+// Legacy Excel (.xls) files are OLE compound documents
+const OLE_MAGIC = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+// Built-in number formats that display dates or times
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 45, 46, 47, 50, 51, 52, 53, 54, 55, 56, 57, 58]);
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Day 0 of the 1900 date system, with Excel's 1900 leap year bug folded in
+const EPOCH_1900 = Date.UTC(1899, 11, 30);
+const EPOCH_1904 = Date.UTC(1904, 0, 1);
+
+/**
+ * Attributes of an XML start tag
+ * @param {string} tag - Tag source, e.g. ' r="A1" t="s"'
+ * @returns {Object} Values by attribute name, without namespace prefixes
+ */
+function attributes(tag) {
+  const attrs = {};
+  for (const [, name, value] of tag.matchAll(/([\w:]+)="([^"]*)"/g)) {
+    attrs[name.replace(/^\w+:(?=\w)/, '')] = decodeXml(value);
+  }
+  return attrs;
+}
+
+/**
+ * Elements with a given tag name (any namespace prefix)
+ * @returns {Array<{attrs: Object, body: string}>}
+ */
+function elements(xml, tag) {
+  const pattern = new RegExp(`<(?:\\w+:)?${tag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</(?:\\w+:)?${tag}>)`, 'g');
+  return [...xml.matchAll(pattern)].map((match) => ({
+    attrs: attributes(match[1]),
+    body: match[2] || '',
+  }));
+}
+
+/**
+ * Decode XML entities and Excel's _xHHHH_ escapes
+ */
+function decodeXml(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/_x([0-9a-f]{4})_/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+/**
+ * Text of a string item (<si>, <is>): its <t> runs, without phonetic hints
+ */
+function textOf(xml) {
+  return elements(xml.replace(/<(?:\w+:)?rPh\b[\s\S]*?<\/(?:\w+:)?rPh>/g, ''), 't')
+    .map((t) => decodeXml(t.body))
+    .join('');
+}
+
+/**
+ * Zero-based column index of a cell reference (B7 -> 1)
+ */
+function columnIndex(ref) {
+  const letters = ref.match(/^[A-Z]+/i)?.[0].toUpperCase() || '';
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Whether a custom number format displays a date or time
+ */
+function isDateFormat(formatCode) {
+  const code = formatCode
+    .replace(/"[^"]*"/g, '') // Literal text
+    .replace(/\\./g, '') // Escaped characters
+    .replace(/\[(?![hms]+\])[^\]]*\]/gi, ''); // Colors and locales, but not [h] elapsed time
+  return /[ymdhs]/i.test(code);
+}
+
+/**
+ * Excel date serial as ISO date (2026-01-31), time (13:30:00) or both
+ */
+function formatDate(serial, date1904) {
+  const ms = Math.round(serial * MS_PER_DAY);
+  const iso = new Date((date1904 ? EPOCH_1904 : EPOCH_1900) + ms).toISOString();
+  const hasTime = ms % MS_PER_DAY !== 0;
+
+  if (serial < 1 && !date1904) {
+    return iso.slice(11, 19);
+  }
+  return hasTime ? `${iso.slice(0, 10)} ${iso.slice(11, 19)}` : iso.slice(0, 10);
+}
+
+/**
+ * XLSX Reader
+ * Reads the cells of one worksheet of an Excel workbook (.xlsx) as rows of
+ * text, the way they would appear in a CSV export: shared and inline strings,
+ * numbers without float noise, TRUE/FALSE, and dates as ISO text.
+ */
+class XlsxReader {
+  /**
+   * Read a worksheet
+   * @param {string} filePath - Workbook file
+   * @param {Object} options - {sheet}: sheet name, or 1-based position; the first sheet by default
+   * @returns {Promise<Array<Array<string>>>} Rows by row number (index 0 is row 1),
+   *   empty rows included; cells by column, gaps filled with ''
+   */
+  async readRows(filePath, options = {}) {
+    await this.checkFormat(filePath);
+
+    const parts = await decompressor.readEntries(filePath, (name) =>
+      ['xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/sharedStrings.xml', 'xl/styles.xml'].includes(name) ||
+      name.startsWith('xl/worksheets/')
+    );
+    const part = (name) => parts.get(name)?.toString('utf8') || '';
+
+    const workbook = part('xl/workbook.xml');
+    if (!workbook) {
+      throw new Error('Invalid Excel workbook: xl/workbook.xml not found');
+    }
+
+    const sheetPath = this.resolveSheet(workbook, part('xl/_rels/workbook.xml.rels'), options.sheet);
+    const sheetXml = part(sheetPath);
+    if (!sheetXml) {
+      throw new Error(`Invalid Excel workbook: ${sheetPath} not found`);
+    }
+
+    const sharedStrings = elements(part('xl/sharedStrings.xml'), 'si').map((si) => textOf(si.body));
+    const dateStyles = this.dateStyles(part('xl/styles.xml'));
+    const date1904 = elements(workbook, 'workbookPr').some(({ attrs }) => ['1', 'true'].includes(attrs.date1904));
+
+    const rows = [];
+    const sheetData = elements(sheetXml, 'sheetData')[0]?.body || '';
+
+    elements(sheetData, 'row').forEach((row, position) => {
+      const rowIndex = row.attrs.r ? parseInt(row.attrs.r, 10) - 1 : position;
+      const cells = [];
+
+      elements(row.body, 'c').forEach((cell) => {
+        const index = cell.attrs.r ? columnIndex(cell.attrs.r) : cells.length;
+        const value = this.cellValue(cell, sharedStrings, dateStyles, date1904);
+
+        while (cells.length < index) cells.push('');
+        cells[index] = value;
+      });
+
+      rows[rowIndex] = cells;
+    });
+
+    return Array.from(rows, (cells) => cells || []);
+  }
+
+  /**
+   * Reject files that can't be read as .xlsx with a clear message
+   */
+  async checkFormat(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(8), 0, 8, 0);
+
+      if (buffer.subarray(0, bytesRead).equals(OLE_MAGIC)) {
+        throw new Error('Legacy Excel files (.xls) are not supported. Please save the workbook as .xlsx.');
+      }
+      if (await decompressor.detectFormat(filePath) !== 'zip') {
+        throw new Error(`${path.basename(filePath).replace(/^\d+_/, '')} is not an Excel workbook (.xlsx)`);
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Package path of the selected worksheet
+   * @param {string} workbook - xl/workbook.xml
+   * @param {string} rels - xl/_rels/workbook.xml.rels
+   * @param {string} sheet - Sheet name or 1-based position, empty for the first sheet
+   */
+  resolveSheet(workbook, rels, sheet) {
+    const sheets = elements(workbook, 'sheet').map(({ attrs }) => attrs);
+    const wanted = String(sheet ?? '').trim();
+
+    let selected;
+    if (!wanted) {
+      selected = sheets[0];
+    } else if (/^\d+$/.test(wanted)) {
+      selected = sheets[parseInt(wanted, 10) - 1];
+    } else {
+      selected = sheets.find((candidate) => candidate.name.trim().toLowerCase() === wanted.toLowerCase());
+    }
+
+    if (!selected) {
+      const names = sheets.map((candidate) => candidate.name).join(', ');
+      throw new Error(wanted ? `Sheet "${wanted}" not found in the workbook (sheets: ${names})` : 'The workbook has no sheets');
+    }
+
+    const relation = elements(rels, 'Relationship').find(({ attrs }) => attrs.Id === selected.id);
+    if (!relation) {
+      throw new Error(`Invalid Excel workbook: sheet "${selected.name}" has no part`);
+    }
+
+    // Targets are relative to xl/, or absolute within the package
+    const target = relation.attrs.Target;
+    return target.startsWith('/') ? target.slice(1) : path.posix.normalize(`xl/${target}`);
+  }
+
+  /**
+   * Indexes of the cell styles (the s attribute of cells) that display dates
+   * @param {string} styles - xl/styles.xml
+   * @returns {Set<number>}
+   */
+  dateStyles(styles) {
+    const customDates = new Set(
+      elements(styles, 'numFmt')
+        .filter(({ attrs }) => isDateFormat(attrs.formatCode || ''))
+        .map(({ attrs }) => parseInt(attrs.numFmtId, 10))
+    );
+
+    const cellXfs = elements(styles, 'cellXfs')[0]?.body || '';
+    const dateStyles = new Set();
+
+    elements(cellXfs, 'xf').forEach(({ attrs }, index) => {
+      const formatId = parseInt(attrs.numFmtId, 10);
+      if (DATE_FORMAT_IDS.has(formatId) || customDates.has(formatId)) {
+        dateStyles.add(index);
+      }
+    });
+
+    return dateStyles;
+  }
+
+  /**
+   * Text of a cell
+   */
+  cellValue(cell, sharedStrings, dateStyles, date1904) {
+    const { t: type, s: style } = cell.attrs;
+    const raw = elements(cell.body, 'v')[0]?.body;
+
+    switch (type) {
+      case 's':
+        return sharedStrings[parseInt(raw, 10)] ?? '';
+      case 'inlineStr':
+        return textOf(elements(cell.body, 'is')[0]?.body || '');
+      case 'str':
+        return decodeXml(raw || '');
+      case 'b':
+        return raw === '1' ? 'TRUE' : 'FALSE';
+      case 'e':
+        return ''; // #N/A, #REF! etc.
+      case 'd':
+        return decodeXml(raw || '');
+      default: {
+        if (raw === undefined || raw === '') {
+          return '';
+        }
+
+        const number = Number(raw);
+        if (Number.isNaN(number)) {
+          return decodeXml(raw);
+        }
+        if (dateStyles.has(parseInt(style, 10))) {
+          return formatDate(number, date1904);
+        }
+
+        // Excel stores 17 significant digits (19.899999999999999)
+        return String(Number(number.toPrecision(15)));
+      }
+    }
+  }
+}
+
+export default new XlsxReader();
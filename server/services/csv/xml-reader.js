@@ -0,0 +1,331 @@
+import fs from 'fs';
+
+// Records read to discover the columns of a feed without configured columns
+const DISCOVERY_RECORDS = 1000;
+
+// Start tag: name, attributes, self-closing slash
+const START_TAG = /<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+
+// Longest start tag expected; a longer unterminated one is malformed
+const MAX_TAG_LENGTH = 65536;
+
+const ATTRIBUTE = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Decode XML entities
+ */
+function decodeEntities(text) {
+  return text.replace(/&(?:#x([0-9a-f]+)|#(\d+)|(lt|gt|quot|apos|amp));/gi, (match, hex, dec, name) => {
+    if (hex) return String.fromCodePoint(parseInt(hex, 16));
+    if (dec) return String.fromCodePoint(parseInt(dec, 10));
+    return { lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' }[name.toLowerCase()];
+  });
+}
+
+/**
+ * Text of an element and its descendants
+ */
+function textOf(node) {
+  return node.text + node.children.map(textOf).join('');
+}
+
+/**
+ * Column expression steps: shipping/g:price -> [{name: 'shipping'}, {name: 'g:price'}]
+ * Steps are element names (with their prefix, e.g. g:price) with an optional
+ * 1-based position (image[2]), * for any element, @name for an attribute
+ * (last step only) and . or text() for the element itself.
+ */
+function parseExpression(expression) {
+  return String(expression || '')
+    .split('/')
+    .map((step) => step.trim())
+    .filter((step) => step && step !== '.' && step !== 'text()')
+    .map((step) => {
+      if (step.startsWith('@')) {
+        return { attribute: step.slice(1) };
+      }
+      const match = step.match(/^(.*?)(?:\[(\d+)\])?$/);
+      return { name: match[1], position: match[2] ? parseInt(match[2], 10) : null };
+    });
+}
+
+/**
+ * Values of a column expression in a record
+ * @returns {Array<string>}
+ */
+function evaluate(record, steps) {
+  let nodes = [record];
+
+  for (const step of steps) {
+    if (step.attribute) {
+      return nodes.map((node) => node.attrs[step.attribute]).filter((value) => value !== undefined);
+    }
+
+    nodes = nodes.flatMap((node) => {
+      const matches = node.children.filter((child) => step.name === '*' || child.name === step.name);
+      if (step.position === null) {
+        return matches;
+      }
+      return matches[step.position - 1] ? [matches[step.position - 1]] : [];
+    });
+  }
+
+  return nodes.map(textOf);
+}
+
+/**
+ * XML Reader
+ * Reads XML product feeds (Google Shopping RSS, custom exports) as rows of
+ * text, one per repeating record element (item, product). Columns are either
+ * configured as {name, path} pairs with XPath-like paths relative to the
+ * record (g:price, shipping/g:country, image[2], @id) or discovered from the
+ * records. Files are streamed: only the current record is held in memory.
+ */
+class XmlReader {
+  /**
+   * Read the rows of a file
+   * @param {string} filePath - XML file
+   * @param {Object} options - {encoding, recordPath, columns: [{name, path}]}
+   * @returns {AsyncGenerator<Array<string>>} The column names, then one row per record
+   */
+  async *readRows(filePath, options = {}) {
+    const columns = options.columns?.length
+      ? options.columns.map(({ name, path }) => ({ name: name || path, steps: parseExpression(path) }))
+      : await this.discoverColumns(filePath, options);
+
+    yield columns.map((column) => column.name);
+
+    for await (const record of this.records(filePath, options)) {
+      yield columns.map((column) => {
+        const values = evaluate(record, column.steps).map((value) => value.trim()).filter(Boolean);
+        return values.join(', ');
+      });
+    }
+  }
+
+  /**
+   * Record elements of a file, as {name, attrs, text, children} trees
+   * The record path names the repeating element: item matches it at any
+   * depth, channel/item under a channel, and /rss/channel/item from the root.
+   * Without a path the records are the children of the root element (the
+   * items of the channel, for RSS).
+   * @returns {AsyncGenerator<Object>}
+   */
+  async *records(filePath, options = {}) {
+    const { encoding = 'utf8', recordPath = '' } = options;
+    const isRecord = this.recordMatcher(recordPath);
+
+    const stream = fs.createReadStream(filePath, { encoding });
+    const stack = []; // Names of the open elements
+    let record = null; // Tree of the open record
+    let current = null; // Open element within the record
+    let buffer = '';
+    let found = false;
+
+    const open = (name, attrs) => {
+      stack.push(name);
+
+      if (current) {
+        const node = { name, attrs, text: '', children: [], parent: current };
+        current.children.push(node);
+        current = node;
+      } else if (isRecord(stack)) {
+        record = { name, attrs, text: '', children: [], parent: null };
+        current = record;
+      }
+    };
+
+    // Returns the record when it is complete
+    const close = (name) => {
+      if (stack.pop() !== name) {
+        throw new Error(`Invalid XML: unexpected </${name}>`);
+      }
+      if (!current) {
+        return null;
+      }
+
+      current = current.parent;
+      return current ? null : record;
+    };
+
+    try {
+      for await (const chunk of stream) {
+        buffer += chunk;
+        let pos = 0;
+
+        while (pos < buffer.length) {
+          const lt = buffer.indexOf('<', pos);
+
+          // Text is added once it ends, so entities are never cut in half
+          if (lt === -1) {
+            break;
+          }
+          if (lt > pos) {
+            if (current) current.text += decodeEntities(buffer.slice(pos, lt));
+            pos = lt;
+          }
+
+          const token = this.nextToken(buffer, pos);
+          if (!token) {
+            break; // Incomplete, wait for more data
+          }
+          pos = token.end;
+
+          if (token.type === 'text') {
+            if (current) current.text += token.text;
+          } else if (token.type === 'open') {
+            open(token.name, token.attrs);
+            if (token.selfClosing) {
+              const complete = close(token.name);
+              if (complete) {
+                found = true;
+                yield complete;
+              }
+            }
+          } else if (token.type === 'close') {
+            const complete = close(token.name);
+            if (complete) {
+              found = true;
+              yield complete;
+            }
+          }
+        }
+
+        buffer = buffer.slice(pos);
+      }
+    } finally {
+      stream.destroy();
+    }
+
+    if (buffer.trim() || stack.length > 0) {
+      throw new Error('Invalid XML: unexpected end of file');
+    }
+    if (!found && recordPath) {
+      throw new Error(`No "${recordPath}" elements found in the XML file`);
+    }
+  }
+
+  /**
+   * Next markup token at pos (buffer[pos] is '<')
+   * @returns {Object|null} Token with its end position, or null when the buffer ends inside it
+   */
+  nextToken(buffer, pos) {
+    const skip = (terminator, start = pos) => {
+      const index = buffer.indexOf(terminator, start);
+      return index === -1 ? null : { type: 'skip', end: index + terminator.length };
+    };
+
+    if (buffer.startsWith('<!--', pos)) {
+      return skip('-->', pos + 4);
+    }
+    if (buffer.startsWith('<![CDATA[', pos)) {
+      const end = buffer.indexOf(']]>', pos + 9);
+      return end === -1 ? null : { type: 'text', text: buffer.slice(pos + 9, end), end: end + 3 };
+    }
+    if (buffer.startsWith('<?', pos)) {
+      return skip('?>', pos + 2);
+    }
+    if (buffer.startsWith('<!', pos)) {
+      // <!DOCTYPE ...>, possibly with an internal subset in brackets
+      const close = buffer.indexOf('>', pos);
+      const bracket = buffer.indexOf('[', pos);
+      return bracket !== -1 && (close === -1 || bracket < close) ? skip(']>', bracket) : skip('>');
+    }
+    if (buffer.startsWith('</', pos)) {
+      const end = buffer.indexOf('>', pos);
+      return end === -1 ? null : { type: 'close', name: buffer.slice(pos + 2, end).trim(), end: end + 1 };
+    }
+    START_TAG.lastIndex = pos;
+    const match = START_TAG.exec(buffer);
+    if (!match) {
+      if (buffer.length - pos >= MAX_TAG_LENGTH) {
+        throw new Error(`Invalid XML near: ${buffer.slice(pos, pos + 40)}`);
+      }
+      return null;
+    }
+
+    const attrs = {};
+    for (const [, name, double, single] of match[2].matchAll(ATTRIBUTE)) {
+      attrs[name] = decodeEntities(double ?? single);
+    }
+
+    return { type: 'open', name: match[1], attrs, selfClosing: match[3] === '/', end: pos + match[0].length };
+  }
+
+  /**
+   * Whether the element at the top of the stack is a record
+   * @param {string} recordPath - Repeating element path (see records)
+   * @returns {Function} (stack) => boolean
+   */
+  recordMatcher(recordPath) {
+    const path = recordPath.trim();
+    const segments = path.split('/').filter(Boolean);
+    const matches = (names) => names.every((name, i) => segments[i] === '*' || segments[i] === name);
+
+    if (!segments.length) {
+      return (stack) => stack[0] === 'rss'
+        ? stack.length === 3 && stack[1] === 'channel' && stack[2] === 'item'
+        : stack.length === 2;
+    }
+    if (path.startsWith('/')) {
+      return (stack) => stack.length === segments.length && matches(stack);
+    }
+    return (stack) => stack.length >= segments.length && matches(stack.slice(-segments.length));
+  }
+
+  /**
+   * Columns found in the first records, in the order they first appear
+   * @returns {Promise<Array<{name, steps}>>}
+   */
+  async discoverColumns(filePath, options = {}) {
+    const paths = new Set();
+    let count = 0;
+
+    for await (const record of this.records(filePath, options)) {
+      this.flatten(record, '', paths);
+      if (++count >= DISCOVERY_RECORDS) {
+        break;
+      }
+    }
+
+    return [...paths].map((path) => ({ name: path, steps: parseExpression(path) }));
+  }
+
+  /**
+   * Add the column paths of an element: attributes as @name, child elements
+   * by name (shipping/g:price); repeated elements with children by position
+   * (shipping[2]/g:price), repeated plain elements as one column
+   * @param {Object} node - Element tree
+   * @param {string} prefix - Path of the element, '' for the record
+   * @param {Set<string>} paths - Column paths
+   */
+  flatten(node, prefix, paths) {
+    const join = (name) => (prefix ? `${prefix}/${name}` : name);
+
+    Object.keys(node.attrs)
+      .filter((name) => name !== 'xmlns' && !name.startsWith('xmlns:'))
+      .forEach((name) => paths.add(join(`@${name}`)));
+
+    const groups = new Map();
+    node.children.forEach((child) => {
+      groups.set(child.name, [...(groups.get(child.name) || []), child]);
+    });
+
+    groups.forEach((children, name) => {
+      const isLeaf = children.every((child) => child.children.length === 0 && Object.keys(child.attrs).length === 0);
+
+      if (isLeaf) {
+        paths.add(join(name));
+      } else if (children.length === 1) {
+        if (textOf(children[0]).trim() && children[0].children.length === 0) {
+          paths.add(join(name));
+        }
+        this.flatten(children[0], join(name), paths);
+      } else {
+        children.forEach((child, index) => this.flatten(child, join(`${name}[${index + 1}]`), paths));
+      }
+    });
+  }
+}
+
+export default new XmlReader();
@@ -1,5 +1,15 @@
 import logger from '../../utils/logger.js';
 
+// Variant fields compared numerically (Shopify returns "19.90" for 19.9)
+const NUMERIC_VARIANT_FIELDS = ['price', 'compare_at_price', 'cost', 'weight'];
+
+// Mapping field names whose GraphQL product property is camelCase
+const PRODUCT_FIELD_ALIASES = {
+  body_html: 'descriptionHtml',
+  product_type: 'productType',
+  template_suffix: 'templateSuffix',
+};
+
 /**
  * Diff Engine
  * Compares Shopify product data with CSV data to detect changes
@@ -22,6 +32,13 @@ class DiffEngine {
     );
     changes.push(...productChanges);
 
+    // Compare variant fields
+    const variantChanges = this.compareVariantFields(
+      existingProduct.variant,
+      newProductData.variant || {}
+    );
+    changes.push(...variantChanges);
+
     // Compare metafields
     const metafieldChanges = this.compareMetafields(
       existingProduct.metafields || [],
@@ -43,7 +60,7 @@ class DiffEngine {
     const fieldsToCompare = Object.keys(newData);
 
     fieldsToCompare.forEach((field) => {
-      const oldValue = existing[field];
+      const oldValue = existing[field] ?? existing[PRODUCT_FIELD_ALIASES[field]];
       const newValue = newData[field];
 
       if (!this.valuesEqual(oldValue, newValue, field)) {
@@ -59,6 +76,108 @@ class DiffEngine {
     return changes;
   }
 
+  /**
+   * Compare variant fields
+   * @param {Object|null} existingVariant - Matched Shopify variant (GraphQL shape)
+   * @param {Object} newData - New variant data from CSV
+   * @returns {Array} List of changed variant fields
+   */
+  compareVariantFields(existingVariant, newData) {
+    const changes = [];
+    const existing = this.normalizeVariant(existingVariant);
+
+    Object.keys(newData).forEach((field) => {
+      const oldValue = existing[field];
+      const newValue = newData[field];
+
+      const equal = NUMERIC_VARIANT_FIELDS.includes(field)
+        ? this.numbersEqual(oldValue, newValue)
+        : this.valuesEqual(oldValue, newValue, field);
+
+      if (!equal) {
+        changes.push({
+          field,
+          oldValue: this.formatValue(oldValue),
+          newValue: this.formatValue(newValue),
+          fieldType: 'variant',
+        });
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Convert a GraphQL variant node to the snake_case fields used in mappings
+   * @param {Object|null} variant - Shopify variant node
+   * @returns {Object}
+   */
+  normalizeVariant(variant) {
+    if (!variant) {
+      return {};
+    }
+
+    const inventoryItem = variant.inventoryItem || {};
+    const weight = inventoryItem.measurement?.weight;
+    const options = variant.selectedOptions || [];
+
+    return {
+      sku: variant.sku,
+      price: variant.price,
+      compare_at_price: variant.compareAtPrice,
+      cost: inventoryItem.unitCost?.amount,
+      barcode: variant.barcode,
+      weight: weight?.value,
+      weight_unit: weight?.unit,
+      inventory_policy: variant.inventoryPolicy,
+      inventory_management: inventoryItem.tracked === undefined
+        ? undefined
+        : inventoryItem.tracked ? 'shopify' : 'none',
+      requires_shipping: inventoryItem.requiresShipping === undefined
+        ? undefined
+        : String(inventoryItem.requiresShipping),
+      taxable: variant.taxable === undefined ? undefined : String(variant.taxable),
+      option1: options[0]?.value,
+      option2: options[1]?.value,
+      option3: options[2]?.value,
+    };
+  }
+
+  /**
+   * Compare inventory quantity at a location
+   * @param {number|null} currentQuantity - Current available quantity (null if not stocked)
+   * @param {number} newQuantity - Quantity from CSV
+   * @param {Object} location - {id, name}
+   * @returns {Object|null} Change entry, or null when unchanged
+   */
+  compareInventory(currentQuantity, newQuantity, location) {
+    if (currentQuantity === newQuantity) {
+      return null;
+    }
+
+    return {
+      field: `inventory_quantity (${location.name})`,
+      oldValue: this.formatValue(currentQuantity),
+      newValue: this.formatValue(newQuantity),
+      fieldType: 'inventory',
+      locationId: location.id,
+    };
+  }
+
+  /**
+   * Check if two numeric values are equal
+   * @param {*} value1 - First value
+   * @param {*} value2 - Second value
+   * @returns {boolean}
+   */
+  numbersEqual(value1, value2) {
+    if (this.isNullOrEmpty(value1) || this.isNullOrEmpty(value2)) {
+      return this.isNullOrEmpty(value1) && this.isNullOrEmpty(value2);
+    }
+
+    return Number(value1) === Number(value2);
+  }
+
   /**
    * Compare metafields
    * @param {Array} existingMetafields - Existing metafields
@@ -228,12 +347,15 @@ class DiffEngine {
   buildUpdatePayload(existingProduct, newProductData, changes) {
     const payload = {
       product: {},
+      variant: {},
       metafields: [],
     };
 
     changes.forEach((change) => {
       if (change.fieldType === 'product') {
         payload.product[change.field] = newProductData.product[change.field];
+      } else if (change.fieldType === 'variant') {
+        payload.variant[change.field] = newProductData.variant[change.field];
       } else if (change.fieldType === 'metafield') {
         payload.metafields.push(change.metafield);
       }
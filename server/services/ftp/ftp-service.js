@@ -14,8 +14,9 @@ import logger from '../../utils/logger.js';
 class FtpService {
   /**
    * Test FTP connection
+   * SFTP results include the server's host key, so it can be pinned.
    * @param {Object} connection - FTP connection document
-   * @returns {Promise<{success: boolean, error: string|null}>}
+   * @returns {Promise<{success: boolean, error: string|null, hostKey: Object|null, hostKeyMismatch: boolean}>}
    */
   async testConnection(connection) {
     let client = null;
@@ -24,12 +25,14 @@ class FtpService {
       client = await this.connect(connection);
 
       // Try to list root directory
-      await this.listFiles(connection, connection.rootPath || '/');
+      await this.listFiles(connection, '/');
 
       return {
         success: true,
         error: null,
         message: 'Connection successful',
+        hostKey: client.hostKey || null,
+        hostKeyMismatch: false,
       };
     } catch (error) {
       logger.error('FTP connection test failed:', error);
@@ -37,6 +40,8 @@ class FtpService {
         success: false,
         error: error.message,
         message: 'Connection failed',
+        hostKey: error.hostKey || null,
+        hostKeyMismatch: error.code === 'HOST_KEY_MISMATCH',
       };
     } finally {
       if (client) {
@@ -62,15 +67,24 @@ class FtpService {
 
   /**
    * Connect to SFTP server
+   * The server's host key must match the one pinned on the connection
+   * (connection.hostKey, recorded by the first successful test). The key the
+   * server presented is available as client.hostKey.
    */
   async connectSftp(connection) {
     const client = new SftpClient();
+    const pinned = connection.hostKey?.fingerprint;
+    let presented = null;
 
     const config = {
       host: connection.host,
       port: connection.port,
       username: connection.username,
       readyTimeout: connection.options?.timeout || 30000,
+      hostVerifier: (key) => {
+        presented = this.hostKeyInfo(key);
+        return !pinned || presented.fingerprint === pinned;
+      },
     };
 
     // Authentication
@@ -83,10 +97,49 @@ class FtpService {
       config.password = encryption.decrypt(connection.password);
     }
 
-    await client.connect(config);
+    try {
+      await client.connect(config);
+    } catch (error) {
+      if (pinned && presented && presented.fingerprint !== pinned) {
+        const mismatch = new Error(
+          `Host key of ${connection.host} has changed: expected ${pinned}, got ${presented.fingerprint}. ` +
+          'Review and accept the new key if the server was legitimately changed.'
+        );
+        mismatch.code = 'HOST_KEY_MISMATCH';
+        mismatch.hostKey = presented;
+        throw mismatch;
+      }
+      throw error;
+    }
+
+    if (!pinned) {
+      logger.warn(`SFTP host key of ${connection.host} is not pinned yet (${presented?.fingerprint}); test the connection to pin it`);
+    }
+
+    client.hostKey = presented;
     return client;
   }
 
+  /**
+   * Algorithm and OpenSSH-style SHA256 fingerprint of a raw SSH host key
+   * @param {Buffer} key - Host key blob
+   * @returns {{algorithm: string, fingerprint: string}}
+   */
+  hostKeyInfo(key) {
+    // The blob starts with the key type as a length-prefixed string
+    const typeLength = key.length >= 4 ? key.readUInt32BE(0) : 0;
+    const algorithm = typeLength > 0 && typeLength <= key.length - 4
+      ? key.subarray(4, 4 + typeLength).toString('ascii')
+      : 'unknown';
+
+    const digest = crypto.createHash('sha256').update(key).digest('base64').replace(/=+$/, '');
+
+    return {
+      algorithm,
+      fingerprint: `SHA256:${digest}`,
+    };
+  }
+
   /**
    * Connect to FTP/FTPS server
    */
@@ -126,41 +179,70 @@ class FtpService {
   /**
    * List files in directory
    * @param {Object} connection - FTP connection document
-   * @param {string} dirPath - Directory path
+   * @param {string} dirPath - Directory path, relative to the root path
    * @returns {Promise<Array>} List of files
    */
   async listFiles(connection, dirPath = '/') {
+    const { entries } = await this.listDirectory(connection, dirPath);
+    return entries.filter((entry) => entry.type === 'file');
+  }
+
+  /**
+   * List the files and sub-directories of a directory
+   * Paths are relative to the connection's root path and can't leave it
+   * (.. stops at the root).
+   * @param {Object} connection - FTP connection document
+   * @param {string} dirPath - Directory path, relative to the root path
+   * @returns {Promise<{path: string, entries: Array<{name, type, size, modifiedTime, path}>}>}
+   *   `type` is 'file' or 'directory'; directories come first, then by name
+   */
+  async listDirectory(connection, dirPath = '/') {
+    const relativePath = this.relativePath(dirPath);
+    const fullPath = path.posix.join(connection.rootPath || '/', relativePath);
     const client = await this.connect(connection);
 
     try {
-      const fullPath = path.posix.join(connection.rootPath || '/', dirPath);
-
-      if (connection.protocol === 'sftp') {
-        const fileList = await client.list(fullPath);
-        return fileList
-          .filter((file) => file.type === '-') // Only files, not directories
-          .map((file) => ({
-            name: file.name,
-            size: file.size,
-            modifiedTime: file.modifyTime,
-            path: path.posix.join(fullPath, file.name),
-          }));
-      } else {
-        const fileList = await client.list(fullPath);
-        return fileList
-          .filter((file) => !file.isDirectory)
-          .map((file) => ({
-            name: file.name,
-            size: file.size,
-            modifiedTime: file.modifiedAt,
-            path: path.posix.join(fullPath, file.name),
-          }));
-      }
+      const fileList = await client.list(fullPath);
+
+      const entries = fileList
+        .map((file) => {
+          const entry = connection.protocol === 'sftp'
+            ? {
+              name: file.name,
+              type: { '-': 'file', d: 'directory' }[file.type],
+              size: file.size,
+              modifiedTime: file.modifyTime,
+            }
+            : {
+              name: file.name,
+              type: file.isDirectory ? 'directory' : 'file',
+              size: file.size,
+              modifiedTime: file.modifiedAt,
+            };
+
+          return { ...entry, path: path.posix.join(relativePath, file.name) };
+        })
+        .filter((entry) => entry.type && !['.', '..'].includes(entry.name))
+        .sort((a, b) =>
+          (a.type === b.type ? 0 : a.type === 'directory' ? -1 : 1) ||
+          a.name.localeCompare(b.name, undefined, { numeric: true })
+        );
+
+      return { path: relativePath, entries };
     } finally {
       await this.disconnect(client, connection.protocol);
     }
   }
 
+  /**
+   * Normalize a path relative to the root path, without leading ..
+   * @param {string} dirPath - Path from the user
+   * @returns {string} Absolute-looking path under the root, e.g. /incoming
+   */
+  relativePath(dirPath) {
+    return path.posix.join('/', String(dirPath || '/').replace(/\\/g, '/'));
+  }
+
   /**
    * Download file from FTP/SFTP to local temp directory
    * @param {Object} connection - FTP connection document
@@ -226,6 +308,61 @@ class FtpService {
     }
   }
 
+  /**
+   * Rename or move a file on FTP/SFTP
+   * Missing folders of the target path are created.
+   * @param {Object} connection - FTP connection document
+   * @param {string} fromPath - Remote file path
+   * @param {string} toPath - New remote file path
+   */
+  async renameFile(connection, fromPath, toPath) {
+    const client = await this.connect(connection);
+
+    try {
+      const fullFromPath = path.posix.join(connection.rootPath || '/', fromPath);
+      const fullToPath = path.posix.join(connection.rootPath || '/', toPath);
+      const targetDir = path.posix.dirname(fullToPath);
+
+      if (connection.protocol === 'sftp') {
+        if (!(await client.exists(targetDir))) {
+          await client.mkdir(targetDir, true);
+        }
+        await client.rename(fullFromPath, fullToPath);
+      } else {
+        // ensureDir also changes the working directory; paths below are absolute
+        await client.ensureDir(targetDir);
+        await client.rename(fullFromPath, fullToPath);
+      }
+
+      logger.info(`Remote file renamed: ${fullFromPath} -> ${fullToPath}`);
+    } finally {
+      await this.disconnect(client, connection.protocol);
+    }
+  }
+
+  /**
+   * Delete a file on FTP/SFTP
+   * @param {Object} connection - FTP connection document
+   * @param {string} remotePath - Remote file path
+   */
+  async deleteFile(connection, remotePath) {
+    const client = await this.connect(connection);
+
+    try {
+      const fullRemotePath = path.posix.join(connection.rootPath || '/', remotePath);
+
+      if (connection.protocol === 'sftp') {
+        await client.delete(fullRemotePath);
+      } else {
+        await client.remove(fullRemotePath);
+      }
+
+      logger.info(`Remote file deleted: ${fullRemotePath}`);
+    } finally {
+      await this.disconnect(client, connection.protocol);
+    }
+  }
+
   /**
    * Check if file exists on FTP/SFTP
    * @param {Object} connection - FTP connection document
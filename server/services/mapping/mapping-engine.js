@@ -16,6 +16,7 @@ class MappingEngine {
   transformRow(csvRow, mappings, matchingConfig, valueMappings = []) {
     const productData = {
       product: {},
+      variant: {},
       metafields: [],
       identifier: this.getIdentifier(csvRow, matchingConfig),
     };
@@ -77,6 +78,13 @@ class MappingEngine {
           mapping.shopifyField,
           transformedValue
         );
+      } else if (mapping.fieldType === 'variant') {
+        // Map to variant field
+        this.mapVariantField(
+          productData.variant,
+          mapping.shopifyField,
+          transformedValue
+        );
       } else if (mapping.fieldType === 'metafield') {
         // Format the value for the metafield type
         const formattedValue = this.formatMetafieldValue(
@@ -277,6 +285,130 @@ class MappingEngine {
     }
   }
 
+  /**
+   * Map value to variant field
+   * Values are normalized to the formats returned by the Shopify Admin API
+   * so the Diff Engine can compare them against the existing variant.
+   * @param {Object} variant - Variant object
+   * @param {string} field - Shopify variant field name
+   * @param {*} value - Value to map
+   */
+  mapVariantField(variant, field, value) {
+    if (this.isEmpty(value)) {
+      return;
+    }
+
+    switch (field) {
+      case 'price':
+      case 'compare_at_price':
+      case 'cost':
+      case 'weight': {
+        const num = Number(String(value).replace(',', '.'));
+        if (!Number.isFinite(num)) {
+          logger.warn(`Mapping Engine: Invalid number '${value}' for variant field '${field}'`);
+          return;
+        }
+        variant[field] = num.toString();
+        break;
+      }
+
+      case 'weight_unit': {
+        const units = {
+          kg: 'KILOGRAMS',
+          kilograms: 'KILOGRAMS',
+          g: 'GRAMS',
+          grams: 'GRAMS',
+          lb: 'POUNDS',
+          lbs: 'POUNDS',
+          pounds: 'POUNDS',
+          oz: 'OUNCES',
+          ounces: 'OUNCES',
+        };
+        const unit = units[String(value).toLowerCase()];
+        if (unit) {
+          variant.weight_unit = unit;
+        } else {
+          logger.warn(`Mapping Engine: Unknown weight unit '${value}'`);
+        }
+        break;
+      }
+
+      case 'inventory_policy': {
+        // Shopify expects DENY or CONTINUE
+        const policy = String(value).toLowerCase();
+        if (['deny', 'continue'].includes(policy)) {
+          variant.inventory_policy = policy.toUpperCase();
+        }
+        break;
+      }
+
+      case 'inventory_management': {
+        // Only Shopify-managed inventory can be tracked via the API
+        const managed = String(value).toLowerCase();
+        variant.inventory_management = ['shopify', 'true', '1', 'yes'].includes(managed)
+          ? 'shopify'
+          : 'none';
+        break;
+      }
+
+      case 'requires_shipping':
+      case 'taxable':
+        variant[field] = ['true', '1', 'yes', 'on'].includes(String(value).toLowerCase())
+          ? 'true'
+          : 'false';
+        break;
+
+      case 'inventory_quantity':
+        // Quantities are per location - configured in the feed's inventory settings
+        logger.warn("Mapping Engine: 'inventory_quantity' is synced through the feed's inventory settings and will be ignored here");
+        break;
+
+      case 'fulfillment_service':
+        // Not writable through the variant input
+        logger.warn(`Mapping Engine: Variant field '${field}' is not supported and will be ignored`);
+        break;
+
+      default:
+        // sku, barcode, option1-3
+        variant[field] = String(value);
+    }
+  }
+
+  /**
+   * Get inventory quantity and location from CSV row
+   * @param {Object} csvRow - CSV row data
+   * @param {Object} inventoryConfig - Feed inventory configuration
+   * @returns {Object|null} {quantity, location} or null when not configured/empty
+   */
+  getInventory(csvRow, inventoryConfig) {
+    if (!inventoryConfig?.enabled || !inventoryConfig.quantityColumn) {
+      return null;
+    }
+
+    const rawQuantity = csvRow[inventoryConfig.quantityColumn];
+    if (this.isEmpty(rawQuantity)) {
+      return null;
+    }
+
+    const quantity = Number(String(rawQuantity).trim());
+    if (!Number.isFinite(quantity)) {
+      logger.warn(`Mapping Engine: Invalid inventory quantity '${rawQuantity}'`);
+      return null;
+    }
+
+    // Location from the CSV row (name or ID), falling back to the feed's default location
+    const rowLocation = inventoryConfig.locationColumn
+      ? csvRow[inventoryConfig.locationColumn]
+      : null;
+
+    return {
+      quantity: Math.round(quantity),
+      location: this.isEmpty(rowLocation)
+        ? inventoryConfig.locationId
+        : String(rowLocation).trim(),
+    };
+  }
+
   /**
    * Format value for metafield type
    * @param {*} value - Raw value
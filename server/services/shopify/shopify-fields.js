@@ -1,4 +1,5 @@
 import shopify from '../../config/shopify.js';
+import throttleManager from './throttle-manager.js';
 import logger from '../../utils/logger.js';
 
 /**
@@ -58,12 +59,15 @@ class ShopifyFieldsService {
      */
     async getMetafieldDefinitions(shopDomain, accessToken) {
         try {
-            const client = new shopify.clients.Graphql({
-                session: {
-                    shop: shopDomain,
-                    accessToken: accessToken,
-                },
-            });
+            const client = throttleManager.wrap(
+                new shopify.clients.Graphql({
+                    session: {
+                        shop: shopDomain,
+                        accessToken: accessToken,
+                    },
+                }),
+                shopDomain
+            );
 
             const query = `
         query getMetafieldDefinitions($ownerType: MetafieldOwnerType!) {
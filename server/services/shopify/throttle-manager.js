@@ -0,0 +1,184 @@
+import redisClient from '../../config/redis.js';
+import { config } from '../../config/app.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Reserve `cost` points from a shop's bucket, refilling it for the time passed.
+ * Returns 0 when reserved, otherwise the milliseconds to wait before retrying.
+ * KEYS[1] bucket hash; ARGV: now, cost, default maximum, default restore rate
+ */
+const ACQUIRE_SCRIPT = `
+  local bucket = redis.call('HMGET', KEYS[1], 'available', 'maximum', 'restoreRate', 'updatedAt')
+  local now = tonumber(ARGV[1])
+  local maximum = tonumber(bucket[2]) or tonumber(ARGV[3])
+  local restoreRate = tonumber(bucket[3]) or tonumber(ARGV[4])
+  local available = tonumber(bucket[1]) or maximum
+  local updatedAt = tonumber(bucket[4]) or now
+  local cost = math.min(tonumber(ARGV[2]), maximum)
+
+  available = math.min(maximum, available + (now - updatedAt) / 1000 * restoreRate)
+
+  local wait = 0
+  if available >= cost then
+    available = available - cost
+  else
+    wait = math.ceil((cost - available) / restoreRate * 1000)
+  end
+
+  redis.call('HSET', KEYS[1], 'available', tostring(available), 'maximum', maximum,
+    'restoreRate', restoreRate, 'updatedAt', now)
+  redis.call('PEXPIRE', KEYS[1], 3600000)
+
+  return wait
+`;
+
+/**
+ * Throttle Manager
+ * Paces Admin GraphQL requests with Shopify's cost-based leaky bucket.
+ * Each response reports the bucket (extensions.cost.throttleStatus); the
+ * bucket is kept in Redis so every worker sending requests for a shop shares it.
+ * Stores on higher plans report larger buckets and get more throughput.
+ */
+class ThrottleManager {
+  constructor() {
+    // Requested cost of each query, learned from responses
+    this.queryCosts = new Map();
+  }
+
+  /**
+   * Wrap a Shopify GraphQL client so its requests are throttled
+   * @param {Object} client - shopify.clients.Graphql instance
+   * @param {string} shopDomain - Shop domain
+   * @returns {Object} Client with the same request() signature
+   */
+  wrap(client, shopDomain) {
+    return {
+      request: (query, options) => this.request(client, shopDomain, query, options),
+    };
+  }
+
+  /**
+   * Send a request once the bucket has room for it; THROTTLED responses are retried
+   * @param {Object} client - shopify.clients.Graphql instance
+   * @param {string} shopDomain - Shop domain
+   * @param {string} query - GraphQL operation
+   * @param {Object} options - Request options ({variables})
+   * @returns {Promise<Object>} Response ({data, extensions})
+   */
+  async request(client, shopDomain, query, options = {}) {
+    const { maxRetries } = config.shopify.throttle;
+
+    for (let attempt = 1; ; attempt++) {
+      await this.acquire(shopDomain, this.estimateCost(query));
+
+      try {
+        const response = await client.request(query, options);
+        await this.record(shopDomain, query, response.extensions?.cost);
+        return response;
+      } catch (error) {
+        if (!this.isThrottled(error) || attempt > maxRetries) {
+          throw error;
+        }
+
+        // Without cost details the bucket is treated as empty
+        const cost = error.body?.extensions?.cost || {
+          throttleStatus: { currentlyAvailable: 0 },
+        };
+        await this.record(shopDomain, query, cost);
+
+        logger.warn(`Throttled by Shopify (${shopDomain}), attempt ${attempt}/${maxRetries + 1}`);
+      }
+    }
+  }
+
+  /**
+   * Wait until the shop's bucket has `cost` points and reserve them
+   * @param {string} shopDomain - Shop domain
+   * @param {number} cost - Expected query cost
+   */
+  async acquire(shopDomain, cost) {
+    const { defaultMaximum, defaultRestoreRate } = config.shopify.throttle;
+
+    for (;;) {
+      let wait;
+      try {
+        wait = await redisClient.getClient().eval(
+          ACQUIRE_SCRIPT,
+          1,
+          this.bucketKey(shopDomain),
+          Date.now(),
+          cost,
+          defaultMaximum,
+          defaultRestoreRate
+        );
+      } catch (error) {
+        // Shopify still answers THROTTLED if Redis is unavailable
+        logger.warn(`Throttle bucket unavailable for ${shopDomain}: ${error.message}`);
+        return;
+      }
+
+      if (wait <= 0) {
+        return;
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+  }
+
+  /**
+   * Store the bucket state reported by Shopify
+   * @param {string} shopDomain - Shop domain
+   * @param {string} query - GraphQL operation the cost belongs to
+   * @param {Object|undefined} cost - extensions.cost of a response
+   */
+  async record(shopDomain, query, cost) {
+    if (!cost) return;
+
+    if (cost.requestedQueryCost) {
+      this.queryCosts.set(query, cost.requestedQueryCost);
+    }
+
+    const status = cost.throttleStatus;
+    if (!status) return;
+
+    const fields = {
+      available: status.currentlyAvailable,
+      updatedAt: Date.now(),
+    };
+    if (status.maximumAvailable) fields.maximum = status.maximumAvailable;
+    if (status.restoreRate) fields.restoreRate = status.restoreRate;
+
+    try {
+      await redisClient.getClient().hset(this.bucketKey(shopDomain), fields);
+    } catch (error) {
+      logger.warn(`Failed to store throttle status for ${shopDomain}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cost reserved before sending a query: what Shopify charged for it last time
+   */
+  estimateCost(query) {
+    return this.queryCosts.get(query) || config.shopify.throttle.defaultCost;
+  }
+
+  /**
+   * Whether Shopify rejected the request for exceeding the rate limit
+   */
+  isThrottled(error) {
+    const graphQLErrors = error.body?.errors?.graphQLErrors || [];
+
+    return (
+      graphQLErrors.some((e) => e.extensions?.code === 'THROTTLED') ||
+      error.response?.code === 429 ||
+      error.response?.status === 429 ||
+      /throttled/i.test(error.message || '')
+    );
+  }
+
+  bucketKey(shopDomain) {
+    return `shopify:throttle:${shopDomain}`;
+  }
+}
+
+export default new ThrottleManager();
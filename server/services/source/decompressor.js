@@ -0,0 +1,329 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { pipeline } from 'stream/promises';
+import { config } from '../../config/app.js';
+import logger from '../../utils/logger.js';
+
+const GZIP_MAGIC = Buffer.from([0x1f, 0x8b]);
+const ZIP_MAGIC = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+// Zip record signatures
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// The end record is 22 bytes plus a comment of up to 64 KB
+const MAX_END_RECORD_SIZE = 22 + 0xffff;
+
+/**
+ * Decompressor
+ * Unpacks downloaded feed files compressed with gzip or archived as zip.
+ * The format is detected from the file content, not its name. Decompressed
+ * data is streamed to the temp directory and limited to config.csv.maxSizeMB.
+ * Excel workbooks (.xlsx) are zip packages too, and are left as they are.
+ */
+class Decompressor {
+  /**
+   * Unpack a downloaded file
+   * @param {string} localPath - Downloaded file
+   * @param {Object} options - {filter(name)} selects the zip entries to extract
+   * @returns {Promise<Array<{name, localPath, size}>|null>} Extracted files, in
+   *   archive order, or null when the file is not compressed
+   */
+  async unpack(localPath, options = {}) {
+    const format = await this.detectFormat(localPath);
+
+    if (format === 'gzip') {
+      return [await this.gunzip(localPath)];
+    }
+    if (format === 'zip') {
+      if (await this.isWorkbook(localPath)) {
+        return null;
+      }
+      return this.unzip(localPath, options.filter);
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a zip file is an Excel workbook rather than an archive of feed files
+   */
+  async isWorkbook(localPath) {
+    const handle = await fs.promises.open(localPath, 'r');
+
+    try {
+      const names = (await this.readCentralDirectory(handle)).map((entry) => entry.name);
+      return names.includes('[Content_Types].xml') && names.includes('xl/workbook.xml');
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Read zip entries into memory (small files, e.g. the parts of a workbook)
+   * @param {string} localPath - Zip file
+   * @param {Function} filter - Entry name filter
+   * @returns {Promise<Map<string, Buffer>>} Content by entry name
+   */
+  async readEntries(localPath, filter) {
+    const handle = await fs.promises.open(localPath, 'r');
+    const contents = new Map();
+
+    try {
+      const entries = (await this.readCentralDirectory(handle)).filter((entry) => filter(entry.name));
+      let remaining = this.maxBytes();
+
+      for (const entry of entries) {
+        if (entry.encrypted || ![0, 8].includes(entry.method)) {
+          throw new Error(`Unsupported zip entry: ${entry.name}`);
+        }
+        if (entry.uncompressedSize > remaining) {
+          throw new Error(`Decompressed file exceeds the ${config.csv.maxSizeMB} MB limit`);
+        }
+
+        const data = Buffer.alloc(entry.compressedSize);
+        if (entry.compressedSize > 0) {
+          await handle.read(data, 0, entry.compressedSize, await this.dataOffset(handle, entry));
+        }
+
+        // The declared size can be forged, so inflating stops at the limit too
+        const content = entry.method === 8 && entry.compressedSize > 0
+          ? zlib.inflateRawSync(data, { maxOutputLength: remaining })
+          : data;
+
+        contents.set(entry.name, content);
+        remaining -= content.length;
+      }
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        throw new Error(`Decompressed file exceeds the ${config.csv.maxSizeMB} MB limit`);
+      }
+      throw error;
+    } finally {
+      await handle.close();
+    }
+
+    return contents;
+  }
+
+  /**
+   * Compression format from the first bytes of a file
+   * @returns {Promise<'gzip'|'zip'|null>}
+   */
+  async detectFormat(localPath) {
+    const handle = await fs.promises.open(localPath, 'r');
+
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(4), 0, 4, 0);
+      const head = buffer.subarray(0, bytesRead);
+
+      if (head.subarray(0, 2).equals(GZIP_MAGIC)) return 'gzip';
+      if (head.equals(ZIP_MAGIC)) return 'zip';
+      return null;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Decompress a gzip file (stock.csv.gz -> stock.csv)
+   */
+  async gunzip(localPath) {
+    const name = path.basename(localPath).replace(/^\d+_/, '').replace(/\.gz$/i, '') || 'feed.csv';
+    const outputPath = this.outputPath(name);
+
+    const size = await this.write(
+      [fs.createReadStream(localPath), zlib.createGunzip()],
+      outputPath,
+      this.maxBytes()
+    );
+
+    logger.info(`Decompressed ${localPath} -> ${outputPath} (${size} bytes)`);
+
+    return { name, localPath: outputPath, size };
+  }
+
+  /**
+   * Extract the selected entries of a zip archive
+   * Folders and macOS resource forks are skipped.
+   * @param {string} localPath - Zip file
+   * @param {Function} filter - Entry name filter, defaults to every file
+   */
+  async unzip(localPath, filter = null) {
+    const handle = await fs.promises.open(localPath, 'r');
+    const extracted = [];
+
+    try {
+      const entries = (await this.readCentralDirectory(handle))
+        .filter((entry) => !entry.name.endsWith('/') && !entry.name.startsWith('__MACOSX/'))
+        .filter((entry) => !filter || filter(entry.name));
+
+      // Sizes in the archive can be forged, so the limit is also checked while writing
+      let remaining = this.maxBytes();
+      const declared = entries.reduce((total, entry) => total + entry.uncompressedSize, 0);
+      if (declared > remaining) {
+        throw new Error(`Decompressed file exceeds the ${config.csv.maxSizeMB} MB limit`);
+      }
+
+      for (const entry of entries) {
+        if (entry.encrypted) {
+          throw new Error(`Encrypted zip entries are not supported: ${entry.name}`);
+        }
+        if (![0, 8].includes(entry.method)) {
+          throw new Error(`Unsupported zip compression method ${entry.method}: ${entry.name}`);
+        }
+
+        const name = path.posix.basename(entry.name);
+        const outputPath = this.outputPath(name, extracted.length);
+        const file = { name: entry.name, localPath: outputPath, size: 0 };
+        extracted.push(file);
+
+        if (entry.compressedSize === 0) {
+          await fs.promises.writeFile(outputPath, '');
+        } else {
+          const start = await this.dataOffset(handle, entry);
+          const streams = [
+            fs.createReadStream(null, {
+              fd: handle.fd,
+              autoClose: false,
+              start,
+              end: start + entry.compressedSize - 1,
+            }),
+          ];
+          if (entry.method === 8) {
+            streams.push(zlib.createInflateRaw());
+          }
+
+          file.size = await this.write(streams, outputPath, remaining);
+        }
+
+        remaining -= file.size;
+      }
+    } catch (error) {
+      await Promise.all(extracted.map((file) => fs.promises.unlink(file.localPath).catch(() => {})));
+      throw error;
+    } finally {
+      await handle.close();
+    }
+
+    logger.info(`Extracted ${extracted.length} file(s) from ${localPath}`);
+
+    return extracted;
+  }
+
+  /**
+   * Entries listed in the central directory at the end of a zip archive
+   */
+  async readCentralDirectory(handle) {
+    const { size } = await handle.stat();
+    const tailSize = Math.min(size, MAX_END_RECORD_SIZE);
+    const tail = Buffer.alloc(tailSize);
+    await handle.read(tail, 0, tailSize, size - tailSize);
+
+    let end = -1;
+    for (let i = tailSize - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+        end = i;
+        break;
+      }
+    }
+    if (end === -1) {
+      throw new Error('Invalid zip archive: end of central directory not found');
+    }
+
+    const count = tail.readUInt16LE(end + 10);
+    const directorySize = tail.readUInt32LE(end + 12);
+    const directoryOffset = tail.readUInt32LE(end + 16);
+    if (count === 0xffff || directoryOffset === 0xffffffff) {
+      throw new Error('ZIP64 archives are not supported');
+    }
+
+    const directory = Buffer.alloc(directorySize);
+    await handle.read(directory, 0, directorySize, directoryOffset);
+
+    const entries = [];
+    let offset = 0;
+    for (let i = 0; i < count; i++) {
+      if (directory.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+        throw new Error('Invalid zip archive: corrupt central directory');
+      }
+
+      const flags = directory.readUInt16LE(offset + 8);
+      const nameLength = directory.readUInt16LE(offset + 28);
+      const extraLength = directory.readUInt16LE(offset + 30);
+      const commentLength = directory.readUInt16LE(offset + 32);
+
+      entries.push({
+        // Bit 11 marks UTF-8 names; older tools write the DOS code page
+        name: directory.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength),
+        encrypted: Boolean(flags & 0x1),
+        method: directory.readUInt16LE(offset + 10),
+        compressedSize: directory.readUInt32LE(offset + 20),
+        uncompressedSize: directory.readUInt32LE(offset + 24),
+        headerOffset: directory.readUInt32LE(offset + 42),
+      });
+
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  }
+
+  /**
+   * Where the data of an entry starts, after its local file header
+   */
+  async dataOffset(handle, entry) {
+    const header = Buffer.alloc(30);
+    await handle.read(header, 0, 30, entry.headerOffset);
+
+    if (header.readUInt32LE(0) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Invalid zip archive: corrupt entry ${entry.name}`);
+    }
+
+    return entry.headerOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+  }
+
+  /**
+   * Stream decompressed data to a file, stopping at maxBytes
+   * @returns {Promise<number>} Bytes written
+   */
+  async write(streams, outputPath, maxBytes) {
+    let size = 0;
+
+    try {
+      await pipeline(
+        ...streams,
+        async function* (source) {
+          for await (const chunk of source) {
+            size += chunk.length;
+            if (size > maxBytes) {
+              throw new Error(`Decompressed file exceeds the ${config.csv.maxSizeMB} MB limit`);
+            }
+            yield chunk;
+          }
+        },
+        fs.createWriteStream(outputPath)
+      );
+    } catch (error) {
+      await fs.promises.unlink(outputPath).catch(() => {});
+      throw error;
+    }
+
+    return size;
+  }
+
+  /**
+   * Temp file path for decompressed data
+   */
+  outputPath(name, index = 0) {
+    return path.join(config.csv.tempDir, `${Date.now()}_${index}_${name}`);
+  }
+
+  maxBytes() {
+    return config.csv.maxSizeMB * 1024 * 1024;
+  }
+}
+
+export default new Decompressor();
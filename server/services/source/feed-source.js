@@ -0,0 +1,618 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+import FtpService from '../ftp/ftp-service.js';
+import S3Service from '../storage/s3-service.js';
+import httpSource from './http-source.js';
+import uploadSource from './upload-source.js';
+import decompressor from './decompressor.js';
+import logger from '../../utils/logger.js';
+
+const WILDCARD_PATTERN = /[*?[]/;
+
+/**
+ * Regular expression for a file name glob (*, ? and [...] classes)
+ * @param {string} glob - File name pattern, e.g. stock_*.csv
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  let pattern = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      pattern += '.*';
+    } else if (char === '?') {
+      pattern += '.';
+    } else if (char === '[' && glob.indexOf(']', i + 1) > i + 1) {
+      const end = glob.indexOf(']', i + 1);
+      pattern += `[${glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+      i = end;
+    } else {
+      pattern += char.replace(/[.+^${}()|\\\]]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${pattern}$`);
+}
+
+// Listed files by name (numbers compared by value) and by modification time
+const byName = (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true });
+const byTime = (a, b) => new Date(a.modifiedTime) - new Date(b.modifiedTime) || byName(a, b);
+
+/**
+ * Feed Source
+ * Fetches the file of a feed from wherever it lives, so callers do not
+ * depend on the source type:
+ * - 'ftp': a path on an FTP/FTPS/SFTP connection (feed.ftpConnection, feed.file.path)
+ * - 's3': an object key on an S3-compatible storage connection (feed.storageConnection, feed.file.path)
+ * - 'http': an HTTP(S) URL (feed.http)
+ * - 'upload': a file uploaded by hand (feed.upload)
+ *
+ * FTP and S3 file names may contain wildcards (stock_*.csv); feed.file.selection
+ * picks the newest match, the alphabetically last one, or all of them.
+ * Drop-folder feeds (feed.file.mode 'folder') point at a folder instead, and
+ * each file in it is imported by its own job.
+ *
+ * Gzip and zip files are unpacked after the download; feed.file.archiveEntry
+ * picks the zip entries to read.
+ *
+ * With a ready marker (feed.file.marker) a remote file is only read once its
+ * marker exists, so files still being uploaded are not imported half-written.
+ */
+class FeedSource {
+  /**
+   * Download the file(s) of a feed to the temp directory
+   * @param {Object} feed - Feed, or unsaved feed settings, with its connection populated
+   * @param {Object|null} previous - {checksum, etag, lastModified} of the last sync;
+   *   sources that can tell the file is unchanged skip the download
+   * @param {Object} options - {maxFiles} limits how many matched files are downloaded,
+   *   {paths} downloads the given remote paths instead of the feed's,
+   *   {ignoreMarkers} reads files without waiting for their ready markers
+   * @returns {Promise<{files, checksum, size, etag, lastModified}|{unchanged: true}|{waiting: true, reason}>}
+   *   `files` lists {path, localPath, checksum, size, entry} in processing order;
+   *   `entry` names the zip entry a file was extracted from. `waiting` means a
+   *   ready marker is missing or the file doesn't match its MD5 manifest yet.
+   */
+  async download(feed, previous = null, options = {}) {
+    const useMarkers = Boolean(feed.file?.marker?.suffix) && !options.ignoreMarkers && feed.sourceType !== 'upload';
+
+    if (feed.sourceType === 'http') {
+      const markers = useMarkers ? await this.readMarkers(feed, [feed.http.url]) : null;
+      if (markers?.missing.length) {
+        return this.waiting(markers.missing);
+      }
+
+      const result = await httpSource.download(feed.http, previous);
+      if (result.unchanged) {
+        return result;
+      }
+
+      const { localPath, checksum, size, etag, lastModified } = result;
+      const file = { path: feed.http.url, localPath, checksum, size };
+
+      const mismatch = markers && await this.verifyChecksum(feed, file, markers.checksums);
+      if (mismatch) {
+        await this.deleteLocalFile(localPath);
+        return mismatch;
+      }
+
+      return {
+        ...this.combine(await this.unpack(feed, file)),
+        etag,
+        lastModified,
+      };
+    }
+
+    if (feed.sourceType === 'upload') {
+      const { localPath, checksum, size } = await uploadSource.download(feed.upload);
+      return this.combine(await this.unpack(feed, { path: feed.upload.name, localPath, checksum, size }));
+    }
+
+    let paths = options.paths || await this.resolvePaths(feed);
+    if (options.maxFiles) {
+      paths = paths.slice(0, options.maxFiles);
+    }
+
+    const markers = useMarkers ? await this.readMarkers(feed, paths) : null;
+    if (markers?.missing.length) {
+      return this.waiting(markers.missing);
+    }
+
+    // The checksum of an object is its ETag, known without downloading
+    if (feed.sourceType === 's3' && paths.length === 1 && previous?.checksum) {
+      const { etag } = await new S3Service().getFileInfo(feed.storageConnection, paths[0]);
+      if (etag === previous.checksum) {
+        return { unchanged: true };
+      }
+    }
+
+    const files = [];
+    try {
+      for (const remotePath of paths) {
+        const { localPath, checksum, size } = await this.downloadFile(feed, remotePath);
+        const file = { path: remotePath, localPath, checksum, size };
+
+        const mismatch = markers && await this.verifyChecksum(feed, file, markers.checksums);
+        if (mismatch) {
+          await this.cleanup({ files: [...files, file] });
+          return mismatch;
+        }
+
+        files.push(...await this.unpack(feed, file));
+      }
+    } catch (error) {
+      await this.cleanup({ files });
+      throw error;
+    }
+
+    return this.combine(files);
+  }
+
+  /**
+   * Remote paths the feed reads, in processing order
+   * Paths without wildcards are returned as they are.
+   * @param {Object} feed - Feed with its connection populated
+   * @returns {Promise<Array<string>>}
+   */
+  async resolvePaths(feed) {
+    const filePath = feed.file.path;
+    if (feed.file.mode !== 'folder' && !WILDCARD_PATTERN.test(filePath)) {
+      return [filePath];
+    }
+
+    return (await this.resolveFiles(feed)).map((file) => file.path);
+  }
+
+  /**
+   * Listed files the feed reads, in processing order
+   * @param {Object} feed - Feed with its connection populated
+   * @returns {Promise<Array<{path, name, size, modifiedTime, etag}>>}
+   */
+  async resolveFiles(feed) {
+    if (feed.file.mode === 'folder') {
+      const files = await this.listFolder(feed);
+      if (files.length === 0) {
+        throw new Error(`No files in ${feed.file.path}`);
+      }
+      return files;
+    }
+
+    const filePath = feed.file.path;
+    if (!WILDCARD_PATTERN.test(filePath)) {
+      const name = path.posix.basename(filePath);
+      const file = (await this.listFiles(feed, path.posix.dirname(filePath)))
+        .find((listed) => listed.name === name);
+
+      if (!file) {
+        throw new Error(`File not found: ${filePath}`);
+      }
+      return [{ ...file, path: filePath }];
+    }
+
+    const dir = path.posix.dirname(filePath);
+    if (WILDCARD_PATTERN.test(dir)) {
+      throw new Error(`Wildcards are only supported in the file name: ${filePath}`);
+    }
+
+    const matcher = globToRegExp(path.posix.basename(filePath));
+    const matches = (await this.listFiles(feed, dir))
+      .filter((file) => matcher.test(file.name) && !this.isMarker(feed, file.name));
+
+    if (matches.length === 0) {
+      throw new Error(`No file matches ${filePath}`);
+    }
+
+    let selected;
+    switch (feed.file.selection) {
+      case 'alphabetical':
+        selected = [matches.sort(byName).pop()];
+        break;
+      case 'all':
+        selected = matches.sort(byTime);
+        break;
+      default: // newest
+        selected = [matches.sort(byTime).pop()];
+    }
+
+    return selected.map((file) => ({ ...file, path: path.posix.join(dir, file.name) }));
+  }
+
+  /**
+   * Fingerprint of the feed's file(s) from their metadata, without downloading
+   * them: name, size and modification time from a listing (FTP/SFTP, S3), or
+   * the ETag, Last-Modified and size from a HEAD request (HTTP).
+   * Changes when the file(s) the feed reads change.
+   * @param {Object} feed - Feed with its connection populated
+   * @returns {Promise<string>}
+   */
+  async fingerprint(feed) {
+    const files = await this.fileMetadata(feed);
+    const parts = files.map((file) => `${file.path}:${file.metadata}`);
+
+    // A marker arriving after its file is a change too
+    if (feed.file?.marker?.suffix) {
+      const paths = files.map((file) => file.path);
+      const { missing } = await this.readMarkers(feed, paths, { existence: true });
+      parts.push(`waiting:${missing.join(',')}`);
+    }
+
+    return crypto.createHash('md5').update(parts.join('\n')).digest('hex');
+  }
+
+  /**
+   * Path and metadata of each file the feed reads, for its fingerprint
+   * @param {Object} feed - Feed with its connection populated
+   * @returns {Promise<Array<{path, metadata}>>}
+   */
+  async fileMetadata(feed) {
+    if (feed.sourceType === 'http') {
+      const { size, etag, lastModified } = await httpSource.getFileInfo(feed.http);
+      return [{ path: feed.http.url, metadata: `${size}:${etag || ''}:${lastModified || ''}` }];
+    }
+
+    if (feed.sourceType === 'upload') {
+      throw new Error('Uploaded files cannot be polled for changes');
+    }
+
+    const files = await this.resolveFiles(feed);
+    return files.map((file) => ({
+      path: file.path,
+      metadata: `${file.size}:${new Date(file.modifiedTime).getTime()}:${file.etag || ''}`,
+    }));
+  }
+
+  /**
+   * Files in the folder of a drop-folder feed, oldest first
+   * The feed path is the folder, optionally ending in a file name pattern
+   * (deltas/*.csv) that files must match.
+   * @param {Object} feed - Feed with its connection populated
+   * @returns {Promise<Array<{path, name, size, modifiedTime, etag}>>}
+   */
+  async listFolder(feed) {
+    const folderPath = feed.file.path;
+    const pattern = WILDCARD_PATTERN.test(path.posix.basename(folderPath))
+      ? path.posix.basename(folderPath)
+      : null;
+    const dir = pattern ? path.posix.dirname(folderPath) : folderPath;
+
+    if (WILDCARD_PATTERN.test(dir)) {
+      throw new Error(`Wildcards are only supported in the file name: ${folderPath}`);
+    }
+
+    const matcher = pattern ? globToRegExp(pattern) : null;
+    const files = (await this.listFiles(feed, dir))
+      .filter((file) => (!matcher || matcher.test(file.name)) && !this.isMarker(feed, file.name));
+
+    return files
+      .sort(byTime)
+      .map((file) => ({ ...file, path: path.posix.join(dir, file.name) }));
+  }
+
+  /**
+   * List files in a folder of the feed's connection
+   */
+  async listFiles(feed, dir) {
+    if (feed.sourceType === 's3') {
+      return new S3Service().listFiles(feed.storageConnection, dir);
+    }
+
+    return new FtpService().listFiles(feed.ftpConnection, dir);
+  }
+
+  /**
+   * Download one remote file of the feed's connection
+   */
+  async downloadFile(feed, remotePath) {
+    if (feed.sourceType === 's3') {
+      return new S3Service().downloadFile(feed.storageConnection, remotePath);
+    }
+
+    return new FtpService().downloadFile(feed.ftpConnection, remotePath);
+  }
+
+  /**
+   * Whether a listed file is a ready marker rather than a feed file
+   */
+  isMarker(feed, name) {
+    const suffix = feed.file?.marker?.suffix;
+    return Boolean(suffix) && name.endsWith(suffix);
+  }
+
+  /**
+   * Path or URL of the ready marker of a remote file
+   * @param {Object} feed - Feed
+   * @param {string} remotePath - Remote path, or the URL of an HTTP feed
+   * @returns {string}
+   */
+  markerPath(feed, remotePath) {
+    const suffix = feed.file.marker.suffix;
+
+    if (feed.sourceType === 'http') {
+      const url = new URL(remotePath);
+      url.pathname += suffix;
+      return url.toString();
+    }
+
+    return `${remotePath}${suffix}`;
+  }
+
+  /**
+   * Look up the ready markers of remote files
+   * FTP/SFTP and S3 markers are found in a listing of the file's folder;
+   * MD5 manifests (feed.file.marker.checksum) are downloaded to read the checksum.
+   * @param {Object} feed - Feed with its connection populated
+   * @param {Array<string>} paths - Remote paths, or the URL of an HTTP feed
+   * @param {Object} options - {existence} only checks the markers exist
+   * @returns {Promise<{missing: Array<string>, checksums: Map<string, string>}>}
+   *   `missing` lists the marker paths that don't exist; `checksums` maps remote
+   *   paths to the MD5 their manifest holds
+   */
+  async readMarkers(feed, paths, options = {}) {
+    const readChecksum = feed.file.marker.checksum && !options.existence;
+    const missing = [];
+    const checksums = new Map();
+
+    if (feed.sourceType === 'http') {
+      for (const url of paths) {
+        const markerUrl = this.markerPath(feed, url);
+        const content = await httpSource.fetchText(feed.http, markerUrl);
+
+        if (content === null) {
+          missing.push(markerUrl);
+        } else if (readChecksum) {
+          checksums.set(url, this.parseChecksum(content, markerUrl));
+        }
+      }
+
+      return { missing, checksums };
+    }
+
+    // One listing per folder
+    const listings = new Map();
+    for (const remotePath of paths) {
+      const dir = path.posix.dirname(remotePath);
+      if (!listings.has(dir)) {
+        listings.set(dir, new Set((await this.listFiles(feed, dir)).map((file) => file.name)));
+      }
+
+      const markerPath = this.markerPath(feed, remotePath);
+      if (!listings.get(dir).has(path.posix.basename(markerPath))) {
+        missing.push(markerPath);
+      } else if (readChecksum) {
+        const { localPath } = await this.downloadFile(feed, markerPath);
+        try {
+          const content = await fs.promises.readFile(localPath, 'utf8');
+          checksums.set(remotePath, this.parseChecksum(content, markerPath));
+        } finally {
+          await this.deleteLocalFile(localPath);
+        }
+      }
+    }
+
+    return { missing, checksums };
+  }
+
+  /**
+   * MD5 checksum in a manifest: the hex digest, optionally followed by the file name
+   */
+  parseChecksum(content, markerPath) {
+    const match = content.match(/\b[0-9a-f]{32}\b/i);
+    if (!match) {
+      throw new Error(`No MD5 checksum found in ${markerPath}`);
+    }
+    return match[0].toLowerCase();
+  }
+
+  /**
+   * Compare a downloaded file with the checksum of its MD5 manifest
+   * @param {Object} feed - Feed
+   * @param {Object} file - Downloaded file {path, localPath}
+   * @param {Map<string, string>} checksums - Result of readMarkers()
+   * @returns {Promise<Object|null>} A waiting result when the file doesn't match
+   */
+  async verifyChecksum(feed, file, checksums) {
+    const expected = checksums.get(file.path);
+    if (!expected) {
+      return null;
+    }
+
+    // S3 checksums are ETags, which are not the MD5 of multipart uploads
+    const hash = crypto.createHash('md5');
+    await pipeline(fs.createReadStream(file.localPath), async function* (source) {
+      for await (const chunk of source) {
+        hash.update(chunk);
+      }
+    });
+
+    if (hash.digest('hex') === expected) {
+      return null;
+    }
+
+    return {
+      waiting: true,
+      reason: `${file.path} does not match the checksum in ${this.markerPath(feed, file.path)} yet`,
+    };
+  }
+
+  /**
+   * Result of a download that waits for ready markers
+   */
+  waiting(missing) {
+    return {
+      waiting: true,
+      reason: `Waiting for ready marker ${missing.join(', ')}`,
+    };
+  }
+
+  /**
+   * Unpack a downloaded file if it is compressed
+   * The extracted files keep the remote path and checksum of the download.
+   * @param {Object} feed - Feed
+   * @param {Object} file - Downloaded file {path, localPath, checksum, size}
+   * @returns {Promise<Array<Object>>} Files to read
+   */
+  async unpack(feed, file) {
+    const pattern = feed.file?.archiveEntry;
+    const matcher = pattern ? globToRegExp(pattern) : null;
+
+    let entries;
+    try {
+      entries = await decompressor.unpack(file.localPath, {
+        // Patterns without a folder match the entry's file name in any folder
+        filter: matcher && ((name) => matcher.test(pattern.includes('/') ? name : path.posix.basename(name))),
+      });
+    } catch (error) {
+      await this.deleteLocalFile(file.localPath);
+      throw error;
+    }
+
+    if (!entries) {
+      return [file];
+    }
+
+    await this.deleteLocalFile(file.localPath);
+
+    if (entries.length === 0) {
+      throw new Error(`No file in ${file.path} matches ${pattern || 'the archive entry pattern'}`);
+    }
+
+    return entries.map((entry) => ({
+      ...file,
+      localPath: entry.localPath,
+      size: entry.size,
+      entry: entry.name,
+    }));
+  }
+
+  /**
+   * Summarize downloaded files
+   * Several files get one checksum over all of them, so an unchanged set can be skipped.
+   */
+  combine(files) {
+    const checksum = files.length === 1
+      ? files[0].checksum
+      : crypto
+        .createHash('md5')
+        .update(files.map((file) => `${file.path}:${file.checksum}`).join('\n'))
+        .digest('hex');
+
+    return {
+      files,
+      checksum,
+      size: files.reduce((total, file) => total + file.size, 0),
+    };
+  }
+
+  /**
+   * Apply the feed's post-processing action to the imported remote file(s)
+   * Only FTP/SFTP sources support it.
+   * @param {Object} feed - Feed with its connection populated
+   * @param {Object} download - Result of download()
+   * @returns {Promise<Object|null>} Summary {action, files}, or null when no action applies
+   */
+  async postProcess(feed, download) {
+    const action = feed.postProcess?.action || 'none';
+    if (action === 'none' || feed.sourceType !== 'ftp' || !download?.files?.length) {
+      return null;
+    }
+
+    const ftpService = new FtpService();
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    const files = [];
+
+    // Entries extracted from one archive share its remote path
+    for (const remotePath of new Set(download.files.map((file) => file.path))) {
+      files.push(await this.moveOrDeleteFile(ftpService, feed, remotePath, stamp));
+
+      // The marker goes with its file, so it doesn't mark the next upload as ready
+      if (feed.file?.marker?.suffix) {
+        const markerPath = this.markerPath(feed, remotePath);
+        try {
+          files.push(await this.moveOrDeleteFile(ftpService, feed, markerPath, stamp));
+        } catch (error) {
+          logger.warn(`Could not ${action} ready marker ${markerPath}: ${error.message}`);
+        }
+      }
+    }
+
+    return { action, files };
+  }
+
+  /**
+   * Archive, rename or delete one remote file
+   * @returns {Promise<{path, movedTo}>}
+   */
+  async moveOrDeleteFile(ftpService, feed, remotePath, stamp) {
+    const dir = path.posix.dirname(remotePath);
+    const name = path.posix.basename(remotePath);
+
+    if (feed.postProcess.action === 'delete') {
+      await ftpService.deleteFile(feed.ftpConnection, remotePath);
+      return { path: remotePath };
+    }
+
+    let target;
+    if (feed.postProcess.action === 'archive') {
+      // Relative archive folders sit next to the file, absolute ones under the connection root
+      const folder = feed.postProcess.archiveFolder || 'archive';
+      target = path.posix.join(folder.startsWith('/') ? folder : path.posix.join(dir, folder), name);
+    } else {
+      // The marker keeps its suffix after the stamp (products_20260101-120000.csv.done)
+      const suffix = this.isMarker(feed, name) ? feed.file.marker.suffix : '';
+      const base = name.slice(0, name.length - suffix.length);
+      const ext = path.posix.extname(base);
+      target = path.posix.join(dir, `${path.posix.basename(base, ext)}_${stamp}${ext}${suffix}`);
+    }
+
+    await ftpService.renameFile(feed.ftpConnection, remotePath, target);
+    return { path: remotePath, movedTo: target };
+  }
+
+  /**
+   * Location of the file(s), for job records and logs
+   * @param {Object} feed - Feed
+   * @param {Array<string>} paths - Resolved remote paths, defaults to the feed's path
+   * @returns {string}
+   */
+  describe(feed, paths = [feed.file?.path]) {
+    if (feed.sourceType === 'http') {
+      return feed.http.url;
+    }
+    if (feed.sourceType === 'upload') {
+      return `Upload: ${feed.upload?.name}`;
+    }
+
+    paths = [...new Set(paths)];
+    if (feed.sourceType === 's3') {
+      const s3Service = new S3Service();
+      return paths
+        .map((remotePath) => `s3://${feed.storageConnection.bucket}/${s3Service.resolveKey(feed.storageConnection, remotePath)}`)
+        .join(', ');
+    }
+    return paths.join(', ');
+  }
+
+  /**
+   * Delete the local copies of a download
+   * @param {Object} download - Result of download()
+   */
+  async cleanup(download) {
+    for (const file of download?.files || []) {
+      await this.deleteLocalFile(file.localPath);
+    }
+  }
+
+  /**
+   * Delete a downloaded file
+   * @param {string} localPath - Local file path
+   */
+  async deleteLocalFile(localPath) {
+    const ftpService = new FtpService();
+    await ftpService.deleteLocalFile(localPath);
+  }
+}
+
+export default new FeedSource();
@@ -0,0 +1,233 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { config } from '../../config/app.js';
+import encryption from '../../utils/encryption.js';
+import logger from '../../utils/logger.js';
+
+const MAX_REDIRECTS = 5;
+
+// Loopback, private, link-local (cloud metadata) and other non-public addresses
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * HTTP Source
+ * Downloads feed files published at an HTTP(S) URL
+ */
+class HttpSource {
+  /**
+   * Download the file to the temp directory
+   * When the previous ETag or Last-Modified is given the request is conditional,
+   * and an unchanged file (304) is not downloaded at all.
+   * @param {Object} http - Feed http settings {url, auth, headers}
+   * @param {Object|null} previous - {etag, lastModified} of the last download
+   * @returns {Promise<{localPath, checksum, size, etag, lastModified}|{unchanged: true}>}
+   */
+  async download(http, previous = null) {
+    const headers = this.buildHeaders(http);
+
+    if (previous?.etag) {
+      headers['If-None-Match'] = previous.etag;
+    }
+    if (previous?.lastModified) {
+      headers['If-Modified-Since'] = previous.lastModified;
+    }
+
+    const response = await this.request(http.url, { headers });
+
+    if (response.status === 304) {
+      logger.info(`File not modified: ${http.url}`);
+      return { unchanged: true };
+    }
+
+    if (!response.ok) {
+      throw new Error(`Download failed: ${response.status} ${response.statusText} (${http.url})`);
+    }
+
+    const maxBytes = config.csv.maxSizeMB * 1024 * 1024;
+    if (parseInt(response.headers.get('content-length'), 10) > maxBytes) {
+      await response.body?.cancel();
+      throw new Error(`File exceeds the ${config.csv.maxSizeMB} MB limit (${http.url})`);
+    }
+
+    const tempDir = config.csv.tempDir;
+    await fs.promises.mkdir(tempDir, { recursive: true });
+
+    const filename = path.basename(new URL(http.url).pathname) || 'feed.csv';
+    const localPath = path.join(tempDir, `${Date.now()}_${filename}`);
+
+    // Checksum and size are computed while the body is written
+    const hash = crypto.createHash('md5');
+    let size = 0;
+
+    try {
+      await pipeline(
+        Readable.fromWeb(response.body),
+        async function* (source) {
+          for await (const chunk of source) {
+            size += chunk.length;
+            if (size > maxBytes) {
+              throw new Error(`File exceeds the ${config.csv.maxSizeMB} MB limit (${http.url})`);
+            }
+            hash.update(chunk);
+            yield chunk;
+          }
+        },
+        fs.createWriteStream(localPath)
+      );
+    } catch (error) {
+      await fs.promises.unlink(localPath).catch(() => {});
+      throw error;
+    }
+
+    logger.info(`File downloaded: ${http.url} -> ${localPath}`);
+
+    return {
+      localPath,
+      checksum: hash.digest('hex'),
+      size,
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified'),
+    };
+  }
+
+  /**
+   * Metadata of the file, from a HEAD request
+   * @param {Object} http - Feed http settings {url, auth, headers}
+   * @returns {Promise<{size, etag, lastModified}>}
+   */
+  async getFileInfo(http) {
+    const response = await this.request(http.url, {
+      method: 'HEAD',
+      headers: this.buildHeaders(http),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HEAD request failed: ${response.status} ${response.statusText} (${http.url})`);
+    }
+
+    return {
+      size: parseInt(response.headers.get('content-length'), 10) || 0,
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified'),
+    };
+  }
+
+  /**
+   * Fetch a small text file next to the feed file (a ready marker),
+   * with the feed's authentication
+   * @param {Object} http - Feed http settings {url, auth, headers}
+   * @param {string} url - URL of the file
+   * @returns {Promise<string|null>} The content, or null when it doesn't exist
+   */
+  async fetchText(http, url) {
+    const response = await this.request(url, { headers: this.buildHeaders(http) });
+
+    if (response.status === 404 || response.status === 410) {
+      return null;
+    }
+
+    if (!response.ok) {
+      throw new Error(`Request failed: ${response.status} ${response.statusText} (${url})`);
+    }
+
+    return response.text();
+  }
+
+  /**
+   * Fetch a URL, following redirects only to public hosts
+   * Every hop is checked, so a public URL can't redirect to the server's own
+   * network (loopback, private ranges, cloud metadata endpoints).
+   * @param {string} url - URL to fetch
+   * @param {Object} options - fetch options
+   * @returns {Promise<Response>}
+   */
+  async request(url, options = {}) {
+    const signal = AbortSignal.timeout(config.source.httpTimeout);
+    let headers = { ...options.headers };
+    let current = new URL(url);
+
+    for (let redirects = 0; ; redirects++) {
+      await this.assertPublicHost(current);
+
+      const response = await fetch(current, { ...options, headers, redirect: 'manual', signal });
+      const location = response.headers.get('location');
+
+      if (response.status < 300 || response.status >= 400 || response.status === 304 || !location) {
+        return response;
+      }
+
+      await response.body?.cancel();
+      if (redirects >= MAX_REDIRECTS) {
+        throw new Error(`Too many redirects (${url})`);
+      }
+
+      const target = new URL(location, current);
+      // Like fetch, credentials are not sent to another origin
+      if (target.origin !== current.origin) {
+        headers = Object.fromEntries(Object.entries(headers).filter(([name]) => name.toLowerCase() !== 'authorization'));
+      }
+      current = target;
+    }
+  }
+
+  /**
+   * Refuse URLs that aren't http(s) or resolve to a non-public address
+   * @param {URL} url
+   * @param {boolean} allowPrivate - Skip the address check (private hosts allowed by config)
+   */
+  async assertPublicHost(url, allowPrivate = config.source.allowPrivateHosts) {
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new Error(`Unsupported URL protocol: ${url.protocol}`);
+    }
+    if (allowPrivate) {
+      return;
+    }
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+
+    if (addresses.some(({ address, family }) => blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+      throw new Error(`Refusing to fetch ${url.host}: not a public address`);
+    }
+  }
+
+  /**
+   * Request headers: custom headers plus authentication
+   * @param {Object} http - Feed http settings (secrets encrypted)
+   * @returns {Object}
+   */
+  buildHeaders(http) {
+    const headers = {};
+
+    (http.headers || []).forEach(({ name, value }) => {
+      if (name) {
+        headers[name] = value || '';
+      }
+    });
+
+    const auth = http.auth || {};
+    if (auth.method === 'basic') {
+      const credentials = `${auth.username || ''}:${encryption.decrypt(auth.password) || ''}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else if (auth.method === 'bearer') {
+      headers.Authorization = `Bearer ${encryption.decrypt(auth.token) || ''}`;
+    }
+
+    return headers;
+  }
+}
+
+export default new HttpSource();
@@ -0,0 +1,111 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+import { config } from '../../config/app.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Upload Source
+ * Stores CSV files uploaded by hand and hands feeds a copy of them, so
+ * uploads are processed (and cleaned up) like downloaded files
+ */
+class UploadSource {
+  /**
+   * Store an uploaded file
+   * @param {Readable} stream - File content (the raw request body)
+   * @param {string} name - Original file name
+   * @returns {Promise<{localPath, checksum, size}>}
+   */
+  async store(stream, name) {
+    const uploadDir = this.uploadDir();
+    await fs.promises.mkdir(uploadDir, { recursive: true });
+
+    const safeName = path.basename(name).replace(/[^\w.-]+/g, '_') || 'upload.csv';
+    const localPath = path.join(uploadDir, `${Date.now()}_${safeName}`);
+    const maxBytes = config.csv.maxSizeMB * 1024 * 1024;
+
+    const hash = crypto.createHash('md5');
+    let size = 0;
+
+    try {
+      await pipeline(
+        stream,
+        async function* (source) {
+          for await (const chunk of source) {
+            size += chunk.length;
+            if (size > maxBytes) {
+              const error = new Error(`File exceeds the ${config.csv.maxSizeMB} MB limit`);
+              error.statusCode = 413;
+              throw error;
+            }
+            hash.update(chunk);
+            yield chunk;
+          }
+        },
+        fs.createWriteStream(localPath)
+      );
+    } catch (error) {
+      await fs.promises.unlink(localPath).catch(() => {});
+      throw error;
+    }
+
+    logger.info(`File uploaded: ${name} -> ${localPath} (${size} bytes)`);
+
+    return {
+      localPath,
+      checksum: hash.digest('hex'),
+      size,
+    };
+  }
+
+  /**
+   * Copy an upload to the temp directory for a sync
+   * @param {Object} upload - Upload document
+   * @returns {Promise<{localPath, checksum, size}>}
+   */
+  async download(upload) {
+    if (!upload) {
+      throw new Error('Uploaded file not found');
+    }
+
+    const tempDir = config.csv.tempDir;
+    await fs.promises.mkdir(tempDir, { recursive: true });
+
+    const localPath = path.join(tempDir, `${Date.now()}_${path.basename(upload.localPath)}`);
+
+    try {
+      await fs.promises.copyFile(upload.localPath, localPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Uploaded file ${upload.name} is no longer stored, please upload it again`);
+      }
+      throw error;
+    }
+
+    return {
+      localPath,
+      checksum: upload.checksum,
+      size: upload.size,
+    };
+  }
+
+  /**
+   * Delete the stored copy of an upload
+   * @param {Object} upload - Upload document
+   */
+  async remove(upload) {
+    await fs.promises.unlink(upload.localPath).catch((error) => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  /**
+   * Uploads are kept apart from the per-job temp files
+   */
+  uploadDir() {
+    return path.join(config.csv.tempDir, 'uploads');
+  }
+}
+
+export default new UploadSource();
@@ -0,0 +1,361 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { config } from '../../config/app.js';
+import encryption from '../../utils/encryption.js';
+import httpSource from '../source/http-source.js';
+import logger from '../../utils/logger.js';
+
+// Payload hash for requests without a body we need to sign
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+/**
+ * S3 Service
+ * Handles file operations on S3-compatible object storage, signing
+ * requests with AWS Signature Version 4
+ */
+class S3Service {
+  /**
+   * Test storage connection
+   * @param {Object} connection - Storage connection document
+   * @returns {Promise<{success: boolean, error: string|null}>}
+   */
+  async testConnection(connection) {
+    try {
+      // Listing a single key checks the endpoint, bucket and credentials at once
+      await this.request(connection, 'GET', '', {
+        'list-type': '2',
+        'max-keys': '1',
+        prefix: this.resolveKey(connection, ''),
+      });
+
+      return {
+        success: true,
+        error: null,
+        message: 'Connection successful',
+      };
+    } catch (error) {
+      logger.error('Storage connection test failed:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Connection failed',
+      };
+    }
+  }
+
+  /**
+   * List files in a folder (objects directly under the key prefix)
+   * @param {Object} connection - Storage connection document
+   * @param {string} dirPath - Folder path, relative to the connection prefix
+   * @returns {Promise<Array>} List of files
+   */
+  async listFiles(connection, dirPath = '/') {
+    const { entries } = await this.listDirectory(connection, dirPath);
+    return entries.filter((entry) => entry.type === 'file');
+  }
+
+  /**
+   * List the files and sub-folders of a folder
+   * Paths are relative to the connection prefix and can't leave it.
+   * @param {Object} connection - Storage connection document
+   * @param {string} dirPath - Folder path, relative to the connection prefix
+   * @returns {Promise<{path: string, entries: Array<{name, type, size, modifiedTime, path, etag}>}>}
+   *   `type` is 'file' or 'directory'; directories come first, then by name
+   */
+  async listDirectory(connection, dirPath = '/') {
+    const relativePath = path.posix.join('/', String(dirPath || '/'));
+
+    let prefix = this.resolveKey(connection, relativePath);
+    if (prefix && !prefix.endsWith('/')) {
+      prefix += '/';
+    }
+
+    // Returned paths are relative to the connection prefix, like feed file paths
+    const root = this.resolveKey(connection, '');
+
+    const files = [];
+    const directories = [];
+    let continuationToken = null;
+
+    do {
+      const query = {
+        'list-type': '2',
+        delimiter: '/',
+        prefix,
+      };
+      if (continuationToken) {
+        query['continuation-token'] = continuationToken;
+      }
+
+      const response = await this.request(connection, 'GET', '', query);
+      const body = await response.text();
+
+      this.xmlBlocks(body, 'Contents').forEach((block) => {
+        const key = this.xmlValue(block, 'Key');
+        if (key.endsWith('/')) return; // Folder placeholder objects
+
+        files.push({
+          name: path.posix.basename(key),
+          type: 'file',
+          size: parseInt(this.xmlValue(block, 'Size'), 10) || 0,
+          modifiedTime: new Date(this.xmlValue(block, 'LastModified')),
+          path: `/${path.posix.relative(root || '.', key)}`,
+          etag: this.normalizeEtag(this.xmlValue(block, 'ETag')),
+        });
+      });
+
+      // Keys sharing a further "folder/" are rolled up into common prefixes
+      this.xmlBlocks(body, 'CommonPrefixes').forEach((block) => {
+        const folderKey = this.xmlValue(block, 'Prefix').replace(/\/+$/, '');
+
+        directories.push({
+          name: path.posix.basename(folderKey),
+          type: 'directory',
+          path: `/${path.posix.relative(root || '.', folderKey)}`,
+        });
+      });
+
+      continuationToken = this.xmlValue(body, 'IsTruncated') === 'true'
+        ? this.xmlValue(body, 'NextContinuationToken')
+        : null;
+    } while (continuationToken);
+
+    const byName = (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true });
+
+    return {
+      path: relativePath,
+      entries: [...directories.sort(byName), ...files.sort(byName)],
+    };
+  }
+
+  /**
+   * Get file metadata without downloading it
+   * @param {Object} connection - Storage connection document
+   * @param {string} remotePath - File path, relative to the connection prefix
+   * @returns {Promise<{size: number, etag: string, modifiedTime: Date}>}
+   */
+  async getFileInfo(connection, remotePath) {
+    const key = this.resolveKey(connection, remotePath);
+    const response = await this.request(connection, 'HEAD', key);
+
+    return {
+      size: parseInt(response.headers.get('content-length'), 10) || 0,
+      etag: this.normalizeEtag(response.headers.get('etag')),
+      modifiedTime: new Date(response.headers.get('last-modified')),
+    };
+  }
+
+  /**
+   * Download file to local temp directory
+   * The checksum is the object's ETag, so it can be compared without downloading.
+   * @param {Object} connection - Storage connection document
+   * @param {string} remotePath - File path, relative to the connection prefix
+   * @returns {Promise<{localPath: string, checksum: string, size: number}>}
+   */
+  async downloadFile(connection, remotePath) {
+    const key = this.resolveKey(connection, remotePath);
+    const response = await this.request(connection, 'GET', key, {}, config.source.httpTimeout);
+
+    // Create temp directory if doesn't exist
+    const tempDir = config.csv.tempDir;
+    await fs.promises.mkdir(tempDir, { recursive: true });
+
+    const localPath = path.join(tempDir, `${Date.now()}_${path.posix.basename(key)}`);
+
+    const maxBytes = config.csv.maxSizeMB * 1024 * 1024;
+    let size = 0;
+    try {
+      await pipeline(
+        Readable.fromWeb(response.body),
+        async function* (source) {
+          for await (const chunk of source) {
+            size += chunk.length;
+            if (size > maxBytes) {
+              throw new Error(`File exceeds the ${config.csv.maxSizeMB} MB limit (s3://${connection.bucket}/${key})`);
+            }
+            yield chunk;
+          }
+        },
+        fs.createWriteStream(localPath)
+      );
+    } catch (error) {
+      await fs.promises.unlink(localPath).catch(() => {});
+      throw error;
+    }
+
+    logger.info(`File downloaded: s3://${connection.bucket}/${key} -> ${localPath}`);
+
+    return {
+      localPath,
+      checksum: this.normalizeEtag(response.headers.get('etag')),
+      size,
+    };
+  }
+
+  /**
+   * Object key of a path relative to the connection prefix
+   */
+  resolveKey(connection, remotePath) {
+    return path.posix
+      .join(connection.prefix || '', remotePath || '')
+      .replace(/^\/+/, '')
+      .replace(/^\.$/, '');
+  }
+
+  /**
+   * Send a signed request
+   * Endpoints on loopback and private networks are refused unless allowed,
+   * and redirects are not followed, so a connection can't reach internal services.
+   * @param {Object} connection - Storage connection document
+   * @param {string} method - HTTP method
+   * @param {string} key - Object key ('' for bucket operations)
+   * @param {Object} query - Query parameters
+   * @param {number} timeout - Request timeout (ms), defaults to the connection's
+   * @returns {Promise<Response>}
+   */
+  async request(connection, method, key, query = {}, timeout = null) {
+    const url = this.buildUrl(connection, key, query);
+    await httpSource.assertPublicHost(url, config.source.allowPrivateStorageEndpoints);
+
+    const headers = this.signRequest(connection, method, url);
+
+    const response = await fetch(url, {
+      method,
+      headers,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeout || connection.options?.timeout || 30000),
+    });
+
+    if (!response.ok) {
+      const body = method === 'HEAD' ? '' : await response.text();
+      const code = this.xmlValue(body, 'Code') || response.statusText;
+      const message = this.xmlValue(body, 'Message');
+      const error = new Error(`Storage request failed: ${response.status} ${code}${message ? ` - ${message}` : ''}`);
+      error.statusCode = response.status;
+      throw error;
+    }
+
+    return response;
+  }
+
+  /**
+   * Request URL, path-style (endpoint/bucket/key) or virtual-hosted (bucket.endpoint/key)
+   */
+  buildUrl(connection, key, query) {
+    const endpoint = connection.endpoint || `https://s3.${connection.region}.amazonaws.com`;
+    const url = new URL(endpoint);
+    const encodedKey = key.split('/').map((segment) => this.encode(segment)).join('/');
+
+    if (connection.forcePathStyle) {
+      url.pathname = path.posix.join(url.pathname, connection.bucket, '/') + encodedKey;
+    } else {
+      url.hostname = `${connection.bucket}.${url.hostname}`;
+      url.pathname = path.posix.join(url.pathname, '/') + encodedKey;
+    }
+
+    url.search = Object.keys(query)
+      .sort()
+      .map((name) => `${this.encode(name)}=${this.encode(query[name])}`)
+      .join('&');
+
+    return url;
+  }
+
+  /**
+   * Sign a request with AWS Signature Version 4
+   * @returns {Object} Headers to send
+   */
+  signRequest(connection, method, url) {
+    const accessKeyId = encryption.decrypt(connection.accessKeyId);
+    const secretAccessKey = encryption.decrypt(connection.secretAccessKey);
+
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${connection.region}/s3/aws4_request`;
+
+    const headers = {
+      host: url.host,
+      'x-amz-content-sha256': UNSIGNED_PAYLOAD,
+      'x-amz-date': amzDate,
+    };
+    const headerNames = Object.keys(headers).sort();
+    const signedHeaders = headerNames.join(';');
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      url.search.replace(/^\?/, ''),
+      headerNames.map((name) => `${name}:${headers[name]}\n`).join(''),
+      signedHeaders,
+      UNSIGNED_PAYLOAD,
+    ].join('\n');
+
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      amzDate,
+      scope,
+      crypto.createHash('sha256').update(canonicalRequest).digest('hex'),
+    ].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, data) => this.hmac(key, data),
+      this.hmac(this.hmac(`AWS4${secretAccessKey}`, dateStamp), connection.region)
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return {
+      'x-amz-content-sha256': headers['x-amz-content-sha256'],
+      'x-amz-date': amzDate,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+    };
+  }
+
+  hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+  }
+
+  /**
+   * URI-encode per RFC 3986, as SigV4 expects
+   */
+  encode(value) {
+    return encodeURIComponent(value).replace(
+      /[!'()*]/g,
+      (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+    );
+  }
+
+  /**
+   * ETags are quoted in responses
+   */
+  normalizeEtag(etag) {
+    return etag ? etag.replace(/^"|"$/g, '') : null;
+  }
+
+  /**
+   * Contents of every <tag> element in an XML string
+   */
+  xmlBlocks(xml, tag) {
+    const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g');
+    return [...xml.matchAll(pattern)].map((match) => match[1]);
+  }
+
+  /**
+   * Text of the first <tag> element in an XML string
+   */
+  xmlValue(xml, tag) {
+    const [block] = this.xmlBlocks(xml || '', tag);
+    if (block === undefined) return '';
+
+    return block
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+}
+
+export default S3Service;
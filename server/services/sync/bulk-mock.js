@@ -0,0 +1,252 @@
+import crypto from 'crypto';
+import logger from '../../utils/logger.js';
+
+/**
+ * Bulk Operations Mock
+ * In-process stand-in for Shopify's staged uploads and bulk operation endpoints,
+ * enabled with SHOPIFY_BULK_MOCK=true. Every mutation line succeeds with generated IDs,
+ * except product creates without a title, so result mapping can be tested offline.
+ * Inventory levels activated or set by mutations are kept and returned by the
+ * inventory items bulk query; other bulk queries return no objects.
+ */
+class BulkMock {
+  constructor() {
+    this.uploads = new Map();
+    this.operations = new Map();
+    this.resultFiles = new Map();
+    this.inventoryLevels = new Map(); // Available quantities by inventory item, then location
+    this.currentOperationId = null;
+  }
+
+  /**
+   * Answer a GraphQL request like the Shopify client does ({data})
+   */
+  async request(query, options = {}) {
+    const variables = options.variables || {};
+
+    if (query.includes('stagedUploadsCreate(')) {
+      const key = `tmp/bulk/${crypto.randomUUID()}/bulk_op_vars.jsonl`;
+      return {
+        data: {
+          stagedUploadsCreate: {
+            stagedTargets: [
+              {
+                url: 'mock://staged-uploads',
+                resourceUrl: null,
+                parameters: [{ name: 'key', value: key }],
+              },
+            ],
+            userErrors: [],
+          },
+        },
+      };
+    }
+
+    if (query.includes('bulkOperationRunMutation(')) {
+      return { data: { bulkOperationRunMutation: this.runMutation(variables) } };
+    }
+
+    // Bulk queries see an empty catalog and the inventory levels set so far
+    if (query.includes('bulkOperationRunQuery(')) {
+      const lines = variables.query.includes('inventoryItems') ? this.inventoryLines() : [];
+      const id = `gid://shopify/BulkOperation/${this.nextId()}`;
+      const url = `mock://results/${encodeURIComponent(id)}.jsonl`;
+      if (lines.length > 0) {
+        this.resultFiles.set(url, lines.join('\n'));
+      }
+      this.operations.set(id, {
+        id,
+        status: 'RUNNING',
+        errorCode: null,
+        objectCount: String(lines.length),
+        url: lines.length > 0 ? url : null,
+        partialDataUrl: null,
+        polls: 0,
+      });
+
+      return {
+        data: {
+          bulkOperationRunQuery: { bulkOperation: { id, status: 'CREATED' }, userErrors: [] },
+        },
+      };
+    }
+
+    if (query.includes('currentBulkOperation')) {
+      const operation = this.operations.get(this.currentOperationId) || null;
+      return { data: { currentBulkOperation: operation && this.publicFields(operation) } };
+    }
+
+    if (query.includes('node(')) {
+      const operation = this.operations.get(variables.id);
+      if (!operation) {
+        return { data: { node: null } };
+      }
+
+      // Report RUNNING once so callers exercise their polling loop
+      operation.polls++;
+      if (operation.polls > 1) {
+        operation.status = 'COMPLETED';
+      }
+
+      return { data: { node: this.publicFields(operation) } };
+    }
+
+    throw new Error('Bulk mock: unsupported request');
+  }
+
+  async upload(target, contents) {
+    const key = target.parameters.find((p) => p.name === 'key').value;
+    this.uploads.set(key, contents);
+  }
+
+  async download(url) {
+    if (!this.resultFiles.has(url)) {
+      throw new Error(`Bulk mock: no result file at ${url}`);
+    }
+    return this.resultFiles.get(url);
+  }
+
+  /**
+   * Execute every line of an uploaded variables file
+   */
+  runMutation({ mutation, stagedUploadPath }) {
+    const contents = this.uploads.get(stagedUploadPath);
+    if (contents === undefined) {
+      return {
+        bulkOperation: null,
+        userErrors: [{ field: ['stagedUploadPath'], message: 'Staged upload not found' }],
+      };
+    }
+
+    const name = mutation.match(/\b(productSet|metafieldsSet|productVariantsBulkUpdate|inventoryActivate|inventorySetQuantities)\s*\(/)?.[1];
+    if (!name) {
+      return {
+        bulkOperation: null,
+        userErrors: [{ field: ['mutation'], message: 'Bulk mock: unsupported mutation' }],
+      };
+    }
+
+    const lines = contents.split('\n').filter((line) => line.trim());
+    const results = lines.map((line, lineNumber) => JSON.stringify({
+      data: { [name]: this.executeLine(name, JSON.parse(line)) },
+      __lineNumber: lineNumber,
+    }));
+
+    const id = `gid://shopify/BulkOperation/${this.nextId()}`;
+    const url = `mock://results/${encodeURIComponent(id)}.jsonl`;
+    this.resultFiles.set(url, results.join('\n'));
+    this.operations.set(id, {
+      id,
+      status: 'RUNNING',
+      errorCode: null,
+      objectCount: String(lines.length),
+      url: lines.length > 0 ? url : null,
+      partialDataUrl: null,
+      polls: 0,
+    });
+    this.currentOperationId = id;
+
+    logger.info(`Bulk mock: ran ${name} for ${lines.length} lines`);
+
+    return { bulkOperation: { id, status: 'CREATED' }, userErrors: [] };
+  }
+
+  executeLine(name, variables) {
+    if (name === 'productSet') {
+      const { input } = variables;
+      if (!input.id && !input.title) {
+        return { product: null, userErrors: [{ field: ['input', 'title'], message: "Title can't be blank" }] };
+      }
+
+      return {
+        product: {
+          id: input.id || `gid://shopify/Product/${this.nextId()}`,
+          title: input.title,
+          handle: input.handle,
+          variants: {
+            edges: (input.variants || []).map((variant) => ({
+              node: {
+                id: `gid://shopify/ProductVariant/${this.nextId()}`,
+                sku: variant.inventoryItem?.sku || null,
+                inventoryItem: { id: `gid://shopify/InventoryItem/${this.nextId()}` },
+              },
+            })),
+          },
+        },
+        userErrors: [],
+      };
+    }
+
+    if (name === 'metafieldsSet') {
+      return {
+        metafields: variables.metafields.map(() => ({ id: `gid://shopify/Metafield/${this.nextId()}` })),
+        userErrors: [],
+      };
+    }
+
+    if (name === 'productVariantsBulkUpdate') {
+      return {
+        productVariants: variables.variants.map((variant) => ({ id: variant.id })),
+        userErrors: [],
+      };
+    }
+
+    if (name === 'inventoryActivate') {
+      this.setInventoryLevel(variables.inventoryItemId, variables.locationId, variables.available ?? 0);
+      return { inventoryLevel: { id: `gid://shopify/InventoryLevel/${this.nextId()}` }, userErrors: [] };
+    }
+
+    if (name === 'inventorySetQuantities') {
+      const { quantities } = variables.input;
+      const unstocked = quantities.find((q) => !this.inventoryLevels.get(q.inventoryItemId)?.has(q.locationId));
+      if (unstocked) {
+        return {
+          userErrors: [{ field: ['input', 'quantities'], message: 'The item is not stocked at the location.' }],
+        };
+      }
+
+      quantities.forEach((q) => this.setInventoryLevel(q.inventoryItemId, q.locationId, q.quantity));
+    }
+
+    return { userErrors: [] };
+  }
+
+  setInventoryLevel(inventoryItemId, locationId, quantity) {
+    if (!this.inventoryLevels.has(inventoryItemId)) {
+      this.inventoryLevels.set(inventoryItemId, new Map());
+    }
+    this.inventoryLevels.get(inventoryItemId).set(locationId, quantity);
+  }
+
+  /**
+   * Result lines of the inventory items bulk query: each item, then its levels
+   */
+  inventoryLines() {
+    const lines = [];
+
+    this.inventoryLevels.forEach((levels, inventoryItemId) => {
+      lines.push(JSON.stringify({ id: inventoryItemId }));
+      levels.forEach((quantity, locationId) => {
+        lines.push(JSON.stringify({
+          id: `gid://shopify/InventoryLevel/${this.nextId()}`,
+          location: { id: locationId },
+          quantities: [{ name: 'available', quantity }],
+          __parentId: inventoryItemId,
+        }));
+      });
+    });
+
+    return lines;
+  }
+
+  publicFields(operation) {
+    const { polls, ...fields } = operation;
+    return fields;
+  }
+
+  nextId() {
+    return crypto.randomInt(1e12, 9e12);
+  }
+}
+
+export default new BulkMock();
@@ -0,0 +1,371 @@
+import { config } from '../../config/app.js';
+import logger from '../../utils/logger.js';
+import shopifySync from './shopify-sync.js';
+import bulkMock from './bulk-mock.js';
+
+const FINISHED_STATUSES = ['COMPLETED', 'FAILED', 'CANCELED', 'EXPIRED'];
+
+/**
+ * Bulk Operations Service
+ * Runs one mutation over many inputs with Shopify's Bulk Operations API:
+ * JSONL staged upload → bulkOperationRunMutation → poll → download results
+ */
+class BulkOperations {
+  /**
+   * Run a mutation for every input
+   * Inputs are staged in files of at most config.shopify.bulk.maxFileMB and
+   * run as one bulk operation each, one after the other.
+   * @param {Object} shop - Shop document
+   * @param {string} mutation - GraphQL mutation; its variables are the keys of each input
+   * @param {Array<Object>} inputs - Variables, one object per JSONL line
+   * @returns {Promise<Array>} Result lines ({data, errors}) in input order, null when missing
+   */
+  async runMutation(shop, mutation, inputs) {
+    if (inputs.length === 0) {
+      return [];
+    }
+
+    const transport = this.createTransport(shop);
+    const results = [];
+
+    for (const lines of this.chunkLines(inputs.map((input) => JSON.stringify(input)))) {
+      // Earlier files are already written, so a failed file only fails its own lines
+      try {
+        results.push(...await this.runMutationFile(transport, mutation, lines));
+      } catch (error) {
+        logger.error(`Bulk operation failed for ${lines.length} lines:`, error);
+        results.push(...lines.map(() => ({ errors: [{ message: error.message }] })));
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Split JSONL lines into files that fit Shopify's staged upload limit
+   * @param {Array<string>} lines - JSONL lines
+   * @returns {Array<Array<string>>} Lines of each file
+   */
+  chunkLines(lines) {
+    const maxBytes = config.shopify.bulk.maxFileMB * 1024 * 1024;
+    const chunks = [];
+    let chunk = [];
+    let size = 0;
+
+    for (const line of lines) {
+      const lineSize = Buffer.byteLength(line) + 1; // With its newline
+
+      if (chunk.length > 0 && size + lineSize > maxBytes) {
+        chunks.push(chunk);
+        chunk = [];
+        size = 0;
+      }
+
+      chunk.push(line);
+      size += lineSize;
+    }
+
+    chunks.push(chunk);
+    return chunks;
+  }
+
+  /**
+   * Stage one JSONL file and run the mutation over it
+   * @returns {Promise<Array>} Result lines in line order, null when missing
+   */
+  async runMutationFile(transport, mutation, lines) {
+    await this.waitForIdle(transport);
+
+    const stagedUploadPath = await this.stageUpload(transport, lines.join('\n'));
+    const operation = await this.startOperation(transport, mutation, stagedUploadPath);
+
+    logger.info(`Bulk operation started: ${operation.id} (${lines.length} lines)`);
+
+    const finished = await this.waitForCompletion(transport, operation.id);
+
+    if (finished.status !== 'COMPLETED') {
+      throw new Error(
+        `Bulk operation ${finished.id} ${finished.status.toLowerCase()}${finished.errorCode ? `: ${finished.errorCode}` : ''}`
+      );
+    }
+
+    logger.info(`Bulk operation completed: ${finished.id} (${finished.objectCount} objects)`);
+
+    const results = new Array(lines.length).fill(null);
+
+    // No result file is produced when nothing was processed
+    if (!finished.url) {
+      return results;
+    }
+
+    const contents = await transport.download(finished.url);
+    contents
+      .split('\n')
+      .filter((line) => line.trim())
+      .forEach((line) => {
+        const result = JSON.parse(line);
+        if (result.__lineNumber !== undefined) {
+          results[result.__lineNumber] = result;
+        }
+      });
+
+    return results;
+  }
+
+  /**
+   * Run a bulk query and return every line of its result file
+   * Nested connection nodes come after their parent and carry `__parentId`.
+   * @param {Object} shop - Shop document
+   * @param {string} query - GraphQL query with a single top-level connection
+   * @returns {Promise<Array<Object>>} Result lines
+   */
+  async runQuery(shop, query) {
+    const transport = this.createTransport(shop);
+
+    await this.waitForIdle(transport, 'QUERY');
+
+    const runQuery = `
+      mutation bulkOperationRunQuery($query: String!) {
+        bulkOperationRunQuery(query: $query) {
+          bulkOperation {
+            id
+            status
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const response = await transport.request(runQuery, {
+      variables: { query },
+    });
+
+    const { bulkOperation, userErrors } = response.data.bulkOperationRunQuery;
+    if (userErrors && userErrors.length > 0) {
+      throw new Error(
+        `Bulk query failed to start: ${userErrors.map((e) => e.message).join(', ')}`
+      );
+    }
+
+    logger.info(`Bulk query started: ${bulkOperation.id}`);
+
+    const finished = await this.waitForCompletion(transport, bulkOperation.id);
+
+    if (finished.status !== 'COMPLETED') {
+      throw new Error(
+        `Bulk query ${finished.id} ${finished.status.toLowerCase()}${finished.errorCode ? `: ${finished.errorCode}` : ''}`
+      );
+    }
+
+    logger.info(`Bulk query completed: ${finished.id} (${finished.objectCount} objects)`);
+
+    if (!finished.url) {
+      return [];
+    }
+
+    const contents = await transport.download(finished.url);
+    return contents
+      .split('\n')
+      .filter((line) => line.trim())
+      .map((line) => JSON.parse(line));
+  }
+
+  /**
+   * Create the transport used to talk to Shopify (or the offline mock)
+   * @param {Object} shop - Shop document
+   * @returns {Object} {request, upload, download}
+   */
+  createTransport(shop) {
+    if (config.shopify.bulk.mock) {
+      return bulkMock;
+    }
+
+    const client = shopifySync.createClient(shop);
+
+    return {
+      request: (query, options) => client.request(query, options),
+      upload: (target, contents) => this.uploadFile(target, contents),
+      download: (url) => this.downloadFile(url),
+    };
+  }
+
+  /**
+   * Upload the JSONL variables file to a staged upload target
+   * @returns {Promise<string>} Staged upload path for bulkOperationRunMutation
+   */
+  async stageUpload(transport, contents) {
+    const mutation = `
+      mutation stagedUploadsCreate($input: [StagedUploadInput!]!) {
+        stagedUploadsCreate(input: $input) {
+          stagedTargets {
+            url
+            resourceUrl
+            parameters {
+              name
+              value
+            }
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const response = await transport.request(mutation, {
+      variables: {
+        input: [
+          {
+            resource: 'BULK_MUTATION_VARIABLES',
+            filename: 'bulk_op_vars.jsonl',
+            mimeType: 'text/jsonl',
+            httpMethod: 'POST',
+          },
+        ],
+      },
+    });
+
+    const { stagedTargets, userErrors } = response.data.stagedUploadsCreate;
+    if (userErrors && userErrors.length > 0) {
+      throw new Error(
+        `Staged upload failed: ${userErrors.map((e) => e.message).join(', ')}`
+      );
+    }
+
+    const [target] = stagedTargets;
+    await transport.upload(target, contents);
+
+    return target.parameters.find((p) => p.name === 'key').value;
+  }
+
+  /**
+   * Start the bulk mutation
+   * @returns {Promise<Object>} {id, status}
+   */
+  async startOperation(transport, mutation, stagedUploadPath) {
+    const runMutation = `
+      mutation bulkOperationRunMutation($mutation: String!, $stagedUploadPath: String!) {
+        bulkOperationRunMutation(mutation: $mutation, stagedUploadPath: $stagedUploadPath) {
+          bulkOperation {
+            id
+            status
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const response = await transport.request(runMutation, {
+      variables: { mutation, stagedUploadPath },
+    });
+
+    const { bulkOperation, userErrors } = response.data.bulkOperationRunMutation;
+    if (userErrors && userErrors.length > 0) {
+      throw new Error(
+        `Bulk operation failed to start: ${userErrors.map((e) => e.message).join(', ')}`
+      );
+    }
+
+    return bulkOperation;
+  }
+
+  /**
+   * Shopify runs one bulk operation of each type per shop at a time;
+   * wait for a running one to finish
+   * @param {Object} transport - Transport from createTransport
+   * @param {string} type - 'MUTATION' or 'QUERY'
+   */
+  async waitForIdle(transport, type = 'MUTATION') {
+    const query = `
+      query currentBulkOperation {
+        currentBulkOperation(type: ${type}) {
+          id
+          status
+        }
+      }
+    `;
+
+    const response = await transport.request(query);
+    const current = response.data.currentBulkOperation;
+
+    if (current && !FINISHED_STATUSES.includes(current.status)) {
+      logger.info(`Waiting for bulk operation ${current.id} to finish`);
+      await this.waitForCompletion(transport, current.id);
+    }
+  }
+
+  /**
+   * Poll a bulk operation until it finishes
+   * @returns {Promise<Object>} Finished bulk operation
+   */
+  async waitForCompletion(transport, operationId) {
+    const query = `
+      query bulkOperation($id: ID!) {
+        node(id: $id) {
+          ... on BulkOperation {
+            id
+            status
+            errorCode
+            objectCount
+            url
+            partialDataUrl
+          }
+        }
+      }
+    `;
+
+    const { pollInterval, timeoutMinutes } = config.shopify.bulk;
+    const deadline = Date.now() + timeoutMinutes * 60 * 1000;
+
+    while (Date.now() < deadline) {
+      const response = await transport.request(query, {
+        variables: { id: operationId },
+      });
+
+      const operation = response.data.node;
+      if (FINISHED_STATUSES.includes(operation.status)) {
+        return operation;
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, pollInterval));
+    }
+
+    throw new Error(`Bulk operation ${operationId} did not finish within ${timeoutMinutes} minutes`);
+  }
+
+  /**
+   * POST a file to a staged upload target (multipart form)
+   */
+  async uploadFile(target, contents) {
+    const form = new FormData();
+    target.parameters.forEach(({ name, value }) => form.append(name, value));
+    form.append('file', new Blob([contents], { type: 'text/jsonl' }), 'bulk_op_vars.jsonl');
+
+    const response = await fetch(target.url, { method: 'POST', body: form });
+    if (!response.ok) {
+      throw new Error(`Staged upload failed: ${response.status} ${response.statusText}`);
+    }
+  }
+
+  /**
+   * Download a bulk operation result file
+   * @returns {Promise<string>} JSONL contents
+   */
+  async downloadFile(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Bulk result download failed: ${response.status} ${response.statusText}`);
+    }
+
+    return response.text();
+  }
+}
+
+export default new BulkOperations();
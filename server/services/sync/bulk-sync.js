@@ -0,0 +1,491 @@
+import shopifySync from './shopify-sync.js';
+import bulkOperations from './bulk-operations.js';
+import diffEngine from '../diff/diff-engine.js';
+import logger from '../../utils/logger.js';
+
+// Bulk mutations - variables must match the keys of each JSONL line
+const PRODUCT_SET_MUTATION = `
+  mutation call($input: ProductSetInput!) {
+    productSet(input: $input) {
+      product {
+        id
+        title
+        handle
+        variants(first: 1) {
+          edges {
+            node {
+              id
+              sku
+              inventoryItem {
+                id
+              }
+            }
+          }
+        }
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const METAFIELDS_SET_MUTATION = `
+  mutation call($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      metafields {
+        id
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const VARIANTS_UPDATE_MUTATION = `
+  mutation call($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+    productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+      productVariants {
+        id
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const INVENTORY_SET_MUTATION = `
+  mutation call($input: InventorySetQuantitiesInput!) {
+    inventorySetQuantities(input: $input) {
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const INVENTORY_ACTIVATE_MUTATION = `
+  mutation call($inventoryItemId: ID!, $locationId: ID!, $available: Int) {
+    inventoryActivate(inventoryItemId: $inventoryItemId, locationId: $locationId, available: $available) {
+      inventoryLevel {
+        id
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+// Available quantities of every stocked inventory item, by location
+const INVENTORY_LEVELS_QUERY = `
+  {
+    inventoryItems {
+      edges {
+        node {
+          id
+          inventoryLevels {
+            edges {
+              node {
+                id
+                location {
+                  id
+                }
+                quantities(names: ["available"]) {
+                  name
+                  quantity
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Default option of single-variant products
+const DEFAULT_OPTION = { name: 'Title', value: 'Default Title' };
+
+/**
+ * Bulk Sync Service
+ * Syncs many products with a few bulk operations instead of several calls per row.
+ * Items are {productData, existingProduct}; each one gets
+ * {operation, product, changes, errors, warnings} back.
+ */
+class BulkSync {
+  /**
+   * Sync transformed rows with the Bulk Operations API
+   * @param {Object} shop - Shop document
+   * @param {Array} items - [{productData, existingProduct}]
+   * @param {Object} options - {updateExisting, createNew}
+   * @returns {Promise<Array>} The same items, with results
+   */
+  async sync(shop, items, options = {}) {
+    const { updateExisting = true, createNew = true } = options;
+
+    const productSetLines = [];
+    const variantLines = [];
+    const activateLines = [];
+    const inventoryLines = [];
+
+    // Current quantities are read once for all rows instead of per variant
+    let inventoryLevels = null;
+    let inventoryError = null;
+    if (updateExisting && items.some((item) => item.existingProduct && item.productData.inventory)) {
+      try {
+        inventoryLevels = await this.fetchInventoryLevels(shop);
+      } catch (error) {
+        logger.error('Bulk inventory levels query failed:', error);
+        inventoryError = error;
+      }
+    }
+
+    for (const item of items) {
+      item.changes = [];
+      item.errors = [];
+      item.warnings = [];
+
+      try {
+        if (item.existingProduct) {
+          this.planUpdate(item, updateExisting, productSetLines, variantLines);
+        } else {
+          await this.planCreate(shop, item, createNew, productSetLines);
+        }
+
+        if (item.operation !== 'skip' && item.productData.product.images?.length > 0) {
+          item.warnings.push('Images are not synced in bulk mode');
+        }
+
+        if (item.existingProduct && updateExisting && item.productData.inventory) {
+          if (inventoryError) {
+            throw new Error(`Inventory update failed: ${inventoryError.message}`);
+          }
+          await this.planInventory(shop, item, inventoryLevels, activateLines, inventoryLines);
+        }
+      } catch (error) {
+        item.errors.push(error.message);
+      }
+    }
+
+    // 1. Products (creates and product-level updates)
+    await this.runLines(
+      shop,
+      PRODUCT_SET_MUTATION,
+      'productSet',
+      productSetLines.filter((line) => this.isPending(line.item)),
+      (item, payload) => {
+        if (!item.existingProduct) {
+          item.product = payload.product;
+        }
+      }
+    );
+
+    // 2. Metafields (needs the IDs of created products)
+    const metafieldLines = [];
+    for (const item of items) {
+      if (!this.isPending(item) || !item.product?.id || !item.metafields?.length) continue;
+
+      const metafields = item.metafields
+        .filter((meta) => meta.value !== null && meta.value !== '')
+        .map((meta) => ({
+          ownerId: item.product.id,
+          namespace: meta.namespace,
+          key: meta.key,
+          value: meta.value.toString(),
+          type: meta.type,
+        }));
+
+      // Shopify limit is 25 per call
+      for (let i = 0; i < metafields.length; i += 25) {
+        metafieldLines.push({ item, variables: { metafields: metafields.slice(i, i + 25) } });
+      }
+    }
+    await this.runLines(shop, METAFIELDS_SET_MUTATION, 'metafieldsSet', metafieldLines);
+
+    // 3. Variant fields of existing products
+    await this.runLines(
+      shop,
+      VARIANTS_UPDATE_MUTATION,
+      'productVariantsBulkUpdate',
+      variantLines.filter((line) => this.isPending(line.item))
+    );
+
+    // 4. Inventory quantities of existing products: items not yet stocked at
+    // the location are activated with their quantity, the others are set
+    await this.runLines(
+      shop,
+      INVENTORY_ACTIVATE_MUTATION,
+      'inventoryActivate',
+      activateLines.filter((line) => this.isPending(line.item))
+    );
+    await this.runLines(
+      shop,
+      INVENTORY_SET_MUTATION,
+      'inventorySetQuantities',
+      inventoryLines.filter((line) => this.isPending(line.item))
+    );
+
+    items.forEach((item) => {
+      if (item.errors.length > 0) {
+        item.operation = 'error';
+      }
+    });
+
+    return items;
+  }
+
+  /**
+   * Diff an existing product and queue the lines that update it
+   */
+  planUpdate(item, updateExisting, productSetLines, variantLines) {
+    const { productData, existingProduct } = item;
+    item.product = existingProduct;
+
+    if (!updateExisting) {
+      item.operation = 'skip';
+      item.reason = 'Product exists and updateExisting is false';
+      return;
+    }
+
+    item.changes = diffEngine.compareProduct(existingProduct, productData);
+
+    // Only changed product fields are written
+    const productFields = {};
+    item.changes
+      .filter((change) => change.fieldType === 'product')
+      .forEach((change) => {
+        productFields[change.field] = productData.product[change.field];
+      });
+
+    const productInput = shopifySync.buildProductInput(productFields);
+    if (Object.keys(productInput).length > 0) {
+      productSetLines.push({ item, variables: { input: { id: existingProduct.id, ...productInput } } });
+    }
+
+    const variantPayload = shopifySync.buildVariantPayload(
+      existingProduct.variant,
+      productData.variant || {},
+      item.changes
+    );
+
+    // Quantities can only be set on tracked inventory items
+    if (productData.inventory && existingProduct.variant?.inventoryItem?.tracked === false) {
+      variantPayload.inventory_management = 'shopify';
+    }
+
+    if (Object.keys(variantPayload).length > 0) {
+      if (!existingProduct.variant) {
+        throw new Error(`Variant update failed: no variant found on product ${existingProduct.id}`);
+      }
+
+      variantLines.push({
+        item,
+        variables: {
+          productId: existingProduct.id,
+          variants: [
+            shopifySync.buildVariantInput(
+              existingProduct.variant.id,
+              variantPayload,
+              existingProduct.options
+            ),
+          ],
+        },
+      });
+    }
+
+    item.metafields = item.changes
+      .filter((change) => change.fieldType === 'metafield')
+      .map((change) => change.metafield);
+
+    item.operation = item.changes.length > 0 ? 'update' : 'skip';
+  }
+
+  /**
+   * Queue a productSet line that creates the product with its default variant
+   */
+  async planCreate(shop, item, createNew, productSetLines) {
+    const { productData } = item;
+
+    if (!createNew) {
+      item.operation = 'skip';
+      item.reason = 'Product not found and createNew is false';
+      return;
+    }
+
+    item.operation = 'create';
+    item.changes = diffEngine.compareProduct({ metafields: [] }, productData);
+    item.metafields = productData.metafields || [];
+
+    const sku = productData.identifier.type === 'sku'
+      ? productData.identifier.value
+      : productData.variant?.sku;
+
+    const variantData = {
+      sku,
+      inventory_policy: 'DENY',
+      ...productData.variant,
+    };
+    if (productData.inventory) {
+      variantData.inventory_management = 'shopify';
+    }
+
+    const variant = shopifySync.buildVariantInput(null, variantData, []);
+    variant.optionValues = [{ optionName: DEFAULT_OPTION.name, name: DEFAULT_OPTION.value }];
+
+    // New items are stocked at the location as part of the create
+    if (productData.inventory) {
+      const location = await shopifySync.resolveLocation(shop, productData.inventory.location);
+      variant.inventoryQuantities = [
+        { locationId: location.id, name: 'available', quantity: productData.inventory.quantity },
+      ];
+      item.changes.push(diffEngine.compareInventory(null, productData.inventory.quantity, location));
+    }
+
+    const productInput = shopifySync.buildProductInput(productData.product);
+
+    productSetLines.push({
+      item,
+      variables: {
+        input: {
+          ...productInput,
+          title: productInput.title || 'Untitled Product',
+          status: productInput.status || 'DRAFT',
+          productOptions: [
+            { name: DEFAULT_OPTION.name, values: [{ name: DEFAULT_OPTION.value }] },
+          ],
+          variants: [variant],
+        },
+      },
+    });
+  }
+
+  /**
+   * Read the available quantities of all stocked inventory items
+   * @param {Object} shop - Shop document
+   * @returns {Promise<Map<string, number>>} Quantities by "inventoryItemId|locationId"
+   */
+  async fetchInventoryLevels(shop) {
+    const lines = await bulkOperations.runQuery(shop, INVENTORY_LEVELS_QUERY);
+    const levels = new Map();
+
+    lines
+      .filter((line) => line.__parentId && line.location)
+      .forEach((line) => {
+        const quantity = line.quantities?.find((q) => q.name === 'available')?.quantity ?? 0;
+        levels.set(`${line.__parentId}|${line.location.id}`, quantity);
+      });
+
+    return levels;
+  }
+
+  /**
+   * Compare the quantity of an existing variant and queue the change
+   * Items not yet stocked at the location are queued for activation,
+   * since inventorySetQuantities only works on stocked items.
+   * @param {Map<string, number>} inventoryLevels - From fetchInventoryLevels
+   */
+  async planInventory(shop, item, inventoryLevels, activateLines, inventoryLines) {
+    const { productData, existingProduct } = item;
+    const inventoryItemId = existingProduct.variant?.inventoryItem?.id;
+
+    if (!inventoryItemId) {
+      throw new Error('Inventory update failed: variant has no inventory item');
+    }
+
+    const location = await shopifySync.resolveLocation(shop, productData.inventory.location);
+    const currentQuantity = inventoryLevels.get(`${inventoryItemId}|${location.id}`) ?? null;
+
+    const change = diffEngine.compareInventory(currentQuantity, productData.inventory.quantity, location);
+    if (!change) return;
+
+    item.changes.push(change);
+    item.operation = 'update';
+
+    if (currentQuantity === null) {
+      activateLines.push({
+        item,
+        variables: {
+          inventoryItemId,
+          locationId: location.id,
+          available: productData.inventory.quantity,
+        },
+      });
+      return;
+    }
+
+    inventoryLines.push({
+      item,
+      variables: {
+        input: {
+          name: 'available',
+          reason: 'correction',
+          ignoreCompareQuantity: true,
+          quantities: [
+            {
+              inventoryItemId,
+              locationId: location.id,
+              quantity: productData.inventory.quantity,
+            },
+          ],
+        },
+      },
+    });
+  }
+
+  /**
+   * Run one bulk mutation and attach its results to the items
+   * @param {Object} shop - Shop document
+   * @param {string} mutation - Bulk mutation
+   * @param {string} name - Mutation field in the result data
+   * @param {Array} lines - [{item, variables}]
+   * @param {Function} onSuccess - Called with (item, payload) for successful lines
+   */
+  async runLines(shop, mutation, name, lines, onSuccess = null) {
+    if (lines.length === 0) return;
+
+    let results;
+    try {
+      results = await bulkOperations.runMutation(
+        shop,
+        mutation,
+        lines.map((line) => line.variables)
+      );
+    } catch (error) {
+      logger.error(`Bulk ${name} failed:`, error);
+      lines.forEach(({ item }) => item.errors.push(error.message));
+      return;
+    }
+
+    lines.forEach(({ item }, index) => {
+      const result = results[index];
+      const payload = result?.data?.[name];
+
+      if (!result) {
+        item.errors.push(`${name}: no result returned`);
+      } else if (result.errors?.length > 0) {
+        item.errors.push(`${name}: ${result.errors.map((e) => e.message).join(', ')}`);
+      } else if (payload?.userErrors?.length > 0) {
+        item.errors.push(`${name}: ${payload.userErrors.map((e) => e.message).join(', ')}`);
+      } else if (onSuccess) {
+        onSuccess(item, payload);
+      }
+    });
+  }
+
+  /**
+   * Items still to be written (not skipped and without errors)
+   */
+  isPending(item) {
+    return item.operation !== 'skip' && item.errors.length === 0;
+  }
+}
+
+export default new BulkSync();
@@ -0,0 +1,182 @@
+import bulkOperations from './bulk-operations.js';
+import { VARIANT_FIELDS } from './shopify-sync.js';
+import logger from '../../utils/logger.js';
+
+// Same product shape as the per-row lookups in ShopifySync
+const CATALOG_QUERY = `
+  {
+    products {
+      edges {
+        node {
+          id
+          title
+          handle
+          descriptionHtml
+          vendor
+          productType
+          tags
+          status
+          options {
+            name
+            position
+          }
+          variants {
+            edges {
+              node {
+                ${VARIANT_FIELDS}
+              }
+            }
+          }
+          metafields {
+            edges {
+              node {
+                id
+                namespace
+                key
+                value
+                type
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Catalog Index
+ * Snapshot of a shop's products, variants and metafields taken with one bulk
+ * query at the start of a job, so rows are matched without a lookup each.
+ * Products are kept in the GraphQL connection shape of findBySku/findByHandle.
+ */
+export default class CatalogIndex {
+  constructor() {
+    this.products = new Map();
+    this.bySku = new Map();
+    this.byHandle = new Map();
+  }
+
+  /**
+   * Fetch the whole catalog of a shop
+   * @param {Object} shop - Shop document
+   * @returns {Promise<CatalogIndex>}
+   */
+  static async build(shop) {
+    const startedAt = Date.now();
+    const index = new CatalogIndex();
+
+    const lines = await bulkOperations.runQuery(shop, CATALOG_QUERY);
+    index.load(lines);
+
+    logger.info(
+      `Catalog index built for ${shop.domain}: ${index.size} products, ${index.bySku.size} SKUs in ${Date.now() - startedAt}ms`
+    );
+
+    return index;
+  }
+
+  /**
+   * Number of indexed products
+   */
+  get size() {
+    return this.products.size;
+  }
+
+  /**
+   * Rebuild products from bulk query lines (children follow their parent)
+   * @param {Array<Object>} lines - Bulk query result lines
+   */
+  load(lines) {
+    for (const line of lines) {
+      const { __parentId, ...node } = line;
+
+      if (!__parentId) {
+        this.products.set(node.id, {
+          ...node,
+          variants: { edges: [] },
+          metafields: { edges: [] },
+        });
+        continue;
+      }
+
+      const parent = this.products.get(__parentId);
+      if (!parent) continue;
+
+      if (node.id.includes('/ProductVariant/')) {
+        parent.variants.edges.push({ node });
+      } else if (node.id.includes('/Metafield/')) {
+        parent.metafields.edges.push({ node });
+      }
+    }
+
+    for (const product of this.products.values()) {
+      this.addKeys(product);
+    }
+  }
+
+  /**
+   * Index a product by handle and variant SKUs
+   */
+  addKeys(product) {
+    if (product.handle) {
+      this.byHandle.set(product.handle, product);
+    }
+
+    product.variants.edges.forEach(({ node }) => {
+      if (node.sku) {
+        this.bySku.set(node.sku, product);
+      }
+    });
+  }
+
+  /**
+   * Look up a product
+   * @param {Object} identifier - {type: 'sku'|'handle', value: string}
+   * @returns {Object|null} Product node or null when not indexed
+   */
+  find(identifier) {
+    if (identifier.type === 'handle') {
+      return this.byHandle.get(identifier.value) || null;
+    }
+    if (identifier.type === 'sku') {
+      return this.bySku.get(identifier.value) || null;
+    }
+    return null;
+  }
+
+  /**
+   * Look up the products owning any of the given SKUs
+   * @param {Array<string>} skus - Variant SKUs
+   * @returns {Array<Object>} Product nodes, empty when none is indexed
+   */
+  findBySkus(skus) {
+    const products = new Set();
+    for (const sku of skus) {
+      const product = this.bySku.get(sku);
+      if (product) products.add(product);
+    }
+    return [...products];
+  }
+
+  /**
+   * Drop a product whose indexed values are out of date (e.g. after an update)
+   * @param {string} productId - Shopify product ID
+   */
+  remove(productId) {
+    const product = this.products.get(productId);
+    if (!product) return;
+
+    this.products.delete(productId);
+
+    if (this.byHandle.get(product.handle) === product) {
+      this.byHandle.delete(product.handle);
+    }
+
+    product.variants.edges.forEach(({ node }) => {
+      if (this.bySku.get(node.sku) === product) {
+        this.bySku.delete(node.sku);
+      }
+    });
+  }
+}
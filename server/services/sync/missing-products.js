@@ -0,0 +1,205 @@
+import shopifySync from './shopify-sync.js';
+import logger from '../../utils/logger.js';
+import FeedProduct from '../../models/FeedProduct.js';
+import JobRow from '../../models/JobRow.js';
+
+const STATUS_ACTIONS = {
+  draft: 'DRAFT',
+  archive: 'ARCHIVED',
+};
+
+/**
+ * Missing Products Handler
+ * Applies the feed's "products not in feed" action to products the feed
+ * created or updated in earlier runs but whose identifiers are no longer in the file
+ */
+class MissingProducts {
+  /**
+   * Handle products missing from the feed file
+   * @param {Object} feed - Feed document
+   * @param {Object} shop - Shop document
+   * @param {Object} jobRecord - Job database record
+   * @param {Array<string>} identifiers - Identifier values present in the file
+   * @returns {Promise<Object|null>} Summary, or null when no action is configured
+   */
+  async handle(feed, shop, jobRecord, identifiers) {
+    await FeedProduct.markPresent(feed._id, identifiers, jobRecord._id);
+
+    const action = feed.missingProducts?.action || 'none';
+    if (action === 'none') {
+      return null;
+    }
+
+    const summary = {
+      action,
+      found: 0,
+      handled: 0,
+      failed: 0,
+      aborted: false,
+    };
+
+    const [owned, missing] = await Promise.all([
+      FeedProduct.countDocuments({ feed: feed._id }),
+      FeedProduct.find({
+        feed: feed._id,
+        lastSeenJob: { $ne: jobRecord._id },
+        'missing.action': { $ne: action },
+      }),
+    ]);
+
+    summary.found = missing.length;
+    if (missing.length === 0) {
+      return summary;
+    }
+
+    // Safety threshold: a truncated or wrong file would otherwise hit the whole catalog
+    const maxPercent = feed.missingProducts.maxPercent ?? 20;
+    const percent = (missing.length / owned) * 100;
+    if (percent > maxPercent) {
+      summary.aborted = true;
+      summary.message = `${missing.length} of ${owned} products (${percent.toFixed(1)}%) are missing from the feed, above the ${maxPercent}% safety threshold`;
+      logger.warn(`Missing-product handling aborted for feed ${feed._id}: ${summary.message}`);
+      return summary;
+    }
+
+    const targets = action === 'zero_stock'
+      ? missing.map((record) => ({ productId: record.shopifyProductId, records: [record] }))
+      : await this.groupByProduct(feed, jobRecord, missing);
+
+    for (const { productId, records } of targets) {
+      try {
+        const changes = await this.applyAction(feed, shop, action, productId, records);
+
+        await this.logProduct(jobRecord, records[0], productId, 'update', { changes });
+        summary.handled += records.length;
+
+        await FeedProduct.updateMany(
+          { _id: { $in: records.map((record) => record._id) } },
+          {
+            $set: {
+              'missing.since': records[0].missing?.since || new Date(),
+              'missing.action': action,
+              'missing.handledAt': new Date(),
+            },
+          }
+        );
+      } catch (error) {
+        summary.failed += records.length;
+        logger.error(`Error handling missing product ${productId}:`, error);
+
+        await this.logProduct(jobRecord, records[0], productId, 'error', {
+          error: error.message,
+        });
+      }
+    }
+
+    logger.info(`Missing-product handling completed for feed ${feed._id}`, summary);
+    return summary;
+  }
+
+  /**
+   * Group missing records by product, leaving out products that still
+   * have another identifier (e.g. a variant SKU) in the feed
+   */
+  async groupByProduct(feed, jobRecord, missing) {
+    const presentProductIds = new Set(
+      await FeedProduct.distinct('shopifyProductId', {
+        feed: feed._id,
+        lastSeenJob: jobRecord._id,
+      })
+    );
+
+    const groups = new Map();
+    for (const record of missing) {
+      if (presentProductIds.has(record.shopifyProductId)) continue;
+
+      if (!groups.has(record.shopifyProductId)) {
+        groups.set(record.shopifyProductId, []);
+      }
+      groups.get(record.shopifyProductId).push(record);
+    }
+
+    return [...groups.entries()].map(([productId, records]) => ({ productId, records }));
+  }
+
+  /**
+   * Apply the configured action to one product
+   * @returns {Promise<Array>} Change entries
+   */
+  async applyAction(feed, shop, action, productId, records) {
+    const product = await shopifySync.getProductById(shop, productId);
+    if (!product) {
+      throw new Error(`Product ${productId} no longer exists`);
+    }
+
+    if (STATUS_ACTIONS[action]) {
+      const status = STATUS_ACTIONS[action];
+      if (product.status === status) {
+        return [];
+      }
+
+      await shopifySync.updateProduct(shop, productId, { status });
+      return [{ field: 'status', oldValue: product.status, newValue: status, fieldType: 'product' }];
+    }
+
+    if (action === 'tag') {
+      const tag = feed.missingProducts.tag || 'missing-from-feed';
+      if (product.tags.includes(tag)) {
+        return [];
+      }
+
+      await shopifySync.addTags(shop, productId, [tag]);
+      return [{ field: 'tags', oldValue: product.tags, newValue: [...product.tags, tag], fieldType: 'product' }];
+    }
+
+    if (action === 'zero_stock') {
+      // SKU records zero their own variant, handle records the whole product
+      const record = records[0];
+      const variants = record.identifierType === 'sku'
+        ? product.variants.filter((v) => v.sku === record.identifier)
+        : product.variants;
+
+      const changes = [];
+      for (const variant of variants) {
+        if (!variant.inventoryItem?.id) continue;
+        changes.push(...await shopifySync.zeroInventory(
+          shop,
+          variant.inventoryItem.id,
+          feed.inventory?.locationId || null
+        ));
+      }
+      return changes;
+    }
+
+    throw new Error(`Unknown missing-product action '${action}'`);
+  }
+
+  /**
+   * Log a missing product to the job rows
+   * Row number 0 marks entries that don't come from a CSV row.
+   */
+  async logProduct(jobRecord, record, productId, operation, details = {}) {
+    const jobRow = new JobRow({
+      job: jobRecord._id,
+      rowNumber: 0,
+      operation,
+      status: operation === 'error' ? 'error' : 'warning',
+      identifier: {
+        value: record.identifier,
+        type: record.identifierType,
+      },
+      shopifyProductId: productId,
+      changes: details.changes || [],
+      warnings: [{ message: 'Product no longer in feed' }],
+      error: details.error
+        ? {
+          message: details.error,
+        }
+        : undefined,
+    });
+
+    await jobRow.save();
+  }
+}
+
+export default new MissingProducts();
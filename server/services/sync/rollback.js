@@ -0,0 +1,317 @@
+import shopifySync from './shopify-sync.js';
+import logger from '../../utils/logger.js';
+import Job from '../../models/Job.js';
+import JobRow from '../../models/JobRow.js';
+
+// Value the Diff Engine records for empty fields
+const EMPTY_VALUE = '<empty>';
+
+const NUMERIC_VARIANT_FIELDS = ['price', 'compare_at_price', 'cost', 'weight'];
+
+/**
+ * Rollback Service
+ * Undoes a sync job by writing back the `oldValue` of every change it logged
+ */
+class Rollback {
+  /**
+   * Roll back a job
+   * @param {Object} sourceJob - Job to roll back
+   * @param {Object} shop - Shop document
+   * @param {Object} jobRecord - Rollback job record (rows are logged here)
+   * @param {Object} options - {createdAction: 'none'|'archive'|'delete', dryRun, bullJob}
+   * @returns {Promise<Object>} Results
+   */
+  async run(sourceJob, shop, jobRecord, options = {}) {
+    const { createdAction = 'none', dryRun = false, bullJob = null } = options;
+
+    // Newest changes are undone first
+    const sourceRows = await JobRow.find({
+      job: sourceJob._id,
+      status: { $ne: 'error' },
+      operation: { $in: ['create', 'update'] },
+      shopifyProductId: { $exists: true },
+    })
+      .select('-rowData')
+      .sort({ createdAt: -1 });
+
+    const createdProductIds = this.findCreatedProducts(
+      await JobRow.find({ job: sourceJob._id }).select('operation shopifyProductId')
+    );
+
+    const results = {
+      totalRows: sourceRows.length,
+      processed: 0,
+      created: 0,
+      updated: 0,
+      deleted: 0,
+      skipped: 0,
+      failed: 0,
+    };
+
+    jobRecord.progress.total = sourceRows.length;
+    await jobRecord.save();
+
+    const handledProducts = new Set();
+
+    for (const [index, row] of sourceRows.entries()) {
+      try {
+        if (row.operation === 'update') {
+          const changes = await this.revertRow(shop, row, dryRun);
+          results.updated++;
+          await this.logRow(jobRecord, row, 'update', { changes });
+        } else if (!createdProductIds.has(row.shopifyProductId)) {
+          // Variants added to a product that already existed stay in place
+          results.skipped++;
+          await this.logRow(jobRecord, row, 'skip', {
+            reason: 'Variant was added to an existing product',
+          });
+        } else if (handledProducts.has(row.shopifyProductId) || createdAction === 'none') {
+          results.skipped++;
+          await this.logRow(jobRecord, row, 'skip', {
+            reason: createdAction === 'none'
+              ? 'Created product kept'
+              : 'Product already handled',
+          });
+        } else {
+          handledProducts.add(row.shopifyProductId);
+          const changes = await this.removeCreatedProduct(
+            shop,
+            row.shopifyProductId,
+            createdAction,
+            dryRun
+          );
+
+          if (createdAction === 'delete') {
+            results.deleted++;
+            await this.logRow(jobRecord, row, 'delete', { changes });
+          } else {
+            results.updated++;
+            await this.logRow(jobRecord, row, 'update', { changes });
+          }
+        }
+      } catch (error) {
+        results.failed++;
+        logger.error(`Error rolling back row ${row.rowNumber} of job ${sourceJob._id}:`, error);
+
+        await this.logRow(jobRecord, row, 'error', {
+          error: error.message,
+        });
+      }
+
+      results.processed++;
+
+      // Check for cancellation every row
+      const currentJob = await Job.findById(jobRecord._id);
+      if (!currentJob || currentJob.status === 'cancelled') {
+        logger.info(`Rollback job ${jobRecord._id} was cancelled by user. Stopping worker.`);
+        return { ...results, status: 'cancelled' };
+      }
+
+      await jobRecord.updateProgress(index + 1, sourceRows.length);
+
+      // Keep the Bull lock alive
+      if (bullJob && (index + 1) % 10 === 0) {
+        await bullJob.progress(Math.round(((index + 1) / sourceRows.length) * 100));
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Products whose every logged row was a create were created by the job
+   * @param {Array} rows - All rows of the source job
+   * @returns {Set<string>} Product IDs
+   */
+  findCreatedProducts(rows) {
+    const created = new Set();
+    const existing = new Set();
+
+    rows.forEach((row) => {
+      if (!row.shopifyProductId) return;
+      (row.operation === 'create' ? created : existing).add(row.shopifyProductId);
+    });
+
+    existing.forEach((productId) => created.delete(productId));
+    return created;
+  }
+
+  /**
+   * Write back the old values of one logged row
+   * @param {Object} shop - Shop document
+   * @param {Object} row - Source JobRow
+   * @param {boolean} dryRun - Only report, don't write
+   * @returns {Promise<Array>} Reverse changes
+   */
+  async revertRow(shop, row, dryRun) {
+    const changes = row.changes.filter((change) => change.fieldType);
+    const reverseChanges = changes.map((change) => ({
+      field: change.field,
+      oldValue: change.newValue,
+      newValue: change.oldValue ?? EMPTY_VALUE,
+      fieldType: change.fieldType,
+      locationId: change.locationId,
+    }));
+
+    if (dryRun || changes.length === 0) {
+      return reverseChanges;
+    }
+
+    const product = await shopifySync.getProductById(
+      shop,
+      row.shopifyProductId,
+      row.identifier?.type === 'sku' ? row.identifier : { type: 'handle' }
+    );
+
+    if (!product) {
+      throw new Error(`Product ${row.shopifyProductId} no longer exists`);
+    }
+
+    const productInput = {};
+    const variantData = {};
+    const metafieldsToSet = [];
+    const metafieldsToDelete = [];
+    const quantities = [];
+
+    for (const change of changes) {
+      const value = this.restoreValue(change.oldValue);
+
+      if (change.fieldType === 'product') {
+        productInput[change.field] = change.field === 'tags' ? this.restoreTags(change.oldValue) : value ?? '';
+      } else if (change.fieldType === 'variant') {
+        variantData[change.field] = NUMERIC_VARIANT_FIELDS.includes(change.field) && value !== null
+          ? Number(value)
+          : value;
+      } else if (change.fieldType === 'metafield') {
+        const separator = change.field.indexOf('.');
+        const namespace = change.field.slice(0, separator);
+        const key = change.field.slice(separator + 1);
+
+        if (value === null) {
+          metafieldsToDelete.push({ namespace, key });
+        } else {
+          const current = product.metafields.find(
+            (m) => m.namespace === namespace && m.key === key
+          );
+          metafieldsToSet.push({
+            namespace,
+            key,
+            value,
+            type: current?.type || 'single_line_text_field',
+          });
+        }
+      } else if (change.fieldType === 'inventory') {
+        if (!product.variant?.inventoryItem?.id) {
+          throw new Error('Inventory rollback failed: variant has no inventory item');
+        }
+
+        // Items that were not stocked before are set back to 0
+        quantities.push({
+          inventoryItemId: product.variant.inventoryItem.id,
+          locationId: change.locationId,
+          quantity: value === null ? 0 : Number(value),
+        });
+      }
+    }
+
+    if (Object.keys(productInput).length > 0) {
+      await shopifySync.updateProduct(shop, product.id, productInput);
+    }
+
+    if (Object.keys(variantData).length > 0) {
+      // Weight value and unit are written together
+      const currentWeight = product.variant?.inventoryItem?.measurement?.weight;
+      if (variantData.weight !== undefined || variantData.weight_unit !== undefined) {
+        variantData.weight = variantData.weight ?? currentWeight?.value;
+        variantData.weight_unit = variantData.weight_unit ?? currentWeight?.unit;
+      }
+
+      await shopifySync.updateVariantFields(shop, product, variantData);
+    }
+
+    await shopifySync.setMetafields(shop, product.id, metafieldsToSet);
+    await shopifySync.deleteMetafields(shop, product.id, metafieldsToDelete);
+
+    if (quantities.length > 0) {
+      await shopifySync.setInventoryQuantities(shop, quantities);
+    }
+
+    return reverseChanges;
+  }
+
+  /**
+   * Archive or delete a product created by the source job
+   * @returns {Promise<Array>} Status change entries
+   */
+  async removeCreatedProduct(shop, productId, createdAction, dryRun) {
+    const product = await shopifySync.getProductById(shop, productId);
+    if (!product) {
+      throw new Error(`Product ${productId} no longer exists`);
+    }
+
+    const status = createdAction === 'delete' ? 'DELETED' : 'ARCHIVED';
+    const changes = product.status === status
+      ? []
+      : [{ field: 'status', oldValue: product.status, newValue: status, fieldType: 'product' }];
+
+    if (!dryRun) {
+      if (createdAction === 'delete') {
+        await shopifySync.deleteProduct(shop, productId);
+      } else if (changes.length > 0) {
+        await shopifySync.updateProduct(shop, productId, { status });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Convert a logged value back to a writable value (null when empty)
+   */
+  restoreValue(value) {
+    if (value === null || value === undefined || value === EMPTY_VALUE) {
+      return null;
+    }
+
+    return Array.isArray(value) ? value : String(value);
+  }
+
+  /**
+   * Tags are logged as an array or a comma-separated string
+   */
+  restoreTags(value) {
+    const restored = this.restoreValue(value);
+    if (restored === null) {
+      return [];
+    }
+
+    return Array.isArray(restored)
+      ? restored
+      : restored.split(',').map((tag) => tag.trim()).filter(Boolean);
+  }
+
+  /**
+   * Log a rolled back row, keeping the source row number and identifier
+   */
+  async logRow(jobRecord, sourceRow, operation, details = {}) {
+    const jobRow = new JobRow({
+      job: jobRecord._id,
+      rowNumber: sourceRow.rowNumber,
+      operation,
+      status: operation === 'error' ? 'error' : 'success',
+      identifier: sourceRow.identifier,
+      shopifyProductId: sourceRow.shopifyProductId,
+      changes: details.changes || [],
+      warnings: details.reason ? [{ message: details.reason }] : [],
+      error: details.error
+        ? {
+          message: details.error,
+        }
+        : undefined,
+    });
+
+    await jobRow.save();
+  }
+}
+
+export default new Rollback();
@@ -1,10 +1,45 @@
 import shopify from '../../config/shopify.js';
 import Shop from '../../models/Shop.js';
+import diffEngine from '../diff/diff-engine.js';
+import throttleManager from '../shopify/throttle-manager.js';
 import logger from '../../utils/logger.js';
 
+/**
+ * Variant fields fetched with every product lookup
+ * Kept in one place so find queries and the Diff Engine stay in sync
+ */
+export const VARIANT_FIELDS = `
+  id
+  sku
+  price
+  compareAtPrice
+  barcode
+  taxable
+  inventoryPolicy
+  selectedOptions {
+    name
+    value
+  }
+  inventoryItem {
+    id
+    tracked
+    requiresShipping
+    unitCost {
+      amount
+    }
+    measurement {
+      weight {
+        value
+        unit
+      }
+    }
+  }
+`;
+
 /**
  * Retry utility for handling transient Shopify errors
- * Retries on 502, 503, 429, and timeout errors with exponential backoff
+ * Retries on 502, 503, and timeout errors with exponential backoff
+ * (rate limiting is handled by the throttle manager of the client)
  * @param {Function} fn - Async function to retry
  * @param {number} maxRetries - Maximum number of retries (default: 3)
  * @param {number} baseDelay - Base delay in ms (default: 1000)
@@ -23,7 +58,6 @@ async function withRetry(fn, maxRetries = 3, baseDelay = 1000) {
       const isRetryable =
         error.response?.code === 502 ||
         error.response?.code === 503 ||
-        error.response?.code === 429 ||
         error.message?.includes('Bad Gateway') ||
         error.message?.includes('Service Unavailable') ||
         error.message?.includes('ETIMEDOUT') ||
@@ -54,23 +88,91 @@ async function withRetry(fn, maxRetries = 3, baseDelay = 1000) {
  * Handles product creation, updates, and metafield management
  */
 class ShopifySync {
+  constructor() {
+    // Shop locations, cached per shop domain: {locations, fetchedAt}
+    this.locationCache = new Map();
+  }
+
   /**
    * Find product by SKU or Handle
    * @param {Object} shop - Shop document
    * @param {Object} identifier - {type: 'sku'|'handle', value: string}
+   * @param {CatalogIndex|null} catalogIndex - Catalog snapshot of the job, checked first
    * @returns {Promise<Object|null>} Product or null
    */
-  async findProduct(shop, identifier) {
-    const session = this.createSession(shop);
-    const client = new shopify.clients.Graphql({ session });
+  async findProduct(shop, identifier, catalogIndex = null) {
+    // Products missing from the index may have been created since it was built
+    const indexed = catalogIndex?.find(identifier);
+    if (indexed) {
+      return this.normalizeProduct(indexed, identifier);
+    }
+
+    const client = this.createClient(shop);
+
+    let product = null;
 
     if (identifier.type === 'handle') {
-      return this.findByHandle(client, identifier.value);
+      product = await this.findByHandle(client, identifier.value);
     } else if (identifier.type === 'sku') {
-      return this.findBySku(client, identifier.value);
+      product = await this.findBySku(client, identifier.value);
+    }
+
+    return product ? this.normalizeProduct(product, identifier) : null;
+  }
+
+  /**
+   * Find the product owning any of the given SKUs
+   * The SKUs are the variants of one product: when they belong to several
+   * products, the group can't be matched and an error is thrown.
+   * @param {Object} shop - Shop document
+   * @param {Array<string>} skus - Variant SKUs
+   * @param {CatalogIndex|null} catalogIndex - Catalog snapshot of the job, checked first
+   * @returns {Promise<Object|null>} Normalized product or null
+   */
+  async findProductBySkus(shop, skus, catalogIndex = null) {
+    let products = catalogIndex?.findBySkus(skus) || [];
+
+    if (products.length === 0) {
+      const client = this.createClient(shop);
+
+      products = await this.findBySku(client, skus);
+    }
+
+    if (products.length > 1) {
+      throw new Error(
+        `SKUs of the group belong to ${products.length} different products: ` +
+        products.map((product) => product.handle || product.id).join(', ')
+      );
     }
 
-    return null;
+    return products.length > 0
+      ? this.normalizeProduct(products[0], { type: 'sku', value: skus[0] })
+      : null;
+  }
+
+  /**
+   * Flatten GraphQL connections and select the variant matched by the identifier
+   * @param {Object} product - Product node from GraphQL
+   * @param {Object} identifier - {type: 'sku'|'handle', value: string}
+   * @returns {Object} Product with metafields/variants arrays and a `variant` property
+   */
+  normalizeProduct(product, identifier) {
+    const variants = (product.variants?.edges || []).map((edge) => edge.node);
+    const metafields = (product.metafields?.edges || []).map((edge) => edge.node);
+
+    // Match by SKU when possible, otherwise fall back to the first variant
+    const variant =
+      (identifier.type === 'sku' &&
+        variants.find((v) => v.sku === identifier.value)) ||
+      variants[0] ||
+      null;
+
+    return {
+      ...product,
+      variants,
+      metafields,
+      variant,
+    };
   }
 
   /**
@@ -88,6 +190,17 @@ class ShopifySync {
           productType
           tags
           status
+          options {
+            name
+            position
+          }
+          variants(first: 100) {
+            edges {
+              node {
+                ${VARIANT_FIELDS}
+              }
+            }
+          }
           metafields(first: 250) {
             edges {
               node {
@@ -119,11 +232,16 @@ class ShopifySync {
 
   /**
    * Find product by SKU
+   * @param {Object} client - Shopify GraphQL client
+   * @param {string|Array<string>} sku - SKU, or list of SKUs
+   * @returns {Promise<Object|null|Array<Object>>} The product (or null) for one SKU;
+   *   for a list, every product owning one of the SKUs
    */
   async findBySku(client, sku) {
+    const skus = Array.isArray(sku) ? sku : [sku];
     const query = `
-      query getProductBySku($query: String!) {
-        products(first: 1, query: $query) {
+      query getProductBySku($query: String!, $first: Int!) {
+        products(first: $first, query: $query) {
           edges {
             node {
               id
@@ -134,11 +252,14 @@ class ShopifySync {
               productType
               tags
               status
-              variants(first: 1) {
+              options {
+                name
+                position
+              }
+              variants(first: 100) {
                 edges {
                   node {
-                    id
-                    sku
+                    ${VARIANT_FIELDS}
                   }
                 }
               }
@@ -162,12 +283,22 @@ class ShopifySync {
     try {
       const response = await withRetry(async () => {
         return await client.request(query, {
-          variables: { query: `sku:${sku}` },
+          variables: {
+            query: skus.map((s) => `sku:${s}`).join(' OR '),
+            first: Math.min(skus.length, 250),
+          },
         });
       });
 
-      const products = response.data.products.edges;
-      return products.length > 0 ? products[0].node : null;
+      const products = response.data.products.edges.map((edge) => edge.node);
+      if (!Array.isArray(sku)) {
+        return products[0] || null;
+      }
+
+      // Search terms match loosely; keep the products that own one of the SKUs
+      return products.filter((product) =>
+        product.variants.edges.some(({ node }) => skus.includes(node.sku))
+      );
     } catch (error) {
       logger.error('Error finding product by SKU:', error);
       throw error;
@@ -179,11 +310,13 @@ class ShopifySync {
    * @param {Object} shop - Shop document
    * @param {Object} productData - Product data
    * @param {string} sku - SKU for variant
+   * @param {Object} variantData - Mapped variant fields for the default variant
+   * @param {Array|null} productOptions - Options to create the product with
+   *   ([{name, values: [{name}]}]). When set, variants are created by the caller.
    * @returns {Promise<Object>} Created product
    */
-  async createProduct(shop, productData, sku) {
-    const session = this.createSession(shop);
-    const client = new shopify.clients.Graphql({ session });
+  async createProduct(shop, productData, sku, variantData = {}, productOptions = null) {
+    const client = this.createClient(shop);
 
     // 1. Create product without properties that belong to variants
     const createMutation = `
@@ -194,10 +327,17 @@ class ShopifySync {
             title
             handle
             status
+            options {
+              name
+              position
+            }
             variants(first: 1) {
               edges {
                 node {
                   id
+                  inventoryItem {
+                    id
+                  }
                 }
               }
             }
@@ -223,6 +363,10 @@ class ShopifySync {
       input.handle = productData.handle;
     }
 
+    if (productOptions) {
+      input.productOptions = productOptions;
+    }
+
     try {
       const response = await withRetry(async () => {
         return await client.request(createMutation, {
@@ -238,13 +382,20 @@ class ShopifySync {
         );
       }
 
-      // 2. Update the default variant with SKU and Inventory Policy
-      if (product.variants?.edges?.length > 0) {
+      // 2. Update the default variant with SKU, Inventory Policy and mapped variant fields
+      if (!productOptions && product.variants?.edges?.length > 0) {
         const variantId = product.variants.edges[0].node.id;
-        await this.updateVariant(client, product.id, variantId, {
-          sku: sku,
-          inventoryPolicy: 'DENY', // Or 'CONTINUE' based on requirements
-        });
+        await this.updateVariant(
+          client,
+          product.id,
+          variantId,
+          {
+            sku: sku,
+            inventory_policy: 'DENY', // Or 'CONTINUE' based on requirements
+            ...variantData,
+          },
+          product.options
+        );
       }
 
       logger.info(`Product created: ${product.id}`);
@@ -257,14 +408,35 @@ class ShopifySync {
 
   /**
    * Update product variant (helper) - Uses productVariantsBulkUpdate for API 2025-01+
+   * @param {Object} client - Shopify GraphQL client
+   * @param {string} productId - Shopify product ID
+   * @param {string} variantId - Shopify variant ID
+   * @param {Object} data - Variant fields (snake_case, as produced by the Mapping Engine)
+   * @param {Array} productOptions - Product options [{name, position}] for option1-3
    */
-  async updateVariant(client, productId, variantId, data) {
+  async updateVariant(client, productId, variantId, data, productOptions = []) {
+    await this.bulkUpdateVariants(client, productId, [
+      this.buildVariantInput(variantId, data, productOptions),
+    ]);
+  }
+
+  /**
+   * Update several variants of a product in one call
+   * @param {Object} client - Shopify GraphQL client
+   * @param {string} productId - Shopify product ID
+   * @param {Array} variants - ProductVariantsBulkInput list (with ids)
+   * @returns {Promise<Array>} Updated variants [{id, sku}]
+   */
+  async bulkUpdateVariants(client, productId, variants) {
     const mutation = `
       mutation productVariantsBulkUpdate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
         productVariantsBulkUpdate(productId: $productId, variants: $variants) {
           productVariants {
             id
             sku
+            inventoryItem {
+              id
+            }
           }
           userErrors {
             field
@@ -274,30 +446,152 @@ class ShopifySync {
       }
     `;
 
-    const variants = [
-      {
-        id: variantId,
-        inventoryItem: {
-          sku: data.sku,
+    const response = await withRetry(async () => {
+      return await client.request(mutation, {
+        variables: {
+          productId,
+          variants,
         },
-        inventoryPolicy: data.inventoryPolicy,
-      },
-    ];
-
-    const response = await client.request(mutation, {
-      variables: {
-        productId,
-        variants,
-      },
+      });
     });
 
-    const { userErrors } = response.data.productVariantsBulkUpdate;
+    const { productVariants, userErrors } = response.data.productVariantsBulkUpdate;
 
     if (userErrors && userErrors.length > 0) {
       throw new Error(
         `Variant update failed: ${userErrors.map((e) => e.message).join(', ')}`
       );
     }
+
+    return productVariants || [];
+  }
+
+  /**
+   * Create several variants on a product in one call
+   * @param {Object} client - Shopify GraphQL client
+   * @param {string} productId - Shopify product ID
+   * @param {Array} variants - ProductVariantsBulkInput list (without ids)
+   * @param {string} strategy - DEFAULT or REMOVE_STANDALONE_VARIANT
+   * @returns {Promise<Array>} Created variants [{id, sku}]
+   */
+  async bulkCreateVariants(client, productId, variants, strategy = 'DEFAULT') {
+    const mutation = `
+      mutation productVariantsBulkCreate($productId: ID!, $variants: [ProductVariantsBulkInput!]!, $strategy: ProductVariantsBulkCreateStrategy) {
+        productVariantsBulkCreate(productId: $productId, variants: $variants, strategy: $strategy) {
+          productVariants {
+            id
+            sku
+            inventoryItem {
+              id
+            }
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const response = await withRetry(async () => {
+      return await client.request(mutation, {
+        variables: {
+          productId,
+          variants,
+          strategy,
+        },
+      });
+    });
+
+    const { productVariants, userErrors } = response.data.productVariantsBulkCreate;
+
+    if (userErrors && userErrors.length > 0) {
+      throw new Error(
+        `Variant creation failed: ${userErrors.map((e) => e.message).join(', ')}`
+      );
+    }
+
+    return productVariants || [];
+  }
+
+  /**
+   * Update the matched variant of an existing product
+   * @param {Object} shop - Shop document
+   * @param {Object} product - Product returned by findProduct
+   * @param {Object} variantData - Variant fields to update
+   */
+  async updateVariantFields(shop, product, variantData) {
+    if (!product.variant) {
+      throw new Error(`Variant update failed: no variant found on product ${product.id}`);
+    }
+
+    const client = this.createClient(shop);
+
+    await this.updateVariant(
+      client,
+      product.id,
+      product.variant.id,
+      variantData,
+      product.options
+    );
+
+    logger.info(`Variant updated: ${product.variant.id}`);
+  }
+
+  /**
+   * Build ProductVariantsBulkInput from mapped variant fields
+   * Converts snake_case mapping fields to their GraphQL equivalents.
+   * @param {string|null} variantId - Shopify variant ID (null for new variants)
+   * @param {Object} data - Variant fields
+   * @param {Array} productOptions - Product options [{name, position}]
+   * @returns {Object} ProductVariantsBulkInput
+   */
+  buildVariantInput(variantId, data, productOptions = []) {
+    const input = variantId ? { id: variantId } : {};
+    const inventoryItem = {};
+
+    if (data.price !== undefined) input.price = data.price;
+    if (data.compare_at_price !== undefined) input.compareAtPrice = data.compare_at_price;
+    if (data.barcode !== undefined) input.barcode = data.barcode;
+    if (data.taxable !== undefined) input.taxable = data.taxable === 'true';
+    if (data.inventory_policy !== undefined) input.inventoryPolicy = data.inventory_policy;
+
+    // Inventory item fields
+    if (data.sku !== undefined) inventoryItem.sku = data.sku;
+    if (data.cost !== undefined) inventoryItem.cost = data.cost;
+    if (data.requires_shipping !== undefined) {
+      inventoryItem.requiresShipping = data.requires_shipping === 'true';
+    }
+    if (data.inventory_management !== undefined) {
+      inventoryItem.tracked = data.inventory_management === 'shopify';
+    }
+    if (data.weight !== undefined && data.weight !== null) {
+      inventoryItem.measurement = {
+        weight: {
+          value: Number(data.weight),
+          unit: data.weight_unit || 'KILOGRAMS',
+        },
+      };
+    }
+
+    if (Object.keys(inventoryItem).length > 0) {
+      input.inventoryItem = inventoryItem;
+    }
+
+    // Option values (option1-3) need the product's option names
+    const optionValues = ['option1', 'option2', 'option3']
+      .map((field, index) => {
+        const option = productOptions.find((o) => o.position === index + 1);
+        if (data[field] === undefined || !option) return null;
+        return { optionName: option.name, name: data[field] };
+      })
+      .filter(Boolean);
+
+    if (optionValues.length > 0) {
+      input.optionValues = optionValues;
+    }
+
+    return input;
   }
 
   /**
@@ -308,8 +602,7 @@ class ShopifySync {
    * @returns {Promise<Object>} Updated product
    */
   async updateProduct(shop, productId, productData) {
-    const session = this.createSession(shop);
-    const client = new shopify.clients.Graphql({ session });
+    const client = this.createClient(shop);
 
     const mutation = `
       mutation productUpdate($input: ProductInput!) {
@@ -330,9 +623,40 @@ class ShopifySync {
 
     const input = {
       id: productId,
-      ...productData,
+      ...this.buildProductInput(productData),
     };
 
+    try {
+      const response = await withRetry(async () => {
+        return await client.request(mutation, {
+          variables: { input },
+        });
+      });
+
+      const { product, userErrors } = response.data.productUpdate;
+
+      if (userErrors && userErrors.length > 0) {
+        throw new Error(
+          `Product update failed: ${userErrors.map((e) => e.message).join(', ')}`
+        );
+      }
+
+      logger.info(`Product updated: ${product.id}`);
+      return product;
+    } catch (error) {
+      logger.error('Error updating product:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Convert mapped product fields to a GraphQL ProductInput
+   * @param {Object} productData - Product fields (snake_case, as produced by the Mapping Engine)
+   * @returns {Object} Product input without fields handled by other mutations
+   */
+  buildProductInput(productData) {
+    const input = { ...productData };
+
     // ============================================
     // FIELD SANITIZATION FOR SHOPIFY GRAPHQL API
     // The Shopify GraphQL API expects camelCase field names,
@@ -391,27 +715,7 @@ class ShopifySync {
     delete input.createdAt;
     delete input.updatedAt;
 
-    try {
-      const response = await withRetry(async () => {
-        return await client.request(mutation, {
-          variables: { input },
-        });
-      });
-
-      const { product, userErrors } = response.data.productUpdate;
-
-      if (userErrors && userErrors.length > 0) {
-        throw new Error(
-          `Product update failed: ${userErrors.map((e) => e.message).join(', ')}`
-        );
-      }
-
-      logger.info(`Product updated: ${product.id}`);
-      return product;
-    } catch (error) {
-      logger.error('Error updating product:', error);
-      throw error;
-    }
+    return input;
   }
 
   /**
@@ -426,8 +730,7 @@ class ShopifySync {
       return [];
     }
 
-    const session = this.createSession(shop);
-    const client = new shopify.clients.Graphql({ session });
+    const client = this.createClient(shop);
 
     const mutation = `
       mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
@@ -512,8 +815,7 @@ class ShopifySync {
       return [];
     }
 
-    const session = this.createSession(shop);
-    const client = new shopify.clients.Graphql({ session });
+    const client = this.createClient(shop);
 
     const mutation = `
       mutation productCreateMedia($media: [CreateMediaInput!]!, $productId: ID!) {
@@ -568,14 +870,14 @@ class ShopifySync {
    * @param {Object} shop - Shop document
    * @param {Object} productData - Transformed product data
    * @param {Object} identifier - Product identifier
-   * @param {Object} options - Sync options
+   * @param {Object} options - Sync options ({updateExisting, createNew, catalogIndex})
    * @returns {Promise<{operation: string, product: Object, changes: Array}>}
    */
   async syncProduct(shop, productData, identifier, options = {}) {
-    const { updateExisting = true, createNew = true } = options;
+    const { updateExisting = true, createNew = true, catalogIndex = null } = options;
 
     // Find existing product
-    const existingProduct = await this.findProduct(shop, identifier);
+    const existingProduct = await this.findProduct(shop, identifier, catalogIndex);
 
     if (existingProduct) {
       // Product exists
@@ -587,21 +889,66 @@ class ShopifySync {
         };
       }
 
-      // Update product fields if any
-      if (Object.keys(productData.product).length > 0) {
+      // Record before/after values for the job log
+      const changes = diffEngine.compareProduct(existingProduct, productData);
+
+      // Indexed values are stale once the product is written
+      catalogIndex?.remove(existingProduct.id);
+
+      // Update product fields (only the ones that changed)
+      const productFields = {};
+      changes
+        .filter((change) => change.fieldType === 'product')
+        .forEach((change) => {
+          productFields[change.field] = productData.product[change.field];
+        });
+
+      if (Object.keys(this.buildProductInput(productFields)).length > 0) {
         await this.updateProduct(
           shop,
           existingProduct.id,
-          productData.product
+          productFields
         );
       }
 
-      // Update metafields
-      if (productData.metafields && productData.metafields.length > 0) {
+      // Update variant fields (only the ones that changed)
+      const variantPayload = this.buildVariantPayload(
+        existingProduct.variant,
+        productData.variant || {},
+        changes
+      );
+
+      // Quantities can only be set on tracked inventory items
+      if (productData.inventory && existingProduct.variant?.inventoryItem?.tracked === false) {
+        variantPayload.inventory_management = 'shopify';
+      }
+
+      if (Object.keys(variantPayload).length > 0) {
+        await this.updateVariantFields(shop, existingProduct, variantPayload);
+      }
+
+      // Update inventory quantity
+      if (productData.inventory) {
+        const inventoryChange = await this.syncInventory(
+          shop,
+          existingProduct.variant?.inventoryItem?.id,
+          productData.inventory
+        );
+        if (inventoryChange) {
+          changes.push(inventoryChange);
+        }
+      }
+
+      // Update metafields (only the ones that changed)
+      const changedMetafields = changes
+        .filter((change) => change.fieldType === 'metafield')
+        .map((change) => change.metafield);
+
+      if (changedMetafields.length > 0) {
         await this.setMetafields(
           shop,
           existingProduct.id,
-          productData.metafields
+          changedMetafields
         );
       }
 
@@ -614,6 +961,7 @@ class ShopifySync {
       return {
         operation: 'update',
         product: existingProduct,
+        changes,
       };
     } else {
       // Product doesn't exist
@@ -625,12 +973,32 @@ class ShopifySync {
       }
 
       // Create product
+      const variantData = { ...productData.variant };
+      if (productData.inventory) {
+        variantData.inventory_management = 'shopify';
+      }
+
       const newProduct = await this.createProduct(
         shop,
         productData.product,
-        identifier.value
+        identifier.type === 'sku' ? identifier.value : variantData.sku,
+        variantData
       );
 
+      const changes = diffEngine.compareProduct({ metafields: [] }, productData);
+
+      // Set inventory quantity
+      if (productData.inventory) {
+        const inventoryChange = await this.syncInventory(
+          shop,
+          newProduct.variants?.edges?.[0]?.node?.inventoryItem?.id,
+          productData.inventory
+        );
+        if (inventoryChange) {
+          changes.push(inventoryChange);
+        }
+      }
+
       // Set metafields
       if (productData.metafields && productData.metafields.length > 0) {
         await this.setMetafields(shop, newProduct.id, productData.metafields);
@@ -645,27 +1013,767 @@ class ShopifySync {
       return {
         operation: 'create',
         product: newProduct,
+        changes,
       };
     }
   }
 
   /**
-   * Create Shopify session from shop document
-   * @param {Object} shop - Shop document
-   * @returns {Object} Shopify session
+   * Build the variant fields to write from a list of detected changes
+   * @param {Object|null} existingVariant - Existing Shopify variant
+   * @param {Object} variantData - New variant data from CSV
+   * @param {Array} changes - Changes from the Diff Engine
+   * @returns {Object} Changed variant fields
    */
-  createSession(shop) {
-    return {
-      shop: shop.domain,
-      accessToken: shop.accessToken,
-    };
+  buildVariantPayload(existingVariant, variantData, changes) {
+    const payload = {};
+
+    changes
+      .filter((change) => change.fieldType === 'variant')
+      .forEach((change) => {
+        payload[change.field] = variantData[change.field];
+      });
+
+    // Weight value and unit are written together
+    if (payload.weight !== undefined || payload.weight_unit !== undefined) {
+      const existingWeight = existingVariant?.inventoryItem?.measurement?.weight;
+      payload.weight = variantData.weight ?? existingWeight?.value;
+      payload.weight_unit = variantData.weight_unit ?? existingWeight?.unit;
+    }
+
+    return payload;
   }
 
   /**
-   * Rate limit delay
+   * Sync a group of CSV rows as one product with multiple variants
+   * Product fields and metafields come from the first row of the group;
+   * every row is one variant, matched by its SKU.
+   * @param {Object} shop - Shop document
+   * @param {Array} rowsData - Transformed rows (one per variant), identifier = SKU
+   * @param {Array<string>} optionNames - Names for option1-3
+   * @param {Object} options - Sync options ({updateExisting, createNew, catalogIndex})
+   * @returns {Promise<{operation: string, product: Object, variants: Array}>}
+   *   `variants` is aligned with `rowsData`: [{sku, operation, changes}]
    */
-  async rateLimit() {
-    return new Promise((resolve) => setTimeout(resolve, 500)); // 500ms delay
+  async syncProductGroup(shop, rowsData, optionNames = [], options = {}) {
+    const { updateExisting = true, createNew = true, catalogIndex = null } = options;
+
+    const client = this.createClient(shop);
+
+    const [first] = rowsData;
+    const skus = rowsData.map((data) => data.identifier.value);
+    const existingProduct = await this.findProductBySkus(shop, skus, catalogIndex);
+
+    if (existingProduct) {
+      if (!updateExisting) {
+        return {
+          operation: 'skip',
+          reason: 'Product exists and updateExisting is false',
+          product: existingProduct,
+          variants: skus.map((sku) => ({ sku, operation: 'skip', changes: [] })),
+        };
+      }
+
+      // Product-level changes are recorded against the first row
+      const productChanges = diffEngine.compareProduct(
+        { ...existingProduct, variant: null },
+        { ...first, variant: {} }
+      );
+
+      catalogIndex?.remove(existingProduct.id);
+
+      const productFields = {};
+      productChanges
+        .filter((change) => change.fieldType === 'product')
+        .forEach((change) => {
+          productFields[change.field] = first.product[change.field];
+        });
+
+      if (Object.keys(this.buildProductInput(productFields)).length > 0) {
+        await this.updateProduct(shop, existingProduct.id, productFields);
+      }
+
+      const changedMetafields = productChanges
+        .filter((change) => change.fieldType === 'metafield')
+        .map((change) => change.metafield);
+
+      if (changedMetafields.length > 0) {
+        await this.setMetafields(shop, existingProduct.id, changedMetafields);
+      }
+
+      const toUpdate = [];
+      const toCreate = [];
+
+      const variants = rowsData.map((data, index) => {
+        const sku = data.identifier.value;
+        const existingVariant = existingProduct.variants.find((v) => v.sku === sku);
+        const changes = diffEngine.compareVariantFields(existingVariant, data.variant);
+
+        if (index === 0) {
+          changes.unshift(...productChanges);
+        }
+
+        if (existingVariant) {
+          const payload = this.buildVariantPayload(existingVariant, data.variant, changes);
+          if (data.inventory && existingVariant.inventoryItem?.tracked === false) {
+            payload.inventory_management = 'shopify';
+          }
+          if (Object.keys(payload).length > 0) {
+            toUpdate.push(
+              this.buildVariantInput(existingVariant.id, payload, existingProduct.options)
+            );
+          }
+
+          return {
+            sku,
+            operation: changes.length > 0 ? 'update' : 'skip',
+            changes,
+          };
+        }
+
+        if (!createNew) {
+          return { sku, operation: 'skip', changes: [] };
+        }
+
+        toCreate.push(
+          this.buildVariantInput(
+            null,
+            this.withOptionValues(data, existingProduct.options.length),
+            existingProduct.options
+          )
+        );
+
+        return { sku, operation: 'create', changes };
+      });
+
+      if (toUpdate.length > 0) {
+        await this.bulkUpdateVariants(client, existingProduct.id, toUpdate);
+      }
+
+      const createdVariants = toCreate.length > 0
+        ? await this.bulkCreateVariants(client, existingProduct.id, toCreate)
+        : [];
+
+      await this.syncGroupInventory(
+        shop,
+        rowsData,
+        [...existingProduct.variants, ...createdVariants],
+        variants
+      );
+
+      if (first.product.images && first.product.images.length > 0) {
+        const imageUrls = first.product.images.map((img) => img.src);
+        await this.addImages(shop, existingProduct.id, imageUrls);
+      }
+
+      logger.info(`Product group updated: ${existingProduct.id} (${toUpdate.length} updated, ${toCreate.length} created variants)`);
+
+      return {
+        operation: 'update',
+        product: existingProduct,
+        variants,
+      };
+    }
+
+    if (!createNew) {
+      return {
+        operation: 'skip',
+        reason: 'Product not found and createNew is false',
+        variants: skus.map((sku) => ({ sku, operation: 'skip', changes: [] })),
+      };
+    }
+
+    // Number of options: configured names or highest mapped optionN, at least one
+    const mappedCount = [3, 2, 1].find((n) =>
+      rowsData.some((data) => data.variant[`option${n}`] !== undefined)
+    ) || 0;
+    const optionCount = Math.min(3, Math.max(1, optionNames.length, mappedCount));
+
+    const variantsData = rowsData.map((data) => this.withOptionValues(data, optionCount));
+    const productOptions = Array.from({ length: optionCount }, (_, index) => ({
+      name: optionNames[index] || `Option ${index + 1}`,
+      values: [...new Set(variantsData.map((data) => data[`option${index + 1}`]))]
+        .map((name) => ({ name })),
+    }));
+
+    const newProduct = await this.createProduct(
+      shop,
+      first.product,
+      null,
+      {},
+      productOptions
+    );
+
+    // Replace the variant created with the product by the full variant list
+    const createdOptions = productOptions.map((option, index) => ({
+      name: option.name,
+      position: index + 1,
+    }));
+    const createdVariants = await this.bulkCreateVariants(
+      client,
+      newProduct.id,
+      variantsData.map((data) => this.buildVariantInput(null, {
+        inventory_policy: 'DENY',
+        ...data,
+      }, createdOptions)),
+      'REMOVE_STANDALONE_VARIANT'
+    );
+
+    if (first.metafields && first.metafields.length > 0) {
+      await this.setMetafields(shop, newProduct.id, first.metafields);
+    }
+
+    if (first.product.images && first.product.images.length > 0) {
+      const imageUrls = first.product.images.map((img) => img.src);
+      await this.addImages(shop, newProduct.id, imageUrls);
+    }
+
+    const variants = rowsData.map((data, index) => ({
+      sku: data.identifier.value,
+      operation: 'create',
+      changes: diffEngine.compareProduct(
+        { metafields: [] },
+        index === 0 ? data : { product: {}, metafields: [], variant: data.variant }
+      ),
+    }));
+
+    await this.syncGroupInventory(shop, rowsData, createdVariants, variants);
+
+    return {
+      operation: 'create',
+      product: newProduct,
+      variants,
+    };
+  }
+
+  /**
+   * Set inventory quantities for every row of a product group
+   * Inventory changes are appended to the matching variant result.
+   * @param {Object} shop - Shop document
+   * @param {Array} rowsData - Transformed rows
+   * @param {Array} productVariants - Variants of the product [{sku, inventoryItem: {id}}]
+   * @param {Array} variantResults - Results aligned with rowsData (mutated)
+   */
+  async syncGroupInventory(shop, rowsData, productVariants, variantResults) {
+    for (const [index, data] of rowsData.entries()) {
+      const result = variantResults[index];
+      if (!data.inventory) {
+        continue;
+      }
+
+      // Variants that were not created (createNew off) have no match here
+      const variant = productVariants.find((v) => v.sku === data.identifier.value);
+      if (!variant) {
+        continue;
+      }
+
+      const change = await this.syncInventory(shop, variant.inventoryItem?.id, data.inventory);
+      if (change) {
+        result.changes.push(change);
+        if (result.operation === 'skip') {
+          result.operation = 'update';
+        }
+      }
+    }
+  }
+
+  /**
+   * Variant data with SKU and option1..N filled in
+   * Missing option values fall back to the SKU so every variant stays unique.
+   * @param {Object} data - Transformed row (Mapping Engine output)
+   * @param {number} optionCount - Number of product options
+   * @returns {Object} Variant fields
+   */
+  withOptionValues(data, optionCount) {
+    const sku = data.identifier.value;
+    const variant = { ...data.variant, sku };
+
+    // Quantities can only be set on tracked inventory items
+    if (data.inventory) {
+      variant.inventory_management = 'shopify';
+    }
+
+    for (let n = 1; n <= optionCount; n++) {
+      if (variant[`option${n}`] === undefined) {
+        variant[`option${n}`] = sku;
+      }
+    }
+
+    return variant;
+  }
+
+  /**
+   * Get the shop's locations (cached for 5 minutes)
+   * @param {Object} shop - Shop document
+   * @returns {Promise<Array>} [{id, name, isActive}]
+   */
+  async getLocations(shop) {
+    const cached = this.locationCache.get(shop.domain);
+    if (cached && Date.now() - cached.fetchedAt < 5 * 60 * 1000) {
+      return cached.locations;
+    }
+
+    const client = this.createClient(shop);
+
+    const query = `
+      query getLocations {
+        locations(first: 250) {
+          edges {
+            node {
+              id
+              name
+              isActive
+            }
+          }
+        }
+      }
+    `;
+
+    const response = await withRetry(async () => {
+      return await client.request(query);
+    });
+
+    const locations = response.data.locations.edges.map((edge) => edge.node);
+    this.locationCache.set(shop.domain, { locations, fetchedAt: Date.now() });
+
+    return locations;
+  }
+
+  /**
+   * Resolve a location by GID, numeric ID or name
+   * @param {Object} shop - Shop document
+   * @param {string} value - Location reference from the feed or CSV
+   * @returns {Promise<Object>} {id, name}
+   */
+  async resolveLocation(shop, value) {
+    if (!value) {
+      throw new Error('No inventory location configured');
+    }
+
+    const locations = await this.getLocations(shop);
+    const needle = String(value).trim().toLowerCase();
+
+    const location = locations.find(
+      (l) =>
+        l.id.toLowerCase() === needle ||
+        l.id.split('/').pop() === needle ||
+        l.name.toLowerCase() === needle
+    );
+
+    if (!location) {
+      throw new Error(`Unknown inventory location '${value}'`);
+    }
+
+    return location;
+  }
+
+  /**
+   * Get the available quantity of an inventory item at a location
+   * @param {Object} client - Shopify GraphQL client
+   * @param {string} inventoryItemId - Inventory item ID
+   * @param {string} locationId - Location ID
+   * @returns {Promise<number|null>} Quantity, or null when not stocked at the location
+   */
+  async getInventoryQuantity(client, inventoryItemId, locationId) {
+    const query = `
+      query getInventoryLevel($id: ID!, $locationId: ID!) {
+        inventoryItem(id: $id) {
+          inventoryLevel(locationId: $locationId) {
+            quantities(names: ["available"]) {
+              name
+              quantity
+            }
+          }
+        }
+      }
+    `;
+
+    const response = await withRetry(async () => {
+      return await client.request(query, {
+        variables: { id: inventoryItemId, locationId },
+      });
+    });
+
+    const level = response.data.inventoryItem?.inventoryLevel;
+    return level ? level.quantities[0]?.quantity ?? 0 : null;
+  }
+
+  /**
+   * Set the available quantity of an inventory item at a location
+   * Items not yet stocked at the location are activated with the quantity.
+   * @param {Object} shop - Shop document
+   * @param {string} inventoryItemId - Inventory item ID
+   * @param {Object} inventory - {quantity, location} from the Mapping Engine
+   * @param {boolean} dryRun - Only compare, don't write (preview mode)
+   * @returns {Promise<Object|null>} Change entry, or null when unchanged
+   */
+  async syncInventory(shop, inventoryItemId, inventory, dryRun = false) {
+    if (!inventoryItemId) {
+      throw new Error('Inventory update failed: variant has no inventory item');
+    }
+
+    const client = this.createClient(shop);
+
+    const location = await this.resolveLocation(shop, inventory.location);
+    const currentQuantity = await this.getInventoryQuantity(
+      client,
+      inventoryItemId,
+      location.id
+    );
+
+    const change = diffEngine.compareInventory(currentQuantity, inventory.quantity, location);
+    if (!change || dryRun) {
+      return change;
+    }
+
+    if (currentQuantity === null) {
+      const mutation = `
+        mutation inventoryActivate($inventoryItemId: ID!, $locationId: ID!, $available: Int) {
+          inventoryActivate(inventoryItemId: $inventoryItemId, locationId: $locationId, available: $available) {
+            inventoryLevel {
+              id
+            }
+            userErrors {
+              field
+              message
+            }
+          }
+        }
+      `;
+
+      const response = await withRetry(async () => {
+        return await client.request(mutation, {
+          variables: {
+            inventoryItemId,
+            locationId: location.id,
+            available: inventory.quantity,
+          },
+        });
+      });
+
+      const { userErrors } = response.data.inventoryActivate;
+      if (userErrors && userErrors.length > 0) {
+        throw new Error(
+          `Inventory activation failed: ${userErrors.map((e) => e.message).join(', ')}`
+        );
+      }
+    } else {
+      await this.setAvailableQuantities(client, [
+        {
+          inventoryItemId,
+          locationId: location.id,
+          quantity: inventory.quantity,
+        },
+      ]);
+    }
+
+    logger.info(`Inventory set: ${inventoryItemId} @ ${location.name} = ${inventory.quantity}`);
+    return change;
+  }
+
+  /**
+   * Set available quantities, overwriting the current values
+   * @param {Object} client - Shopify GraphQL client
+   * @param {Array} quantities - [{inventoryItemId, locationId, quantity}]
+   */
+  async setAvailableQuantities(client, quantities) {
+    const mutation = `
+      mutation inventorySetQuantities($input: InventorySetQuantitiesInput!) {
+        inventorySetQuantities(input: $input) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const response = await withRetry(async () => {
+      return await client.request(mutation, {
+        variables: {
+          input: {
+            name: 'available',
+            reason: 'correction',
+            ignoreCompareQuantity: true,
+            quantities,
+          },
+        },
+      });
+    });
+
+    const { userErrors } = response.data.inventorySetQuantities;
+    if (userErrors && userErrors.length > 0) {
+      throw new Error(
+        `Inventory update failed: ${userErrors.map((e) => e.message).join(', ')}`
+      );
+    }
+  }
+
+  /**
+   * Set available quantities for a shop
+   * @param {Object} shop - Shop document
+   * @param {Array} quantities - [{inventoryItemId, locationId, quantity}]
+   */
+  async setInventoryQuantities(shop, quantities) {
+    const client = this.createClient(shop);
+
+    await this.setAvailableQuantities(client, quantities);
+  }
+
+  /**
+   * Set an inventory item's available quantity to 0 wherever it is stocked
+   * @param {Object} shop - Shop document
+   * @param {string} inventoryItemId - Inventory item ID
+   * @param {string|null} locationId - Limit to one location (all locations when null)
+   * @param {boolean} dryRun - Only compare, don't write
+   * @returns {Promise<Array>} Inventory change entries
+   */
+  async zeroInventory(shop, inventoryItemId, locationId = null, dryRun = false) {
+    const client = this.createClient(shop);
+
+    const query = `
+      query getInventoryLevels($id: ID!) {
+        inventoryItem(id: $id) {
+          inventoryLevels(first: 50) {
+            edges {
+              node {
+                location {
+                  id
+                  name
+                }
+                quantities(names: ["available"]) {
+                  name
+                  quantity
+                }
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    const response = await withRetry(async () => {
+      return await client.request(query, {
+        variables: { id: inventoryItemId },
+      });
+    });
+
+    const levels = (response.data.inventoryItem?.inventoryLevels.edges || [])
+      .map((edge) => edge.node)
+      .filter((level) => !locationId || level.location.id === locationId);
+
+    const changes = levels
+      .map((level) =>
+        diffEngine.compareInventory(level.quantities[0]?.quantity ?? 0, 0, level.location)
+      )
+      .filter(Boolean);
+
+    if (changes.length > 0 && !dryRun) {
+      await this.setAvailableQuantities(
+        client,
+        changes.map((change) => ({
+          inventoryItemId,
+          locationId: change.locationId,
+          quantity: 0,
+        }))
+      );
+      logger.info(`Inventory zeroed: ${inventoryItemId} at ${changes.length} location(s)`);
+    }
+
+    return changes;
+  }
+
+  /**
+   * Get a product by ID
+   * @param {Object} shop - Shop document
+   * @param {string} productId - Shopify product ID
+   * @param {Object} identifier - Selects the `variant` property ({type: 'sku', value} or first variant)
+   * @returns {Promise<Object|null>} Normalized product or null
+   */
+  async getProductById(shop, productId, identifier = { type: 'handle' }) {
+    const client = this.createClient(shop);
+
+    const query = `
+      query getProduct($id: ID!) {
+        product(id: $id) {
+          id
+          title
+          handle
+          status
+          tags
+          options {
+            name
+            position
+          }
+          variants(first: 100) {
+            edges {
+              node {
+                ${VARIANT_FIELDS}
+              }
+            }
+          }
+          metafields(first: 250) {
+            edges {
+              node {
+                id
+                namespace
+                key
+                value
+                type
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    const response = await withRetry(async () => {
+      return await client.request(query, {
+        variables: { id: productId },
+      });
+    });
+
+    const { product } = response.data;
+    return product ? this.normalizeProduct(product, identifier) : null;
+  }
+
+  /**
+   * Delete a product
+   * @param {Object} shop - Shop document
+   * @param {string} productId - Shopify product ID
+   */
+  async deleteProduct(shop, productId) {
+    const client = this.createClient(shop);
+
+    const mutation = `
+      mutation productDelete($input: ProductDeleteInput!) {
+        productDelete(input: $input) {
+          deletedProductId
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const response = await withRetry(async () => {
+      return await client.request(mutation, {
+        variables: { input: { id: productId } },
+      });
+    });
+
+    const { userErrors } = response.data.productDelete;
+    if (userErrors && userErrors.length > 0) {
+      throw new Error(
+        `Product delete failed: ${userErrors.map((e) => e.message).join(', ')}`
+      );
+    }
+
+    logger.info(`Product deleted: ${productId}`);
+  }
+
+  /**
+   * Delete product metafields
+   * @param {Object} shop - Shop document
+   * @param {string} productId - Shopify product ID
+   * @param {Array} metafields - [{namespace, key}]
+   */
+  async deleteMetafields(shop, productId, metafields) {
+    if (!metafields || metafields.length === 0) {
+      return;
+    }
+
+    const client = this.createClient(shop);
+
+    const mutation = `
+      mutation metafieldsDelete($metafields: [MetafieldIdentifierInput!]!) {
+        metafieldsDelete(metafields: $metafields) {
+          deletedMetafields {
+            key
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const response = await withRetry(async () => {
+      return await client.request(mutation, {
+        variables: {
+          metafields: metafields.map(({ namespace, key }) => ({
+            ownerId: productId,
+            namespace,
+            key,
+          })),
+        },
+      });
+    });
+
+    const { userErrors } = response.data.metafieldsDelete;
+    if (userErrors && userErrors.length > 0) {
+      throw new Error(
+        `Metafield delete failed: ${userErrors.map((e) => e.message).join(', ')}`
+      );
+    }
+  }
+
+  /**
+   * Add tags to a product
+   * @param {Object} shop - Shop document
+   * @param {string} productId - Shopify product ID
+   * @param {Array<string>} tags - Tags to add
+   */
+  async addTags(shop, productId, tags) {
+    const client = this.createClient(shop);
+
+    const mutation = `
+      mutation tagsAdd($id: ID!, $tags: [String!]!) {
+        tagsAdd(id: $id, tags: $tags) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const response = await withRetry(async () => {
+      return await client.request(mutation, {
+        variables: { id: productId, tags },
+      });
+    });
+
+    const { userErrors } = response.data.tagsAdd;
+    if (userErrors && userErrors.length > 0) {
+      throw new Error(
+        `Adding tags failed: ${userErrors.map((e) => e.message).join(', ')}`
+      );
+    }
+  }
+
+  /**
+   * Create Shopify session from shop document
+   * @param {Object} shop - Shop document
+   * @returns {Object} Shopify session
+   */
+  createSession(shop) {
+    return {
+      shop: shop.domain,
+      accessToken: shop.accessToken,
+    };
+  }
+
+  /**
+   * Create a GraphQL client for a shop, throttled by its rate limit bucket
+   * @param {Object} shop - Shop document
+   * @returns {Object} Client with request(query, options)
+   */
+  createClient(shop) {
+    const session = this.createSession(shop);
+    return throttleManager.wrap(new shopify.clients.Graphql({ session }), shop.domain);
   }
 }
 
@@ -60,7 +60,7 @@ class FeedQueue {
    */
   async addJob(data) {
     const job = await this.queue.add(data, {
-      priority: data.type === 'manual' ? 1 : 5, // Manual jobs have higher priority
+      priority: ['manual', 'rollback'].includes(data.type) ? 1 : 5, // User-triggered jobs have higher priority
     });
 
     logger.info(`Job added to queue: ${job.id}`, {
@@ -186,7 +186,8 @@ class FeedQueue {
         const isTimeout = error.message?.includes('timed out') ||
           error.message?.includes('Promise timed out');
 
-        if (isTimeout) {
+        // Rollback jobs are not resumable
+        if (isTimeout && job.data.type !== 'rollback') {
           // Find the job record in database
           const jobRecord = await Job.findOne({ queueJobId: job.id.toString() });
 
@@ -210,6 +211,8 @@ class FeedQueue {
               type: job.data.type,
               isPreview: job.data.isPreview,
               resumeJobId: jobRecord._id.toString(),
+              processedFileId: job.data.processedFileId,
+              uploadId: job.data.uploadId,
             });
 
             logger.info(`Resume job queued for ${jobRecord._id}`);
@@ -5,19 +5,27 @@ import { config } from '../config/app.js';
 import logger from '../utils/logger.js';
 
 // Services
-import FtpService from '../services/ftp/ftp-service.js';
+import feedSource from '../services/source/feed-source.js';
 import csvParser from '../services/csv/csv-parser.js';
 import mappingEngine from '../services/mapping/mapping-engine.js';
 import diffEngine from '../services/diff/diff-engine.js';
 import shopifySync from '../services/sync/shopify-sync.js';
+import missingProducts from '../services/sync/missing-products.js';
+import rollback from '../services/sync/rollback.js';
+import bulkSync from '../services/sync/bulk-sync.js';
+import CatalogIndex from '../services/sync/catalog-index.js';
 
 // Models
 import Feed from '../models/Feed.js';
 import FtpConnection from '../models/FtpConnection.js';
+import StorageConnection from '../models/StorageConnection.js';
 import Shop from '../models/Shop.js';
 import Job from '../models/Job.js';
 import JobRow from '../models/JobRow.js';
 import RowCache from '../models/RowCache.js';
+import FeedProduct from '../models/FeedProduct.js';
+import ProcessedFile from '../models/ProcessedFile.js';
+import Upload from '../models/Upload.js';
 
 /**
  * Feed Processing Worker
@@ -29,7 +37,20 @@ class FeedProcessor {
    * @param {Object} job - Bull job
    */
   async process(job) {
-    const { feedId, shopId, type, isPreview, previewRowLimit, resumeJobId } = job.data;
+    const {
+      feedId,
+      shopId,
+      type,
+      isPreview,
+      previewRowLimit,
+      resumeJobId,
+      processedFileId,
+      uploadId,
+    } = job.data;
+
+    if (type === 'rollback') {
+      return this.processRollback(job);
+    }
 
     logger.info(`Processing feed job: ${job.id}`, {
       feedId,
@@ -40,14 +61,17 @@ class FeedProcessor {
     });
 
     let jobRecord = null;
-    let ftpService = null;
-    let localFilePath = null;
+    let download = null;
+    let processedFile = null; // Drop-folder feeds: the file this job imports
     let startRow = 0; // For resume: the row to start processing from
 
     try {
       // Load feed and shop
       const [feed, shop] = await Promise.all([
-        Feed.findById(feedId).populate('ftpConnection'),
+        Feed.findById(feedId)
+          .populate('ftpConnection')
+          .populate('storageConnection')
+          .populate('upload'),
         Shop.findById(shopId),
       ]);
 
@@ -59,6 +83,35 @@ class FeedProcessor {
         throw new Error(`Shop not found: ${shopId}`);
       }
 
+      // Drop-folder feeds: a run queues every new file in the folder as its own job
+      if (feed.file.mode === 'folder' && !isPreview && !processedFileId && !resumeJobId && !uploadId) {
+        return this.dispatchFolder(feed, job.data);
+      }
+
+      // One-off runs read an uploaded file instead of the feed's source
+      let source = feed;
+      if (uploadId) {
+        const upload = await Upload.findOne({ _id: uploadId, shop: shop._id });
+
+        if (!upload) {
+          throw new Error(`Upload not found: ${uploadId}`);
+        }
+
+        source = {
+          sourceType: 'upload',
+          upload,
+          file: { archiveEntry: feed.file.archiveEntry },
+        };
+      }
+
+      if (processedFileId) {
+        processedFile = await ProcessedFile.findById(processedFileId);
+
+        if (!processedFile) {
+          throw new Error(`Processed file record not found: ${processedFileId}`);
+        }
+      }
+
       // Check if this is a resume job
       if (resumeJobId) {
         // Resume an interrupted job
@@ -93,25 +146,72 @@ class FeedProcessor {
           isPreview,
           status: 'pending',
           queueJobId: job.id,
-          triggeredBy: type === 'manual' ? 'user' : 'scheduler',
+          triggeredBy: { manual: 'user', push: 'system' }[type] || 'scheduler',
+          processedFile: processedFile?._id,
+          upload: uploadId,
         });
         await jobRecord.save();
         await jobRecord.markStarted();
       }
 
       // Download CSV file
-      ftpService = new FtpService();
-      const { localPath, checksum, size } = await ftpService.downloadFile(
-        feed.ftpConnection,
-        feed.file.path
+      // Sources that support it (HTTP ETag/Last-Modified, S3 ETag) skip
+      // unchanged files without downloading them
+      // Previews and resumed jobs don't wait for ready markers
+      let downloadOptions = { ignoreMarkers: isPreview || Boolean(resumeJobId) };
+      if (processedFile) {
+        downloadOptions.paths = [processedFile.path];
+      } else if (isPreview) {
+        // Previews only read the first of several matched files
+        downloadOptions.maxFiles = 1;
+      }
+
+      // Drop-folder files and one-off uploads are always read
+      const skipUnchanged = feed.options.skipUnchangedFile && !processedFile && !uploadId;
+
+      download = await feedSource.download(
+        source,
+        skipUnchanged
+          ? {
+            checksum: feed.lastSync?.fileChecksum,
+            etag: feed.lastSync?.fileEtag,
+            lastModified: feed.lastSync?.fileLastModified,
+          }
+          : null,
+        downloadOptions
       );
-      localFilePath = localPath;
+
+      // The file isn't ready yet: the next run tries again
+      if (download.waiting) {
+        await jobRecord.markWaiting(download.reason);
+
+        // Later files of a drop folder wait too, so they are imported in order
+        if (processedFile) {
+          processedFile.status = 'queued';
+          processedFile.job = jobRecord._id;
+          processedFile.error = download.reason;
+          await processedFile.save();
+        }
+
+        logger.info(`File not ready, skipping sync: ${download.reason}`);
+        return {
+          status: 'waiting',
+          reason: download.reason,
+        };
+      }
+
+      const { checksum, size, etag, lastModified } = download;
+      // Files matched by a wildcard path are processed as one sequence of rows
+      const localPaths = (download.files || []).map((file) => file.localPath);
 
       // Check if file unchanged (if option enabled)
-      if (
-        feed.options.skipUnchangedFile &&
-        feed.lastSync?.fileChecksum === checksum
-      ) {
+      // Drop-folder files are compared with the files already imported instead
+      const unchanged = processedFile
+        ? await this.isFileProcessed(processedFile, checksum)
+        : download.unchanged ||
+          (skipUnchanged && feed.lastSync?.fileChecksum === checksum);
+
+      if (unchanged) {
         await jobRecord.markCompleted({
           totalRows: 0,
           processed: 0,
@@ -121,6 +221,13 @@ class FeedProcessor {
           failed: 0,
         });
 
+        await feedSource.cleanup(download);
+
+        if (processedFile) {
+          await processedFile.markFinished('skipped', { checksum, job: jobRecord._id });
+          await this.queueNextFolderFile(feed._id, job.data);
+        }
+
         logger.info('File unchanged, skipping sync');
         return {
           status: 'skipped',
@@ -130,40 +237,100 @@ class FeedProcessor {
 
       // Update job file info
       jobRecord.file = {
-        path: feed.file.path,
+        path: feedSource.describe(source, download.files.map((file) => file.path)),
         checksum,
         size,
       };
       await jobRecord.save();
 
       // Parse CSV
-      const parseLimit = isPreview ? previewRowLimit || 10 : undefined;
-      const parsedData = parseLimit
-        ? await csvParser.parseFileWithLimit(localPath, parseLimit, {
-          delimiter: feed.file.delimiter,
-          encoding: feed.file.encoding,
-          hasHeader: feed.file.hasHeader,
-        })
-        : await csvParser.parseFile(localPath, {
-          delimiter: feed.file.delimiter,
-          encoding: feed.file.encoding,
-          hasHeader: feed.file.hasHeader,
-        });
+      // Row-by-row syncs stream the file; grouping and bulk mode need every row
+      // up front, previews only a few
+      const parseOptions = {
+        delimiter: feed.file.delimiter,
+        encoding: feed.file.encoding,
+        hasHeader: feed.file.hasHeader,
+        format: feed.file.format,
+        sheet: feed.file.sheet,
+        headerRow: feed.file.headerRow,
+        recordPath: feed.file.recordPath,
+        columns: feed.file.columns,
+      };
+      // Workbooks and JSON documents are read whole anyway, so they are parsed once
+      const streamRows = !isPreview &&
+        !feed.grouping?.column &&
+        feed.options.executionMode !== 'bulk' &&
+        !['xlsx', 'json'].includes(feed.file.format);
+
+      let parsedData;
+      let rowCount;
+      if (isPreview) {
+        parsedData = await csvParser.parseFileWithLimit(localPaths[0], previewRowLimit || 10, parseOptions);
+        rowCount = parsedData.rows.length;
+      } else if (streamRows) {
+        // Headers and the first row are enough to validate the file
+        // Only CSV lines are cheap to count up front; JSON Lines and XML rows
+        // are counted as they are processed (null: unknown total)
+        parsedData = await csvParser.parseFileWithLimit(localPaths[0], 1, parseOptions);
+        rowCount = null;
+        if ((feed.file.format || 'csv') === 'csv') {
+          rowCount = 0;
+          for (const localPath of localPaths) {
+            rowCount += await csvParser.getRowCount(localPath, parseOptions);
+          }
+        }
+      } else {
+        parsedData = { headers: [], rows: [] };
+        for (const localPath of localPaths) {
+          const parsed = await csvParser.parseFile(localPath, parseOptions);
+          parsedData.headers = parsedData.headers.length ? parsedData.headers : parsed.headers;
+          parsedData.rows = parsedData.rows.concat(parsed.rows);
+        }
+        rowCount = parsedData.rows.length;
+      }
 
       // Validate CSV structure
-      const validation = csvParser.validate(parsedData, [
-        feed.matching.column,
-      ]);
+      const requiredColumns = [feed.matching.column];
+      if (feed.grouping?.column) {
+        requiredColumns.push(feed.grouping.column);
+      }
+      if (feed.inventory?.enabled) {
+        if (!feed.inventory.quantityColumn) {
+          throw new Error('Inventory sync is enabled but no quantity column is configured');
+        }
+        if (!feed.inventory.locationColumn && !feed.inventory.locationId) {
+          throw new Error('Inventory sync is enabled but no location is configured');
+        }
+        requiredColumns.push(feed.inventory.quantityColumn);
+        if (feed.inventory.locationColumn) {
+          requiredColumns.push(feed.inventory.locationColumn);
+        }
+      }
+      if (feed.options.executionMode === 'bulk' && feed.grouping?.column) {
+        throw new Error('Bulk mode does not support grouping rows into variants');
+      }
+      const validation = csvParser.validate(parsedData, requiredColumns);
 
       if (!validation.valid) {
         throw new Error(`CSV validation failed: ${validation.errors.join(', ')}`);
       }
 
-      // Validate mappings
-      const mappingValidation = mappingEngine.validateMappings(
-        feed.mappings,
-        parsedData.headers
-      );
+      // Every further matched file needs the same columns
+      if (!isPreview) {
+        for (const file of download.files.slice(1)) {
+          const { headers } = await csvParser.parseFileWithLimit(file.localPath, 1, parseOptions);
+          const missing = requiredColumns.filter((column) => !headers.includes(column));
+          if (missing.length > 0) {
+            const name = file.entry ? `${file.path} (${file.entry})` : file.path;
+            throw new Error(`CSV validation failed: ${name} is missing column(s) ${missing.join(', ')}`);
+          }
+        }
+      }
+
+      // Validate mappings (stock-only feeds may have none)
+      const mappingValidation = feed.inventory?.enabled && feed.mappings.length === 0
+        ? { valid: true, errors: [] }
+        : mappingEngine.validateMappings(feed.mappings, parsedData.headers);
 
       if (!mappingValidation.valid) {
         throw new Error(
@@ -172,22 +339,52 @@ class FeedProcessor {
       }
 
       // Update job progress
-      jobRecord.file.rowCount = parsedData.rows.length;
-      jobRecord.progress.total = parsedData.rows.length;
+      jobRecord.file.rowCount = rowCount;
+      jobRecord.progress.total = rowCount ?? 0;
       await jobRecord.save();
 
+      // Match rows against one catalog snapshot instead of a lookup per row
+      const catalogIndex = await this.buildCatalogIndex(
+        feed,
+        shop,
+        rowCount === null ? Infinity : rowCount - startRow
+      );
+
+      // Streamed rows start at startRow; parsed rows are skipped up to it
+      const rows = streamRows
+        ? csvParser.iterateRows(localPaths, { ...parseOptions, startRow })
+        : parsedData.rows;
+
       // Process rows - pass Bull job for progress updates to prevent stalling
       // For resume jobs, startRow will be > 0 and rows before it will be skipped
       const results = await this.processRows(
-        parsedData.rows,
+        rows,
         feed,
         shop,
         jobRecord,
         isPreview,
         job, // Pass Bull job for progress updates
-        startRow // Pass startRow for resume support
+        startRow, // Pass startRow for resume support
+        catalogIndex
       );
 
+      // Handle products no longer in the feed (only after a complete, real run)
+      // Drop-folder files only hold the changed products, so none are missing,
+      // and neither does a file uploaded by hand for a feed with another source
+      if (
+        !isPreview &&
+        !processedFile &&
+        (!uploadId || feed.sourceType === 'upload') &&
+        results.status !== 'cancelled'
+      ) {
+        jobRecord.missingProducts = await this.handleMissingProducts(
+          feed,
+          shop,
+          jobRecord,
+          streamRows ? csvParser.iterateRows(localPaths, parseOptions) : parsedData.rows
+        );
+      }
+
       // Update job completion
       await jobRecord.markCompleted(results);
 
@@ -202,7 +399,13 @@ class FeedProcessor {
           updated: results.updated,
           skipped: results.skipped,
           failed: results.failed,
-          fileChecksum: checksum,
+          // A one-off upload isn't the feed's file: its source keeps the
+          // fingerprint of the file it last served
+          ...(!uploadId && {
+            fileChecksum: checksum,
+            fileEtag: etag,
+            fileLastModified: lastModified,
+          }),
         });
 
         // Calculate next run
@@ -210,13 +413,27 @@ class FeedProcessor {
           feed.calculateNextRun();
           await feed.save();
         }
+
+        // Archive, rename or delete the imported remote file
+        if (results.status !== 'cancelled') {
+          jobRecord.postProcess = await this.postProcessFile(source, download);
+          await jobRecord.save();
+        }
       }
 
-      // Cleanup temp file
-      if (localFilePath) {
-        await ftpService.deleteLocalFile(localFilePath);
+      // A cancelled file is retried by the next run, together with the ones after it
+      if (processedFile) {
+        if (results.status === 'cancelled') {
+          await processedFile.markFinished('failed', { checksum, job: jobRecord._id, error: 'Job cancelled' });
+        } else {
+          await processedFile.markFinished('completed', { checksum, job: jobRecord._id });
+          await this.queueNextFolderFile(feed._id, job.data);
+        }
       }
 
+      // Cleanup temp file
+      await feedSource.cleanup(download);
+
       logger.info(`Feed processing completed: ${job.id}`, results);
 
       return {
@@ -231,8 +448,189 @@ class FeedProcessor {
       }
 
       // Cleanup temp file
-      if (localFilePath && ftpService) {
-        await ftpService.deleteLocalFile(localFilePath);
+      await feedSource.cleanup(download);
+
+      // Once retries are used up the file is left for the next run and the
+      // folder moves on
+      const lastAttempt = job.attemptsMade + 1 >= (job.opts?.attempts || 1);
+      if (processedFile && lastAttempt) {
+        await processedFile.markFinished('failed', { job: jobRecord?._id, error: error.message });
+        await this.queueNextFolderFile(processedFile.feed, job.data);
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Queue the new files of a drop-folder feed
+   * Files are recorded oldest first and imported one at a time: each file job
+   * queues the next one when it finishes, so deltas apply in order.
+   * @param {Object} feed - Feed with its connection populated
+   * @param {Object} data - Bull job data of the run
+   * @returns {Promise<Object>}
+   */
+  async dispatchFolder(feed, data) {
+    const files = await feedSource.listFolder(feed);
+    const known = await ProcessedFile.find({
+      feed: feed._id,
+      path: { $in: files.map((file) => file.path) },
+      status: { $ne: 'failed' },
+    });
+
+    // Listings only give the name, size and time (and the ETag for S3); a file
+    // that looks changed is downloaded and compared by checksum in its job
+    const newFiles = files.filter((file) => !known.some((record) =>
+      record.path === file.path &&
+      record.size === file.size &&
+      (['queued', 'processing'].includes(record.status) ||
+        (file.etag
+          ? record.checksum === file.etag
+          : record.modifiedTime >= new Date(file.modifiedTime)))
+    ));
+
+    if (newFiles.length > 0) {
+      await ProcessedFile.insertMany(newFiles.map((file) => ({
+        feed: feed._id,
+        shop: feed.shop,
+        path: file.path,
+        size: file.size,
+        modifiedTime: file.modifiedTime,
+      })));
+    }
+
+    logger.info(`Drop folder ${feed.file.path}: ${newFiles.length} new file(s) of ${files.length}`, {
+      feedId: feed._id.toString(),
+    });
+
+    await this.queueNextFolderFile(feed._id, data);
+
+    return {
+      status: 'dispatched',
+      queued: newFiles.length,
+    };
+  }
+
+  /**
+   * Queue the job of the oldest waiting drop-folder file
+   * Nothing is queued while another file of the feed is being imported.
+   * @param {Object} feedId - Feed ID
+   * @param {Object} data - Bull job data of the run
+   * @returns {Promise<Object|null>} The file record, or null when none was queued
+   */
+  async queueNextFolderFile(feedId, data) {
+    if (await ProcessedFile.exists({ feed: feedId, status: 'processing' })) {
+      return null;
+    }
+
+    const next = await ProcessedFile.findOne({ feed: feedId, status: 'queued' })
+      .sort({ modifiedTime: 1, _id: 1 });
+
+    if (!next) {
+      return null;
+    }
+
+    next.status = 'processing';
+    next.error = undefined; // e.g. left by a run that waited for the file's ready marker
+    await next.save();
+
+    await feedQueue.addJob({
+      feedId: feedId.toString(),
+      shopId: data.shopId,
+      type: data.type,
+      isPreview: false,
+      processedFileId: next._id.toString(),
+    });
+
+    return next;
+  }
+
+  /**
+   * Whether the same file (name + size + checksum) was already imported
+   * @param {Object} processedFile - Record of the file being imported
+   * @param {string} checksum - Checksum of the download
+   * @returns {Promise<boolean>}
+   */
+  async isFileProcessed(processedFile, checksum) {
+    const existing = await ProcessedFile.exists({
+      _id: { $ne: processedFile._id },
+      feed: processedFile.feed,
+      path: processedFile.path,
+      size: processedFile.size,
+      checksum,
+      status: 'completed',
+    });
+
+    return Boolean(existing);
+  }
+
+  /**
+   * Process rollback job
+   * The Job record is created by the API so the UI can open it right away.
+   * @param {Object} job - Bull job
+   */
+  async processRollback(job) {
+    const { shopId, rollbackJobId } = job.data;
+
+    logger.info(`Processing rollback job: ${job.id}`, { rollbackJobId });
+
+    let jobRecord = null;
+
+    try {
+      const [shop, record] = await Promise.all([
+        Shop.findById(shopId),
+        Job.findById(rollbackJobId),
+      ]);
+      jobRecord = record;
+
+      if (!jobRecord) {
+        throw new Error(`Rollback job not found: ${rollbackJobId}`);
+      }
+
+      // Retries must not replay a rollback that already ran
+      if (jobRecord.status !== 'pending') {
+        logger.warn(`Rollback job ${rollbackJobId} is ${jobRecord.status}, not running it again`);
+        return {
+          status: 'skipped',
+          reason: `Rollback job is ${jobRecord.status}`,
+        };
+      }
+
+      if (!shop) {
+        throw new Error(`Shop not found: ${shopId}`);
+      }
+
+      const sourceJob = await Job.findById(jobRecord.rollback.sourceJob);
+      if (!sourceJob) {
+        throw new Error(`Cannot roll back: Job ${jobRecord.rollback.sourceJob} not found`);
+      }
+
+      jobRecord.queueJobId = job.id;
+      await jobRecord.markStarted();
+
+      const results = await rollback.run(sourceJob, shop, jobRecord, {
+        createdAction: jobRecord.rollback.createdAction,
+        dryRun: jobRecord.isPreview,
+        bullJob: job,
+      });
+
+      if (results.status === 'cancelled') {
+        return { status: 'cancelled', results };
+      }
+
+      await jobRecord.markCompleted(results);
+
+      logger.info(`Rollback completed: ${job.id}`, results);
+
+      return {
+        status: 'success',
+        results,
+      };
+    } catch (error) {
+      logger.error(`Rollback failed: ${job.id}`, error);
+
+      if (jobRecord) {
+        await jobRecord.markFailed(error);
       }
 
       throw error;
@@ -241,17 +639,340 @@ class FeedProcessor {
 
   /**
    * Process CSV rows
-   * @param {Array} rows - CSV rows to process
+   * @param {Array|AsyncIterable} rows - CSV rows to process, or (streamed files)
+   *   an async iterable of the rows from startRow on; grouping and bulk mode need an array
    * @param {Object} feed - Feed configuration
    * @param {Object} shop - Shop document
    * @param {Object} jobRecord - Job database record
    * @param {boolean} isPreview - Whether this is a preview run
    * @param {Object} bullJob - Bull job object for progress updates
    * @param {number} startRow - Row to start from (for resume support, 0-indexed)
+   * @param {CatalogIndex|null} catalogIndex - Catalog snapshot used to match rows
+   */
+  async processRows(rows, feed, shop, jobRecord, isPreview, bullJob = null, startRow = 0, catalogIndex = null) {
+    // Bulk mode writes all rows with a few bulk operations (previews stay row by row)
+    if (feed.options.executionMode === 'bulk' && !isPreview) {
+      return this.processBulkRows(rows, feed, shop, jobRecord, bullJob, catalogIndex);
+    }
+
+    // Multi-variant feeds are processed one product group at a time
+    if (feed.grouping?.column) {
+      return this.processGroupedRows(rows, feed, shop, jobRecord, isPreview, bullJob, startRow, catalogIndex);
+    }
+
+    const totalRows = Array.isArray(rows) ? rows.length : jobRecord.progress.total;
+    const results = this.initResults(totalRows, jobRecord, startRow);
+
+    // Rows are pulled only when a slot is free, which keeps a streamed file paused
+    const source = Array.isArray(rows) ? rows.slice(startRow) : rows;
+    const iterator = source[Symbol.asyncIterator]?.() || source[Symbol.iterator]();
+    let pending = null;
+    let exhausted = false;
+
+    // Up to `concurrency` rows are in flight; progress and lastProcessedRow only
+    // count rows before the first unfinished one, so a resumed job never skips a row
+    const concurrency = feed.options.concurrency || 1;
+    const checkpointSize = feed.options.batchSize || 100;
+    const inFlight = new Map();
+    const inFlightKeys = new Set();
+    const finished = new Set();
+    let next = startRow;
+    let completed = startRow;
+    let lastSavedAt = startRow;
+
+    const startRows = async () => {
+      while (inFlight.size < concurrency) {
+        if (!pending) {
+          if (exhausted) return;
+
+          const { value, done } = await iterator.next();
+          if (done) {
+            exhausted = true;
+            return;
+          }
+          pending = value;
+        }
+
+        // Rows for the same product wait for each other so they are not created twice
+        const key = String(pending[feed.matching.column] ?? '').trim();
+        if (key && inFlightKeys.has(key)) return;
+
+        const row = pending;
+        const index = next++;
+        pending = null;
+        if (key) inFlightKeys.add(key);
+
+        inFlight.set(
+          index,
+          this.processRow(row, index + 1, feed, shop, jobRecord, isPreview, results, catalogIndex)
+            .then((processed) => ({ index, key, processed }))
+        );
+      }
+    };
+
+    try {
+      for (;;) {
+        await startRows();
+        if (inFlight.size === 0) break;
+
+        const { index, key, processed } = await Promise.race(inFlight.values());
+        inFlight.delete(index);
+        inFlightKeys.delete(key);
+        finished.add(index);
+
+        if (processed) {
+          results.processed++;
+        }
+
+        while (finished.has(completed)) {
+          finished.delete(completed);
+          completed++;
+        }
+
+        // Check for cancellation after every row to be responsive
+        const currentJob = await Job.findById(jobRecord._id);
+        if (!currentJob || currentJob.status === 'cancelled') {
+          // Let rows already sent to Shopify finish so their logs are complete
+          await Promise.all(inFlight.values());
+          logger.info(`Job ${jobRecord._id} was cancelled by user. Stopping worker.`);
+          return {
+            status: 'cancelled',
+            results: { ...results, status: 'cancelled' }
+          };
+        }
+
+        await jobRecord.updateProgress(completed, totalRows);
+
+        // RESUME SUPPORT: Save position and results every batch of rows
+        // This enables resuming from this point if the job is interrupted
+        if (completed - lastSavedAt >= checkpointSize) {
+          lastSavedAt = completed;
+          jobRecord.lastProcessedRow = completed;
+          jobRecord.results = { ...results };
+          await jobRecord.save();
+        }
+
+        // IMPORTANT: Update Bull job progress to keep the lock alive and prevent stalling
+        // This tells Bull that the worker is still active and processing
+        if (bullJob && (index + 1) % 10 === 0) {
+          const progressPercent = totalRows > 0 ? Math.round((completed / totalRows) * 100) : 0;
+          await bullJob.progress(progressPercent);
+        }
+      }
+    } finally {
+      // When leaving on an error, rows already sent to Shopify finish first,
+      // so nothing still writes once the job is marked failed
+      await Promise.allSettled(inFlight.values());
+      // Close the file when stopping early
+      await iterator.return?.();
+    }
+
+    // Final progress update (streamed files without a row count are counted now)
+    if (!totalRows) {
+      results.totalRows = completed;
+    }
+    await jobRecord.updateProgress(results.totalRows, results.totalRows);
+
+    return results;
+  }
+
+  /**
+   * Preview or sync one CSV row
+   * Errors are logged on the row, so the returned promise never rejects.
+   * @param {Object} row - CSV row
+   * @param {number} rowNumber - 1-based row number
+   * @param {Object} feed - Feed configuration
+   * @param {Object} shop - Shop document
+   * @param {Object} jobRecord - Job database record
+   * @param {boolean} isPreview - Whether this is a preview run
+   * @param {Object} results - Results counter of the job
+   * @param {CatalogIndex|null} catalogIndex - Catalog snapshot used to match rows
+   * @returns {Promise<boolean>} Whether the row counts as processed
+   */
+  async processRow(row, rowNumber, feed, shop, jobRecord, isPreview, results, catalogIndex = null) {
+    try {
+      // Apply filters
+      if (!mappingEngine.applyFilters(row, feed.filters)) {
+        results.skipped++;
+        await this.logRow(jobRecord, rowNumber, row, 'skip', {
+          reason: 'Filtered out',
+        });
+        return false;
+      }
+
+      // Transform row to product data
+      const productData = mappingEngine.transformRow(
+        row,
+        feed.mappings,
+        feed.matching,
+        feed.valueMappings || []
+      );
+      productData.inventory = mappingEngine.getInventory(row, feed.inventory);
+
+      if (!productData.identifier.value) {
+        results.failed++;
+        await this.logRow(jobRecord, rowNumber, row, 'error', {
+          error: 'Missing identifier value',
+        });
+        return false;
+      }
+
+      if (isPreview) {
+        // Preview mode - simulate sync
+        const existingProduct = await shopifySync.findProduct(
+          shop,
+          productData.identifier,
+          catalogIndex
+        );
+
+        if (existingProduct) {
+          const changes = diffEngine.compareProduct(
+            existingProduct,
+            productData,
+            feed.mappings
+          );
+
+          if (productData.inventory && existingProduct.variant) {
+            const inventoryChange = await shopifySync.syncInventory(
+              shop,
+              existingProduct.variant.inventoryItem?.id,
+              productData.inventory,
+              true
+            );
+            if (inventoryChange) {
+              changes.push(inventoryChange);
+            }
+          }
+
+          if (changes.length > 0) {
+            results.updated++;
+            await this.logRow(jobRecord, rowNumber, row, 'update', {
+              changes,
+              productId: existingProduct.id,
+            });
+          } else {
+            results.skipped++;
+            await this.logRow(jobRecord, rowNumber, row, 'skip', {
+              reason: 'No changes detected',
+              productId: existingProduct.id,
+            });
+          }
+        } else {
+          results.created++;
+          await this.logRow(jobRecord, rowNumber, row, 'create', {
+            previewData: productData,
+          });
+        }
+      } else {
+        // Real sync
+
+        // ============================================
+        // SKIP UNCHANGED ROWS (Row-Level Caching)
+        // Check if row data has changed since last successful sync
+        // ============================================
+        if (feed.options.skipUnchangedRows) {
+          const currentHash = RowCache.generateHash(row);
+          const cacheCheck = await RowCache.checkRow(
+            feed._id,
+            productData.identifier.value,
+            currentHash
+          );
+
+          if (!cacheCheck.changed) {
+            // Row unchanged - skip sync
+            if (cacheCheck.cache.shopifyProductId) {
+              await FeedProduct.recordProduct(
+                feed,
+                productData.identifier,
+                cacheCheck.cache.shopifyProductId,
+                jobRecord._id
+              );
+            }
+
+            results.skipped++;
+            results.unchangedSkipped = (results.unchangedSkipped || 0) + 1;
+            await this.logRow(jobRecord, rowNumber, row, 'skip', {
+              reason: 'Row unchanged (cached)',
+              lastSyncedAt: cacheCheck.cache?.lastSyncedAt,
+            });
+            return false;
+          }
+        }
+
+        const syncResult = await shopifySync.syncProduct(
+          shop,
+          productData,
+          productData.identifier,
+          {
+            updateExisting: feed.options.updateExisting,
+            createNew: feed.options.createNew,
+            catalogIndex,
+          }
+        );
+
+        if (syncResult.operation === 'create') {
+          results.created++;
+        } else if (syncResult.operation === 'update') {
+          results.updated++;
+        } else if (syncResult.operation === 'skip') {
+          results.skipped++;
+        }
+
+        await this.logRow(jobRecord, rowNumber, row, syncResult.operation, {
+          productId: syncResult.product?.id,
+          changes: syncResult.changes,
+        });
+
+        // Remember products owned by the feed for missing-product handling
+        // (products the feed was not allowed to update are not its own)
+        if (syncResult.product && !syncResult.reason) {
+          await FeedProduct.recordProduct(
+            feed,
+            productData.identifier,
+            syncResult.product.id,
+            jobRecord._id
+          );
+        }
+
+        // ============================================
+        // UPDATE ROW CACHE after successful sync
+        // Only cache after successful sync so incomplete jobs
+        // will process uncached rows on resume
+        // ============================================
+        if (feed.options.skipUnchangedRows && syncResult.product) {
+          const currentHash = RowCache.generateHash(row);
+          await RowCache.upsertRow(
+            feed._id,
+            productData.identifier.value,
+            productData.identifier.type,
+            currentHash,
+            syncResult.product.id
+          );
+        }
+      }
+
+      return true;
+    } catch (error) {
+      results.failed++;
+      logger.error(`Error processing row ${rowNumber}:`, error);
+
+      // A failed log write must not reject the row (other rows are still in flight)
+      await this.logRow(jobRecord, rowNumber, row, 'error', {
+        error: error.message,
+      }).catch((logError) => logger.error(`Error logging row ${rowNumber}:`, logError));
+      return false;
+    }
+  }
+
+  /**
+   * Create the results counter, restoring previous counts when resuming
+   * @param {number} totalRows - Total number of rows
+   * @param {Object} jobRecord - Job database record
+   * @param {number} startRow - Row to start from (for resume support)
    */
-  async processRows(rows, feed, shop, jobRecord, isPreview, bullJob = null, startRow = 0) {
+  initResults(totalRows, jobRecord, startRow) {
     const results = {
-      totalRows: rows.length,
+      totalRows,
       processed: 0,
       created: 0,
       updated: 0,
@@ -270,19 +991,43 @@ class FeedProcessor {
       logger.info(`Resuming from row ${startRow + 1} with previous results: processed=${results.processed}, updated=${results.updated}`);
     }
 
-    const batchSize = feed.options.batchSize || 100;
+    return results;
+  }
 
-    for (let i = 0; i < rows.length; i++) {
-      const row = rows[i];
-      const rowNumber = i + 1;
+  /**
+   * Process CSV rows grouped into multi-variant products
+   * Rows sharing the grouping column value form one product; each row is a
+   * variant matched by SKU. Progress and lastProcessedRow count rows and only
+   * advance at group boundaries, so a resumed job restarts at a whole group.
+   * @param {Array} rows - CSV rows to process
+   * @param {Object} feed - Feed configuration
+   * @param {Object} shop - Shop document
+   * @param {Object} jobRecord - Job database record
+   * @param {boolean} isPreview - Whether this is a preview run
+   * @param {Object} bullJob - Bull job object for progress updates
+   * @param {number} startRow - Number of rows already processed (resume support)
+   * @param {CatalogIndex|null} catalogIndex - Catalog snapshot used to match groups
+   */
+  async processGroupedRows(rows, feed, shop, jobRecord, isPreview, bullJob = null, startRow = 0, catalogIndex = null) {
+    if (feed.matching.type !== 'sku') {
+      throw new Error('Grouping rows into variants requires SKU matching');
+    }
 
-      // RESUME SUPPORT: Skip rows that have already been processed
-      if (i < startRow) {
-        continue; // Already processed this row in a previous run
+    const results = this.initResults(rows.length, jobRecord, startRow);
+    const groups = this.groupRows(rows, feed.grouping.column);
+    let rowsDone = 0;
+    let lastSavedAt = 0;
+
+    for (const group of groups) {
+      // RESUME SUPPORT: Skip groups that have already been processed
+      if (rowsDone + group.length <= startRow) {
+        rowsDone += group.length;
+        continue;
       }
 
-      try {
-        // Apply filters
+      // Filter and transform every row of the group
+      const items = [];
+      for (const { row, rowNumber } of group) {
         if (!mappingEngine.applyFilters(row, feed.filters)) {
           results.skipped++;
           await this.logRow(jobRecord, rowNumber, row, 'skip', {
@@ -291,13 +1036,13 @@ class FeedProcessor {
           continue;
         }
 
-        // Transform row to product data
         const productData = mappingEngine.transformRow(
           row,
           feed.mappings,
           feed.matching,
           feed.valueMappings || []
         );
+        productData.inventory = mappingEngine.getInventory(row, feed.inventory);
 
         if (!productData.identifier.value) {
           results.failed++;
@@ -307,110 +1052,153 @@ class FeedProcessor {
           continue;
         }
 
-        if (isPreview) {
-          // Preview mode - simulate sync
-          const existingProduct = await shopifySync.findProduct(
-            shop,
-            productData.identifier
-          );
-
-          if (existingProduct) {
-            const changes = diffEngine.compareProduct(
-              existingProduct,
-              productData,
-              feed.mappings
-            );
+        items.push({ row, rowNumber, productData });
+      }
 
-            if (changes.length > 0) {
-              results.updated++;
-              await this.logRow(jobRecord, rowNumber, row, 'update', {
-                changes,
-                productId: existingProduct.id,
-              });
-            } else {
-              results.skipped++;
-              await this.logRow(jobRecord, rowNumber, row, 'skip', {
-                reason: 'No changes detected',
-                productId: existingProduct.id,
-              });
-            }
+      try {
+        if (items.length > 0) {
+          if (isPreview) {
+            await this.previewGroup(items, shop, jobRecord, results, catalogIndex);
           } else {
-            results.created++;
-            await this.logRow(jobRecord, rowNumber, row, 'create', {
-              previewData: productData,
-            });
+            await this.syncGroup(items, feed, shop, jobRecord, results, catalogIndex);
           }
-        } else {
-          // Real sync
-
-          // ============================================
-          // SKIP UNCHANGED ROWS (Row-Level Caching)
-          // Check if row data has changed since last successful sync
-          // ============================================
-          if (feed.options.skipUnchangedRows) {
-            const currentHash = RowCache.generateHash(row);
-            const cacheCheck = await RowCache.checkRow(
-              feed._id,
-              productData.identifier.value,
-              currentHash
-            );
+          results.processed += items.length;
+        }
+      } catch (error) {
+        logger.error(`Error processing product group '${group[0].row[feed.grouping.column]}':`, error);
 
-            if (!cacheCheck.changed) {
-              // Row unchanged - skip sync
-              results.skipped++;
-              results.unchangedSkipped = (results.unchangedSkipped || 0) + 1;
-              await this.logRow(jobRecord, rowNumber, row, 'skip', {
-                reason: 'Row unchanged (cached)',
-                lastSyncedAt: cacheCheck.cache?.lastSyncedAt,
-              });
-              continue;
-            }
-          }
+        for (const { row, rowNumber, productData } of items) {
+          results.failed++;
+          await this.logRow(jobRecord, rowNumber, row, 'error', {
+            error: error.message,
+            identifier: productData.identifier,
+          });
+        }
+      }
 
-          const syncResult = await shopifySync.syncProduct(
-            shop,
-            productData,
-            productData.identifier,
-            {
-              updateExisting: feed.options.updateExisting,
-              createNew: feed.options.createNew,
-            }
-          );
+      rowsDone += group.length;
 
-          if (syncResult.operation === 'create') {
-            results.created++;
-          } else if (syncResult.operation === 'update') {
-            results.updated++;
-          } else if (syncResult.operation === 'skip') {
-            results.skipped++;
-          }
+      // Check for cancellation after every group
+      const currentJob = await Job.findById(jobRecord._id);
+      if (!currentJob || currentJob.status === 'cancelled') {
+        logger.info(`Job ${jobRecord._id} was cancelled by user. Stopping worker.`);
+        return {
+          status: 'cancelled',
+          results: { ...results, status: 'cancelled' }
+        };
+      }
+
+      await jobRecord.updateProgress(rowsDone, rows.length);
+
+      // RESUME SUPPORT: Save position and results roughly every 50 rows
+      if (rowsDone - lastSavedAt >= 50) {
+        lastSavedAt = rowsDone;
+        jobRecord.lastProcessedRow = rowsDone;
+        jobRecord.results = { ...results };
+        await jobRecord.save();
+      }
+
+      // Keep the Bull lock alive
+      if (bullJob) {
+        await bullJob.progress(Math.round((rowsDone / rows.length) * 100));
+      }
+    }
+
+    // Final progress update
+    await jobRecord.updateProgress(rows.length, rows.length);
+
+    return results;
+  }
+
+  /**
+   * Process CSV rows with the Bulk Operations API
+   * Rows are transformed and matched first, then written with a few bulk
+   * mutations. Bulk jobs always restart from the first row: products created
+   * by an interrupted run are found by the lookup and updated instead.
+   * @param {Array} rows - CSV rows to process
+   * @param {Object} feed - Feed configuration
+   * @param {Object} shop - Shop document
+   * @param {Object} jobRecord - Job database record
+   * @param {Object} bullJob - Bull job object for progress updates
+   * @param {CatalogIndex|null} catalogIndex - Catalog snapshot used to match rows
+   */
+  async processBulkRows(rows, feed, shop, jobRecord, bullJob = null, catalogIndex = null) {
+    const results = this.initResults(rows.length, jobRecord, 0);
+    const items = [];
+
+    // 1. Transform and match every row
+    for (let i = 0; i < rows.length; i++) {
+      const row = rows[i];
+      const rowNumber = i + 1;
+
+      try {
+        if (!mappingEngine.applyFilters(row, feed.filters)) {
+          results.skipped++;
+          await this.logRow(jobRecord, rowNumber, row, 'skip', {
+            reason: 'Filtered out',
+          });
+          continue;
+        }
+
+        const productData = mappingEngine.transformRow(
+          row,
+          feed.mappings,
+          feed.matching,
+          feed.valueMappings || []
+        );
+        productData.inventory = mappingEngine.getInventory(row, feed.inventory);
 
-          await this.logRow(jobRecord, rowNumber, row, syncResult.operation, {
-            productId: syncResult.product?.id,
-            changes: syncResult.changes,
+        if (!productData.identifier.value) {
+          results.failed++;
+          await this.logRow(jobRecord, rowNumber, row, 'error', {
+            error: 'Missing identifier value',
           });
+          continue;
+        }
 
-          // ============================================
-          // UPDATE ROW CACHE after successful sync
-          // Only cache after successful sync so incomplete jobs
-          // will process uncached rows on resume
-          // ============================================
-          if (feed.options.skipUnchangedRows && syncResult.product) {
-            const currentHash = RowCache.generateHash(row);
-            await RowCache.upsertRow(
-              feed._id,
-              productData.identifier.value,
-              productData.identifier.type,
-              currentHash,
-              syncResult.product.id
-            );
-          }
+        if (feed.options.skipUnchangedRows) {
+          const cacheCheck = await RowCache.checkRow(
+            feed._id,
+            productData.identifier.value,
+            RowCache.generateHash(row)
+          );
 
-          // Rate limiting
-          await shopifySync.rateLimit();
+          if (!cacheCheck.changed) {
+            if (cacheCheck.cache.shopifyProductId) {
+              await FeedProduct.recordProduct(
+                feed,
+                productData.identifier,
+                cacheCheck.cache.shopifyProductId,
+                jobRecord._id
+              );
+            }
+
+            results.skipped++;
+            results.unchangedSkipped = (results.unchangedSkipped || 0) + 1;
+            await this.logRow(jobRecord, rowNumber, row, 'skip', {
+              reason: 'Row unchanged (cached)',
+              lastSyncedAt: cacheCheck.cache?.lastSyncedAt,
+            });
+            continue;
+          }
         }
 
-        // Check for cancellation every row to be responsive
+        const existingProduct = await shopifySync.findProduct(
+          shop,
+          productData.identifier,
+          catalogIndex
+        );
+        items.push({ row, rowNumber, productData, existingProduct });
+      } catch (error) {
+        results.failed++;
+        logger.error(`Error processing row ${rowNumber}:`, error);
+
+        await this.logRow(jobRecord, rowNumber, row, 'error', {
+          error: error.message,
+        });
+      }
+
+      if (rowNumber % 50 === 0) {
         const currentJob = await Job.findById(jobRecord._id);
         if (!currentJob || currentJob.status === 'cancelled') {
           logger.info(`Job ${jobRecord._id} was cancelled by user. Stopping worker.`);
@@ -420,45 +1208,324 @@ class FeedProcessor {
           };
         }
 
-        results.processed++;
-
-        // Update progress frequently (every 5 rows or every row if total is small)
-        // With 1397 rows, every 5 rows is fine, but to solve the "0 progress" issue we can do every row
-        // for the first few, then back off. But for simplicity and responsiveness, let's do every row.
-        // It adds DB overhead but ensures "Cancelled" state is caught.
-        // Actually, we already queried the DB for cancellation above. We can update progress too.
         await jobRecord.updateProgress(rowNumber, rows.length);
 
-        // RESUME SUPPORT: Update lastProcessedRow and save results periodically
-        // This enables resuming from this point if the job is interrupted
-        if (rowNumber % 50 === 0) { // Save every 50 rows
-          jobRecord.lastProcessedRow = i; // 0-indexed row number
-          jobRecord.results = { ...results };
-          await jobRecord.save();
+        // Matching is the first half of a bulk job
+        if (bullJob) {
+          await bullJob.progress(Math.round((rowNumber / rows.length) * 50));
         }
+      }
+    }
 
-        // IMPORTANT: Update Bull job progress to keep the lock alive and prevent stalling
-        // This tells Bull that the worker is still active and processing
-        if (bullJob && rowNumber % 10 === 0) {
-          const progressPercent = Math.round((rowNumber / rows.length) * 100);
-          await bullJob.progress(progressPercent);
-        }
-      } catch (error) {
+    // 2. Write everything with bulk operations
+    await bulkSync.sync(shop, items, {
+      updateExisting: feed.options.updateExisting,
+      createNew: feed.options.createNew,
+    });
+
+    // 3. Map the results back to job rows
+    for (const item of items) {
+      const { row, rowNumber, productData } = item;
+
+      if (item.operation === 'create') {
+        results.created++;
+      } else if (item.operation === 'update') {
+        results.updated++;
+      } else if (item.operation === 'skip') {
+        results.skipped++;
+      } else {
         results.failed++;
-        logger.error(`Error processing row ${rowNumber}:`, error);
+      }
 
-        await this.logRow(jobRecord, rowNumber, row, 'error', {
-          error: error.message,
-        });
+      await this.logRow(jobRecord, rowNumber, row, item.operation, {
+        productId: item.product?.id,
+        changes: item.changes,
+        reason: item.reason,
+        warnings: item.warnings,
+        error: item.errors.length > 0 ? item.errors.join('; ') : undefined,
+      });
+
+      if (item.operation === 'error') {
+        continue;
+      }
+
+      if (item.product?.id && !item.reason) {
+        await FeedProduct.recordProduct(
+          feed,
+          productData.identifier,
+          item.product.id,
+          jobRecord._id
+        );
+      }
+
+      if (feed.options.skipUnchangedRows && item.product?.id) {
+        await RowCache.upsertRow(
+          feed._id,
+          productData.identifier.value,
+          productData.identifier.type,
+          RowCache.generateHash(row),
+          item.product.id
+        );
       }
+
+      results.processed++;
     }
 
-    // Final progress update
     await jobRecord.updateProgress(rows.length, rows.length);
 
     return results;
   }
 
+  /**
+   * Group rows by column value, keeping first-seen order
+   * @param {Array} rows - CSV rows
+   * @param {string} column - Grouping column
+   * @returns {Array<Array<{row: Object, rowNumber: number}>>}
+   */
+  groupRows(rows, column) {
+    const groups = new Map();
+
+    rows.forEach((row, i) => {
+      // Rows without a parent value stay on their own
+      const value = row[column] ? String(row[column]).trim() : '';
+      const key = value || `__row_${i}`;
+
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push({ row, rowNumber: i + 1 });
+    });
+
+    return [...groups.values()];
+  }
+
+  /**
+   * Preview a product group without modifying Shopify
+   */
+  async previewGroup(items, shop, jobRecord, results, catalogIndex = null) {
+    const existingProduct = await shopifySync.findProductBySkus(
+      shop,
+      items.map((item) => item.productData.identifier.value),
+      catalogIndex
+    );
+
+    for (const [index, { row, rowNumber, productData }] of items.entries()) {
+      if (!existingProduct) {
+        results.created++;
+        await this.logRow(jobRecord, rowNumber, row, 'create', {
+          previewData: productData,
+          identifier: productData.identifier,
+        });
+        continue;
+      }
+
+      const existingVariant = existingProduct.variants.find(
+        (v) => v.sku === productData.identifier.value
+      );
+      const changes = diffEngine.compareVariantFields(existingVariant, productData.variant);
+
+      // Product-level fields are compared once, on the first row of the group
+      if (index === 0) {
+        changes.unshift(...diffEngine.compareProduct(
+          { ...existingProduct, variant: null },
+          { ...productData, variant: {} }
+        ));
+      }
+
+      if (productData.inventory && existingVariant) {
+        const inventoryChange = await shopifySync.syncInventory(
+          shop,
+          existingVariant.inventoryItem?.id,
+          productData.inventory,
+          true
+        );
+        if (inventoryChange) {
+          changes.push(inventoryChange);
+        }
+      }
+
+      let operation = 'skip';
+      if (!existingVariant) {
+        operation = 'create';
+        results.created++;
+      } else if (changes.length > 0) {
+        operation = 'update';
+        results.updated++;
+      } else {
+        results.skipped++;
+      }
+
+      await this.logRow(jobRecord, rowNumber, row, operation, {
+        changes,
+        productId: existingProduct.id,
+        identifier: productData.identifier,
+      });
+    }
+  }
+
+  /**
+   * Sync a product group to Shopify and log one row per variant
+   */
+  async syncGroup(items, feed, shop, jobRecord, results, catalogIndex = null) {
+    // Skip the whole group only when none of its rows changed
+    if (feed.options.skipUnchangedRows) {
+      const checks = await Promise.all(
+        items.map(({ row, productData }) =>
+          RowCache.checkRow(
+            feed._id,
+            productData.identifier.value,
+            RowCache.generateHash(row)
+          )
+        )
+      );
+
+      if (checks.every((check) => !check.changed)) {
+        for (const [index, { row, rowNumber, productData }] of items.entries()) {
+          if (checks[index].cache.shopifyProductId) {
+            await FeedProduct.recordProduct(
+              feed,
+              productData.identifier,
+              checks[index].cache.shopifyProductId,
+              jobRecord._id
+            );
+          }
+
+          results.skipped++;
+          results.unchangedSkipped = (results.unchangedSkipped || 0) + 1;
+          await this.logRow(jobRecord, rowNumber, row, 'skip', {
+            reason: 'Row unchanged (cached)',
+            lastSyncedAt: checks[index].cache?.lastSyncedAt,
+            identifier: productData.identifier,
+          });
+        }
+        return;
+      }
+    }
+
+    const syncResult = await shopifySync.syncProductGroup(
+      shop,
+      items.map((item) => item.productData),
+      feed.grouping.optionNames || [],
+      {
+        updateExisting: feed.options.updateExisting,
+        createNew: feed.options.createNew,
+        catalogIndex,
+      }
+    );
+
+    for (const [index, { row, rowNumber, productData }] of items.entries()) {
+      const variantResult = syncResult.variants[index];
+
+      if (variantResult.operation === 'create') {
+        results.created++;
+      } else if (variantResult.operation === 'update') {
+        results.updated++;
+      } else {
+        results.skipped++;
+      }
+
+      await this.logRow(jobRecord, rowNumber, row, variantResult.operation, {
+        productId: syncResult.product?.id,
+        changes: variantResult.changes,
+        identifier: productData.identifier,
+      });
+
+      // Remember products owned by the feed for missing-product handling
+      if (syncResult.product && !syncResult.reason) {
+        await FeedProduct.recordProduct(
+          feed,
+          productData.identifier,
+          syncResult.product.id,
+          jobRecord._id
+        );
+      }
+
+      // Only cache after successful sync
+      if (feed.options.skipUnchangedRows && syncResult.product) {
+        await RowCache.upsertRow(
+          feed._id,
+          productData.identifier.value,
+          productData.identifier.type,
+          RowCache.generateHash(row),
+          syncResult.product.id
+        );
+      }
+    }
+  }
+
+  /**
+   * Take a catalog snapshot for matching rows
+   * Small jobs are faster with per-row lookups; when the bulk query fails
+   * the job falls back to them as well.
+   * @param {Object} feed - Feed configuration
+   * @param {Object} shop - Shop document
+   * @param {number} rowCount - Number of rows left to process (Infinity when not known up front)
+   * @returns {Promise<CatalogIndex|null>}
+   */
+  async buildCatalogIndex(feed, shop, rowCount) {
+    if (feed.options.prefetchCatalog === false || rowCount < config.shopify.catalogIndexMinRows) {
+      return null;
+    }
+
+    try {
+      return await CatalogIndex.build(shop);
+    } catch (error) {
+      logger.warn(`Catalog index failed, looking up rows one by one: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Run the feed's missing-product action
+   * Failures are recorded on the job without failing the sync itself.
+   * @param {Object} feed - Feed configuration
+   * @param {Object} shop - Shop document
+   * @param {Object} jobRecord - Job database record
+   * @param {Array|AsyncIterable} rows - All rows of the feed file
+   * @returns {Promise<Object|null>} Summary for the job record
+   */
+  async handleMissingProducts(feed, shop, jobRecord, rows) {
+    try {
+      const identifiers = [];
+      for await (const row of rows) {
+        const { value } = mappingEngine.getIdentifier(row, feed.matching);
+        if (value) {
+          identifiers.push(value);
+        }
+      }
+
+      return await missingProducts.handle(feed, shop, jobRecord, identifiers);
+    } catch (error) {
+      logger.error(`Missing-product handling failed for feed ${feed._id}:`, error);
+      return {
+        action: feed.missingProducts?.action,
+        aborted: true,
+        message: error.message,
+      };
+    }
+  }
+
+  /**
+   * Apply the feed's post-processing action to the imported remote file(s)
+   * A failure is recorded on the job but does not fail the import.
+   * @param {Object} feed - Feed document
+   * @param {Object} download - Downloaded file(s)
+   * @returns {Promise<Object|undefined>} Summary for the job record
+   */
+  async postProcessFile(feed, download) {
+    try {
+      const summary = await feedSource.postProcess(feed, download);
+      return summary ? { ...summary, status: 'success' } : undefined;
+    } catch (error) {
+      logger.error(`Post-processing failed for feed ${feed._id}:`, error);
+      return {
+        action: feed.postProcess?.action,
+        status: 'failed',
+        message: error.message,
+      };
+    }
+  }
+
   /**
    * Log individual row processing
    */
@@ -474,6 +1541,7 @@ class FeedProcessor {
       },
       shopifyProductId: details.productId,
       changes: details.changes || [],
+      warnings: (details.warnings || []).map((message) => ({ message })),
       error: details.error
         ? {
           message: details.error,
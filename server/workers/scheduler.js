@@ -4,11 +4,15 @@ import redisClient from '../config/redis.js';
 import feedQueue from './feed-queue.js';
 import Feed from '../models/Feed.js';
 import Job from '../models/Job.js';
+import ProcessedFile from '../models/ProcessedFile.js';
+import feedSource from '../services/source/feed-source.js';
 import logger from '../utils/logger.js';
 
 /**
  * Feed Scheduler
  * Manages scheduled feed syncs using cron
+ * Feeds scheduled 'on_change' are not run on a fixed schedule: their file's
+ * metadata is polled, and a sync is queued only when it changed.
  */
 class FeedScheduler {
   constructor() {
@@ -75,6 +79,8 @@ class FeedScheduler {
                 type: job.type,
                 isPreview: job.isPreview,
                 resumeJobId: job._id.toString(), // Link to the interrupted job
+                processedFileId: job.processedFile?.toString(),
+                uploadId: job.upload?.toString(),
               });
               logger.info(`Queued resume job for interrupted job ${job._id}`);
             }
@@ -89,6 +95,14 @@ class FeedScheduler {
             };
             await job.save();
             logger.info(`Marked stale job ${job._id} as failed (no progress)`);
+
+            // Release the drop-folder file so the next run picks it up again
+            if (job.processedFile) {
+              await ProcessedFile.updateOne(
+                { _id: job.processedFile, status: 'processing' },
+                { status: 'failed', error: 'Job stalled', processedAt: new Date() }
+              );
+            }
           }
         }
       } else {
@@ -136,6 +150,10 @@ class FeedScheduler {
    * Trigger scheduled feed sync
    */
   async triggerFeed(feed) {
+    if (feed.schedule.frequency === 'on_change') {
+      return this.pollFeed(feed);
+    }
+
     try {
       logger.info(`Triggering scheduled feed: ${feed._id}`, {
         name: feed.name,
@@ -174,6 +192,69 @@ class FeedScheduler {
     }
   }
 
+  /**
+   * Check an 'on_change' feed's file for changes and queue a sync if it changed
+   * Only the file's metadata is fetched; the first check of a feed always runs it.
+   */
+  async pollFeed(feed) {
+    try {
+      // No need to ask the server while a sync is queued or running
+      const existingJob = await Job.findOne({
+        feed: feed._id,
+        status: { $in: ['pending', 'processing'] },
+      });
+
+      if (existingJob) {
+        logger.debug(`Skipping change check for feed ${feed._id} - job ${existingJob._id} is ${existingJob.status}`);
+        return;
+      }
+
+      // Fresh copy: the last fingerprint may have changed since the task was created
+      const current = await Feed.findOne({ _id: feed._id, isActive: true })
+        .populate('ftpConnection')
+        .populate('storageConnection');
+
+      if (!current) return;
+
+      let fingerprint;
+      try {
+        fingerprint = await feedSource.fingerprint(current);
+      } catch (error) {
+        // e.g. the file was moved away after the last import and no new one arrived yet
+        logger.info(`Change check for feed ${feed._id} found no file: ${error.message}`);
+        return;
+      }
+
+      const changed = fingerprint !== current.polling?.fingerprint;
+
+      if (changed) {
+        logger.info(`File of feed ${feed._id} changed, queuing sync`, {
+          name: current.name,
+        });
+
+        await feedQueue.addJob({
+          feedId: current._id.toString(),
+          shopId: current.shop.toString(),
+          type: 'scheduled',
+          isPreview: false,
+        });
+      } else {
+        logger.debug(`File of feed ${feed._id} unchanged`);
+      }
+
+      // Recorded once the sync is queued, so the change is not lost if queuing fails
+      current.polling = {
+        fingerprint,
+        checkedAt: new Date(),
+        changedAt: changed ? new Date() : current.polling?.changedAt,
+      };
+      current.calculateNextRun();
+      await current.save();
+    } catch (error) {
+      logger.error(`Error checking feed ${feed._id} for changes:`, error);
+    }
+  }
+
   /**
    * Stop scheduler
    */
@@ -234,6 +315,9 @@ class FeedScheduler {
         case 'custom':
           cronExpression = feed.schedule.customCron;
           break;
+        case 'on_change':
+          cronExpression = `*/${feed.schedule.pollInterval || 5} * * * *`;
+          break;
       }
 
       if (!cronExpression) return;
@@ -0,0 +1,133 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Bulk mode runs against the in-process mock; the Shopify client is never used
+process.env.SHOPIFY_API_KEY ||= 'test-key';
+process.env.SHOPIFY_API_SECRET ||= 'test-secret';
+process.env.SHOPIFY_APP_URL ||= 'https://localhost';
+process.env.SHOPIFY_BULK_MOCK = 'true';
+process.env.SHOPIFY_BULK_POLL_INTERVAL = '1';
+
+const { config } = await import('../server/config/app.js');
+const { default: bulkSync } = await import('../server/services/sync/bulk-sync.js');
+const { default: bulkOperations } = await import('../server/services/sync/bulk-operations.js');
+const { default: bulkMock } = await import('../server/services/sync/bulk-mock.js');
+const { default: shopifySync } = await import('../server/services/sync/shopify-sync.js');
+
+const shop = { domain: 'bulk-test.myshopify.com', accessToken: 'token' };
+const location = { id: 'gid://shopify/Location/1', name: 'Warehouse', isActive: true };
+
+/**
+ * Existing single-variant product with its inventory item, in the shape of findProduct
+ */
+function existingProduct(n) {
+  const variant = {
+    id: `gid://shopify/ProductVariant/${n}`,
+    sku: `SKU-${n}`,
+    selectedOptions: [{ name: 'Title', value: 'Default Title' }],
+    inventoryItem: { id: `gid://shopify/InventoryItem/${n}`, tracked: true },
+  };
+
+  return {
+    id: `gid://shopify/Product/${n}`,
+    title: `Product ${n}`,
+    options: [{ name: 'Title', position: 1 }],
+    variants: [variant],
+    metafields: [],
+    variant,
+  };
+}
+
+/**
+ * Stock-only row of a feed
+ */
+function stockItem(n, quantity) {
+  return {
+    productData: {
+      identifier: { type: 'sku', value: `SKU-${n}` },
+      product: {},
+      variant: {},
+      metafields: [],
+      inventory: { quantity, location: 'Warehouse' },
+    },
+    existingProduct: existingProduct(n),
+  };
+}
+
+function stockLevel(n) {
+  return bulkMock.inventoryLevels.get(`gid://shopify/InventoryItem/${n}`)?.get(location.id);
+}
+
+beforeEach(() => {
+  bulkMock.inventoryLevels.clear();
+  config.shopify.bulk.maxFileMB = 20;
+
+  shopifySync.locationCache.set(shop.domain, { locations: [location], fetchedAt: Date.now() });
+  shopifySync.createClient = () => {
+    throw new Error('Unexpected Admin API request in bulk mode');
+  };
+});
+
+test('stock-only rows activate unstocked items, then set and skip quantities in bulk', async () => {
+  const first = await bulkSync.sync(shop, [stockItem(1, 5), stockItem(2, 0)]);
+
+  first.forEach((item) => assert.deepEqual(item.errors, []));
+  assert.deepEqual(first.map((item) => item.operation), ['update', 'update']);
+  assert.equal(stockLevel(1), 5);
+  assert.equal(stockLevel(2), 0);
+
+  const second = await bulkSync.sync(shop, [stockItem(1, 7), stockItem(2, 0)]);
+
+  second.forEach((item) => assert.deepEqual(item.errors, []));
+  assert.deepEqual(second.map((item) => item.operation), ['update', 'skip']);
+  assert.equal(second[0].changes[0].oldValue, '5');
+  assert.equal(second[0].changes[0].newValue, '7');
+  assert.equal(stockLevel(1), 7);
+});
+
+test('large mutation files are split and results keep their input order', async () => {
+  const inputs = Array.from({ length: 50 }, (_, i) => ({ input: { title: `Product ${i}`, handle: `product-${i}` } }));
+
+  // About a third of the inputs per file
+  config.shopify.bulk.maxFileMB = 800 / (1024 * 1024);
+  const files = bulkOperations.chunkLines(inputs.map((input) => JSON.stringify(input)));
+  assert.ok(files.length > 1);
+  assert.equal(files.flat().length, inputs.length);
+
+  const results = await bulkOperations.runMutation(shop, 'mutation call($input: ProductSetInput!) { productSet(input: $input) { product { id } } }', inputs);
+
+  assert.equal(results.length, inputs.length);
+  results.forEach((result, i) => {
+    assert.equal(result.data.productSet.product.title, `Product ${i}`);
+  });
+});
+
+test('creates get product IDs back from the bulk results', async () => {
+  const items = [
+    {
+      productData: {
+        identifier: { type: 'sku', value: 'NEW-1' },
+        product: { title: 'New product' },
+        variant: { price: '9.99' },
+        metafields: [],
+      },
+      existingProduct: null,
+    },
+    {
+      productData: {
+        identifier: { type: 'sku', value: 'NEW-2' },
+        product: {},
+        variant: {},
+        metafields: [],
+      },
+      existingProduct: null,
+    },
+  ];
+
+  const [created, untitled] = await bulkSync.sync(shop, items);
+
+  assert.equal(created.operation, 'create');
+  assert.match(created.product.id, /^gid:\/\/shopify\/Product\//);
+  assert.equal(untitled.operation, 'create');
+  assert.equal(untitled.product.title, 'Untitled Product');
+});